@@ -2,6 +2,7 @@ import { FileManager } from './components/file-manager.js';
 import { PreviewPanel } from './components/preview-panel.js';
 import { TimingEditor } from './components/timing-editor.js';
 import { RenderQueue } from './components/render-queue.js';
+import { apiUrl, loadProjects, projectId, switchProject, DEFAULT_PROJECT } from './project.js';
 
 // State
 let currentFile = null;
@@ -72,16 +73,47 @@ function updateVariantUI() {
   ).join('');
 }
 
+// ─── Output preset ──────────────────────────────────────────────
+
+const outputPresetSelect = document.getElementById('output-preset');
+const outputAlphaSelect = document.getElementById('output-alpha');
+const outputAudioToggle = document.getElementById('output-audio-toggle');
+const outputAudioCheckbox = document.getElementById('output-audio');
+
+async function loadOutputPresets() {
+  try {
+    const res = await fetch(apiUrl('/render/presets'));
+    const { presets, alphaFormats } = await res.json();
+    outputPresetSelect.innerHTML = presets.map(p =>
+      `<option value="${p.name}"${p.isDefault ? ' selected' : ''}>${p.label} — ${p.width}×${p.height} @ ${p.fps}fps</option>`
+    ).join('');
+    outputAlphaSelect.innerHTML = '<option value="">Opaque (.mp4)</option>' + alphaFormats.map(f =>
+      `<option value="${f.name}">Transparent — ${f.label}</option>`
+    ).join('');
+  } catch {
+    // Leave the selects empty — the server falls back to its default preset
+  }
+}
+
+/** Output preset + alpha format + voiceover fields for render request bodies. */
+function outputOptions() {
+  return {
+    preset: outputPresetSelect.value || undefined,
+    alpha: outputAlphaSelect.value || undefined,
+    audio: outputAudioCheckbox.checked || undefined,
+  };
+}
+
 // Render single file
 const btnRender = document.getElementById('btn-render');
 btnRender.addEventListener('click', async () => {
   if (!currentFile || !currentTiming) return;
   btnRender.disabled = true;
 
-  const res = await fetch('/api/render', {
+  const res = await fetch(apiUrl('/render'), {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ fileName: currentFile, beatTimes: currentTiming }),
+    body: JSON.stringify({ fileName: currentFile, beatTimes: currentTiming, ...outputOptions() }),
   });
 
   const job = await res.json();
@@ -98,10 +130,10 @@ btnRenderVariants.addEventListener('click', async () => {
   if (variantFiles.length < 2 || !currentTiming) return;
   btnRenderVariants.disabled = true;
 
-  const res = await fetch('/api/render/variants', {
+  const res = await fetch(apiUrl('/render/variants'), {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ fileNames: variantFiles, beatTimes: currentTiming }),
+    body: JSON.stringify({ fileNames: variantFiles, beatTimes: currentTiming, ...outputOptions() }),
   });
 
   const result = await res.json();
@@ -132,7 +164,7 @@ let currentSegmentNum = null;
 
 async function loadSegmentInfo(fileName) {
   try {
-    const res = await fetch(`/api/import/segment-info/${encodeURIComponent(fileName)}`);
+    const res = await fetch(apiUrl(`/import/segment-info/${encodeURIComponent(fileName)}`));
     const data = await res.json();
 
     if (!data.segment) {
@@ -184,7 +216,7 @@ let srtTimelineData = { cues: [], segments: [] };
 
 async function loadSrtTimeline() {
   try {
-    const res = await fetch('/api/import/srt-cues');
+    const res = await fetch(apiUrl('/import/srt-cues'));
     srtTimelineData = await res.json();
     renderSrtTimeline();
   } catch {
@@ -275,7 +307,7 @@ function setupTimelineDragDrop() {
 
       // Call rematch
       try {
-        const res = await fetch('/api/import/rematch-segment', {
+        const res = await fetch(apiUrl('/import/rematch-segment'), {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ segmentNum: dragData.segmentNum, newStartTime }),
@@ -337,7 +369,11 @@ function escapeHtml(str) {
 async function analyzeFile(name) {
   previewPanel.beatInfo.textContent = 'Analyzing...';
   try {
-    const res = await fetch(`/api/files/${name}/analyze`, { method: 'POST' });
+    const res = await fetch(apiUrl(`/files/${name}/analyze`), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ preset: outputOptions().preset }),
+    });
     const analysis = await res.json();
     previewPanel.updateAnalysis(analysis);
 
@@ -355,6 +391,7 @@ const pipelinePanel = document.getElementById('pipeline-panel');
 const btnAnalyzeAll = document.getElementById('btn-analyze-all');
 const btnRenderAll = document.getElementById('btn-render-all');
 const btnRenderAllVariants = document.getElementById('btn-render-all-variants');
+const btnRenderMaster = document.getElementById('btn-render-master');
 const pipelineStatus = document.getElementById('pipeline-status');
 const pipelinePhase = document.getElementById('pipeline-phase');
 const pipelineProgressFill = document.getElementById('pipeline-progress-fill');
@@ -377,14 +414,15 @@ function hidePipelineProgress() {
 }
 
 btnAnalyzeAll.addEventListener('click', async () => {
+  if (!confirmPreflight()) return;
   btnAnalyzeAll.disabled = true;
   btnAnalyzeAll.textContent = 'Analyzing...';
 
   try {
-    const res = await fetch('/api/import/analyze-all', {
+    const res = await fetch(apiUrl('/import/analyze-all'), {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ force: false }),
+      body: JSON.stringify({ force: false, preset: outputOptions().preset }),
     });
     const data = await res.json();
     if (data.error) {
@@ -401,14 +439,15 @@ btnAnalyzeAll.addEventListener('click', async () => {
 });
 
 btnRenderAll.addEventListener('click', async () => {
+  if (!confirmPreflight()) return;
   btnRenderAll.disabled = true;
   btnRenderAll.textContent = 'Rendering...';
 
   try {
-    const res = await fetch('/api/render/all', {
+    const res = await fetch(apiUrl('/render/all'), {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ variant: 1 }),
+      body: JSON.stringify({ variant: 1, ...outputOptions() }),
     });
     const data = await res.json();
     if (data.error) {
@@ -424,14 +463,15 @@ btnRenderAll.addEventListener('click', async () => {
 });
 
 btnRenderAllVariants.addEventListener('click', async () => {
+  if (!confirmPreflight()) return;
   btnRenderAllVariants.disabled = true;
   btnRenderAllVariants.textContent = 'Rendering...';
 
   try {
-    const res = await fetch('/api/render/all', {
+    const res = await fetch(apiUrl('/render/all'), {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({}),
+      body: JSON.stringify(outputOptions()),
     });
     const data = await res.json();
     if (data.error) {
@@ -446,17 +486,204 @@ btnRenderAllVariants.addEventListener('click', async () => {
   }
 });
 
+// Master: one continuous video of the whole timeline (renders missing clips first)
+btnRenderMaster.addEventListener('click', async () => {
+  if (!confirmPreflight()) return;
+  btnRenderMaster.disabled = true;
+  btnRenderMaster.textContent = 'Rendering master...';
+
+  const { preset, audio } = outputOptions();
+  try {
+    const res = await fetch(apiUrl('/render/master'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ variant: 1, preset, audio: !!audio }),
+    });
+    const data = await res.json();
+    if (data.error) {
+      alert(data.error);
+      resetMasterButton();
+    }
+  } catch (err) {
+    alert(`Master render failed: ${err.message}`);
+    resetMasterButton();
+  }
+});
+
+function resetMasterButton() {
+  btnRenderMaster.disabled = false;
+  btnRenderMaster.textContent = 'Render Master';
+}
+
+// ─── Preflight ──────────────────────────────────────────────────
+
+const btnPreflight = document.getElementById('btn-preflight');
+const preflightReport = document.getElementById('preflight-report');
+const preflightSummary = document.getElementById('preflight-summary');
+const preflightFiles = document.getElementById('preflight-files');
+let preflightReports = {};
+
+async function loadPreflightReports() {
+  try {
+    const res = await fetch(apiUrl('/import/preflight'));
+    preflightReports = (await res.json()).reports || {};
+  } catch {
+    preflightReports = {};
+  }
+  renderPreflightReport();
+}
+
+function renderPreflightReport() {
+  const reports = Object.values(preflightReports);
+  preflightReport.hidden = reports.length === 0;
+  if (reports.length === 0) return;
+
+  const failed = reports.filter(r => r.status === 'error');
+  const warned = reports.filter(r => r.status === 'warning');
+  preflightReport.classList.toggle('has-errors', failed.length > 0);
+  preflightReport.classList.toggle('has-warnings', failed.length === 0 && warned.length > 0);
+  preflightSummary.textContent = failed.length === 0 && warned.length === 0
+    ? `Preflight: ${reports.length} files OK`
+    : `Preflight: ${failed.length} files with errors, ${warned.length} with warnings`;
+
+  preflightFiles.innerHTML = [...failed, ...warned].map(r => `
+    <li>
+      <div class="preflight-file">${escapeHtml(r.fileName)} — ${r.errors} errors, ${r.warnings} warnings</div>
+      ${r.issues.map(i => `<div class="preflight-issue ${i.severity}" title="${escapeHtml(i.message).replace(/"/g, '&quot;')}">${i.kind}: ${escapeHtml(i.message)}</div>`).join('')}
+    </li>`).join('');
+}
+
+// Before a batch: ask when the last preflight found errors
+function confirmPreflight() {
+  const failed = Object.values(preflightReports).filter(r => r.status === 'error');
+  if (failed.length === 0) return true;
+  return confirm(`${failed.length} files failed preflight (see the Preflight report). Continue anyway?`);
+}
+
+btnPreflight.addEventListener('click', async () => {
+  btnPreflight.disabled = true;
+  btnPreflight.textContent = 'Checking...';
+
+  try {
+    const res = await fetch(apiUrl('/import/preflight-all'), { method: 'POST' });
+    const data = await res.json();
+    if (data.error) {
+      alert(data.error);
+      resetPreflightButton();
+    }
+    // Progress comes via WebSocket
+  } catch (err) {
+    alert(`Preflight failed: ${err.message}`);
+    resetPreflightButton();
+  }
+});
+
+function resetPreflightButton() {
+  btnPreflight.disabled = false;
+  btnPreflight.textContent = 'Preflight';
+}
+
+// ─── Resume interrupted render batch ────────────────────────────
+
+const btnResumeRender = document.getElementById('btn-resume-render');
+let resumableBatch = null;
+
+async function checkResumableBatch() {
+  try {
+    const res = await fetch(apiUrl('/render/batches'));
+    const batches = await res.json();
+    resumableBatch = batches.find(b => b.status === 'interrupted' && b.type !== 'master') || null;
+  } catch {
+    resumableBatch = null;
+  }
+
+  if (resumableBatch) {
+    const left = resumableBatch.jobIds.length - (resumableBatch.counts.done || 0);
+    btnResumeRender.textContent = `Resume Render (${left} left)`;
+    btnResumeRender.hidden = false;
+    showPipelinePanel();
+  } else {
+    btnResumeRender.hidden = true;
+  }
+}
+
+btnResumeRender.addEventListener('click', async () => {
+  if (!resumableBatch) return;
+  btnResumeRender.disabled = true;
+
+  try {
+    const res = await fetch(apiUrl(`/render/batches/${resumableBatch.id}/resume`), { method: 'POST' });
+    const data = await res.json();
+    if (data.error) {
+      alert(data.error);
+    } else {
+      btnResumeRender.hidden = true;
+      for (const job of data.jobs) renderQueue.addJob(job);
+      if (resumableBatch.type === 'all') {
+        btnRenderAll.disabled = true;
+        btnRenderAllVariants.disabled = true;
+      }
+    }
+  } catch (err) {
+    alert(`Resume failed: ${err.message}`);
+  }
+  btnResumeRender.disabled = false;
+});
+
 // ─── Export XML ─────────────────────────────────────────────────
 
 const btnExportXml = document.getElementById('btn-export-xml');
 
 btnExportXml.addEventListener('click', () => {
   const a = document.createElement('a');
-  a.href = '/api/export/premiere-xml';
-  a.download = 'timeline.xml';
+  const { preset, alpha } = outputOptions();
+  const params = new URLSearchParams(Object.entries({ preset, alpha }).filter(([, v]) => v));
+  a.href = apiUrl(`/export/premiere-xml?${params}`);
+  a.download = ['timeline', ...params.values(), 'xml'].join('.');
   a.click();
 });
 
+// Roll every file back to its timing from before the last bulk change
+const btnRollbackTiming = document.getElementById('btn-rollback-timing');
+
+const BULK_LABELS = {
+  'project-match': 'the SRT match',
+  'rematch-segment': 'moving a segment',
+  'analyze-all': 'Analyze All',
+  sync: 'the project sync',
+};
+
+btnRollbackTiming.addEventListener('click', async () => {
+  try {
+    const { snapshot } = await (await fetch(apiUrl('/import/timing-snapshot'))).json();
+    if (!snapshot) {
+      alert('No bulk timing change to roll back.');
+      return;
+    }
+    const label = BULK_LABELS[snapshot.action] || snapshot.action;
+    const when = new Date(snapshot.at).toLocaleString();
+    const expired = snapshot.expired.length > 0
+      ? `\n\n${snapshot.expired.length} more files changed too long ago to roll back: ${snapshot.expired.join(', ')}`
+      : '';
+    if (!confirm(`Roll back the timing of ${snapshot.files.length} files to before ${label} (${when})? Later edits to those files are rolled back too; each file's history keeps them.${expired}`)) return;
+
+    const res = await fetch(apiUrl('/import/timing-snapshot/restore'), { method: 'POST' });
+    const data = await res.json();
+    if (data.error) {
+      alert(data.error);
+      return;
+    }
+    await fileManager.load();
+    if (fileManager.srtMatch) loadSrtTimeline();
+    if (currentFile) {
+      await timingEditor.loadFile(currentFile);
+      updateRenderButtons();
+    }
+  } catch (err) {
+    alert(`Roll back failed: ${err.message}`);
+  }
+});
+
 // ─── Import Project ─────────────────────────────────────────────
 
 const importModal = document.getElementById('import-modal');
@@ -494,9 +721,10 @@ btnImportConfirm.addEventListener('click', async () => {
   importStatus.hidden = false;
   importStatus.className = 'import-status loading';
   importStatus.textContent = 'Scanning folder and copying files...';
+  importStatus.title = '';
 
   try {
-    const res = await fetch('/api/import', {
+    const res = await fetch(apiUrl('/import'), {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ folderPath }),
@@ -511,10 +739,19 @@ btnImportConfirm.addEventListener('click', async () => {
     }
 
     importStatus.className = 'import-status success';
-    importStatus.textContent = `Imported ${data.segmentCount} segments (${data.filesCopied} HTML files)`;
+    importStatus.textContent = `Imported ${data.segmentCount} segments (${data.filesCopied} HTML files, ${data.assetsCopied} assets)`;
+    if (data.missingAssets.length > 0) {
+      importStatus.className = 'import-status warning';
+      importStatus.textContent += ` — ${data.missingAssets.length} referenced assets not found`;
+      importStatus.title = data.missingAssets
+        .map(m => `Segment ${m.segmentNum} ${m.file}: ${m.ref}${m.outsideProject ? ' (outside the project folder)' : ''}`)
+        .join('\n');
+    }
 
     // Reload file list and project data
     await fileManager.load();
+    loadDomProfile();
+    loadPreflightReports();
 
     // Show pipeline panel (project loaded, ready for SRT upload)
     if (fileManager.project) {
@@ -534,23 +771,83 @@ btnImportConfirm.addEventListener('click', async () => {
   }
 });
 
+// ─── Project Sync ───────────────────────────────────────────────
+
+const btnSyncProject = document.getElementById('btn-sync-project');
+
+function describeSyncDiff(diff) {
+  const parts = [];
+  const count = (changes, noun) => {
+    const n = [['added', changes.added.length], ['removed', changes.removed.length], ['changed', changes.changed.length]]
+      .filter(([, len]) => len > 0)
+      .map(([kind, len]) => `${len} ${kind}`);
+    if (n.length > 0) parts.push(`${noun}: ${n.join(', ')}`);
+  };
+  count(diff.segments, 'Segments');
+  count(diff.scripts, 'Scripts');
+  count(diff.options, 'HTML options');
+  return parts;
+}
+
+btnSyncProject.addEventListener('click', async () => {
+  btnSyncProject.disabled = true;
+  try {
+    const post = async (body) => {
+      const res = await fetch(apiUrl('/import/sync'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      return res.json();
+    };
+
+    const diff = await post({ dryRun: true });
+    if (diff.error) {
+      alert(diff.error);
+      return;
+    }
+    const changes = describeSyncDiff(diff);
+    if (changes.length === 0) {
+      alert('The project is up to date with its folder.');
+      return;
+    }
+    if (!confirm(`Changes in the project folder:\n\n${changes.join('\n')}\n\nChanged HTML loses its analysis; timing set by hand is kept. Sync now?`)) {
+      return;
+    }
+
+    const result = await post({});
+    if (result.error) {
+      alert(result.error);
+      return;
+    }
+    await fileManager.load();
+    if (fileManager.srtMatch) loadSrtTimeline();
+    const notes = [];
+    if (result.analysisInvalidated.length > 0) notes.push(`${result.analysisInvalidated.length} files need Analyze All`);
+    if (result.rematched.length > 0) notes.push(`${result.rematched.length} segments re-matched to the SRT`);
+    if (result.timingKept.length > 0) notes.push(`manual timing kept for ${result.timingKept.length} files`);
+    if (result.timingPreserved.length > 0) notes.push(`locked beats kept in ${result.timingPreserved.length} files`);
+    if (result.missingAssets.length > 0) notes.push(`${result.missingAssets.length} referenced assets not found`);
+    if (notes.length > 0) alert(`Synced: ${notes.join(', ')}.`);
+  } catch (err) {
+    alert(`Sync failed: ${err.message}`);
+  } finally {
+    btnSyncProject.disabled = false;
+  }
+});
+
 // ─── Project-wide SRT Upload ────────────────────────────────────
 
 const projectSrtUpload = document.getElementById('project-srt-upload');
 
-projectSrtUpload.addEventListener('change', async (e) => {
-  const file = e.target.files[0];
-  if (!file) return;
-
+// Without a file in the form, the server re-matches the last uploaded SRT
+async function matchProjectSrt(form) {
   const summaryEl = document.getElementById('srt-match-summary');
   summaryEl.hidden = false;
   summaryEl.innerHTML = '<div class="srt-summary loading">Matching SRT to segments...</div>';
 
-  const form = new FormData();
-  form.append('srt', file);
-
   try {
-    const res = await fetch('/api/import/match-srt', {
+    const res = await fetch(apiUrl('/import/match-srt'), {
       method: 'POST',
       body: form,
     });
@@ -562,6 +859,11 @@ projectSrtUpload.addEventListener('change', async (e) => {
       return;
     }
 
+    const cls = data.matchedCount === data.totalSegments ? 'match-good' : 'match-ok';
+    let summary = `${data.matchedCount}/${data.totalSegments} segments matched, ${data.timedFiles} files timed`;
+    if (data.preserved.length > 0) summary += ` — locked timing kept in ${data.preserved.length} files`;
+    summaryEl.innerHTML = `<div class="srt-summary ${cls}">${summary}</div>`;
+
     // Reload project and file data to pick up new timing
     await fileManager.load();
     showPipelinePanel();
@@ -570,10 +872,192 @@ projectSrtUpload.addEventListener('change', async (e) => {
   } catch (err) {
     summaryEl.innerHTML = `<div class="srt-summary match-poor">SRT matching failed: ${err.message}</div>`;
   }
+}
+
+projectSrtUpload.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  const form = new FormData();
+  form.append('srt', file);
+  await matchProjectSrt(form);
 
   projectSrtUpload.value = '';
 });
 
+// ─── Voiceover ──────────────────────────────────────────────────
+
+const voiceoverUpload = document.getElementById('voiceover-upload');
+const voiceoverUploadLabel = document.getElementById('voiceover-upload-label');
+
+function showVoiceover(voiceover) {
+  outputAudioToggle.hidden = !voiceover;
+  if (!voiceover) {
+    outputAudioCheckbox.checked = false;
+    voiceoverUploadLabel.textContent = 'Upload Voiceover';
+    return;
+  }
+  const label = `${voiceover.originalName} (${formatTime(voiceover.duration)})`;
+  outputAudioToggle.title = `Mux each clip's slice of ${label}`;
+  voiceoverUploadLabel.textContent = 'Replace Voiceover';
+  voiceoverUploadLabel.title = label;
+}
+
+async function loadVoiceover() {
+  try {
+    const res = await fetch(apiUrl('/import/voiceover'));
+    const { voiceover } = await res.json();
+    showVoiceover(voiceover);
+  } catch {
+    showVoiceover(null);
+  }
+}
+
+voiceoverUpload.addEventListener('change', async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  voiceoverUploadLabel.textContent = 'Uploading...';
+  const form = new FormData();
+  form.append('audio', file);
+
+  try {
+    const res = await fetch(apiUrl('/import/voiceover'), { method: 'POST', body: form });
+    const data = await res.json();
+    if (data.error) {
+      alert(data.error);
+      await loadVoiceover();
+    } else {
+      showVoiceover(data.voiceover);
+      outputAudioCheckbox.checked = true;
+    }
+  } catch (err) {
+    alert(`Voiceover upload failed: ${err.message}`);
+    await loadVoiceover();
+  }
+
+  voiceoverUpload.value = '';
+});
+
+// ─── DOM profile ────────────────────────────────────────────────
+
+const domProfileSelect = document.getElementById('dom-profile');
+const segmentAlignmentSelect = document.getElementById('segment-alignment');
+
+async function loadDomProfile() {
+  try {
+    const res = await fetch(apiUrl('/import/project/settings'));
+    const { settings, dom, alignment, domProfiles } = await res.json();
+    // Fields set on top of the profile (only editable via the API) are flagged as custom
+    const custom = Object.keys(settings.dom || {}).some(k => k !== 'profile');
+    domProfileSelect.innerHTML = '';
+    for (const p of domProfiles) {
+      const opt = document.createElement('option');
+      opt.value = p.name;
+      opt.textContent = p.name === dom.profile && custom ? `${p.label} (custom)` : p.label;
+      opt.title = `${p.slideSelector} / ${p.stepSelector}`;
+      domProfileSelect.appendChild(opt);
+    }
+    domProfileSelect.value = dom.profile;
+    segmentAlignmentSelect.value = alignment;
+  } catch {
+    // Keep whatever is shown — the banner is hidden without a project anyway
+  }
+}
+
+domProfileSelect.addEventListener('change', async () => {
+  try {
+    const res = await fetch(apiUrl('/import/project/settings'), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ dom: { profile: domProfileSelect.value } }),
+    });
+    const data = await res.json();
+    if (data.error) {
+      alert(data.error);
+    } else if (fileManager.files.some(f => f.analysis) &&
+        confirm('Beat detection conventions changed. Re-analyze all segments now?')) {
+      btnAnalyzeAll.click();
+    }
+  } catch (err) {
+    alert(`Could not save DOM profile: ${err.message}`);
+  }
+  await loadDomProfile();
+});
+
+segmentAlignmentSelect.addEventListener('change', async () => {
+  try {
+    const res = await fetch(apiUrl('/import/project/settings'), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ alignment: segmentAlignmentSelect.value }),
+    });
+    const data = await res.json();
+    if (data.error) {
+      alert(data.error);
+    } else if (fileManager.srtMatch &&
+        confirm('Segment matching changed. Re-match the SRT now? Segments moved by hand on the SRT timeline are matched again.')) {
+      await matchProjectSrt(new FormData());
+    }
+  } catch (err) {
+    alert(`Could not save segment alignment: ${err.message}`);
+  }
+  await loadDomProfile();
+});
+
+// ─── Projects ───────────────────────────────────────────────────
+
+const projectSwitcher = document.getElementById('project-switcher');
+const btnNewProject = document.getElementById('btn-new-project');
+const btnDeleteProject = document.getElementById('btn-delete-project');
+
+async function loadProjectSwitcher() {
+  let projects;
+  try {
+    projects = await loadProjects();
+  } catch {
+    projects = [{ id: DEFAULT_PROJECT, name: 'Default' }];
+  }
+  projectSwitcher.innerHTML = projects.map(p =>
+    `<option value="${p.id}"${p.id === projectId ? ' selected' : ''}>${escapeHtml(p.name)}</option>`
+  ).join('');
+  btnDeleteProject.hidden = projectId === DEFAULT_PROJECT;
+}
+
+projectSwitcher.addEventListener('change', () => {
+  switchProject(projectSwitcher.value);
+});
+
+btnNewProject.addEventListener('click', async () => {
+  const name = prompt('New project name:');
+  if (!name || !name.trim()) return;
+  try {
+    const res = await fetch('/api/projects', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name }),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error);
+    switchProject(data.id);
+  } catch (err) {
+    alert(`Could not create project: ${err.message}`);
+  }
+});
+
+btnDeleteProject.addEventListener('click', async () => {
+  const name = projectSwitcher.selectedOptions[0]?.textContent || projectId;
+  if (!confirm(`Delete project "${name}" with all its files, timing and renders?`)) return;
+  try {
+    const res = await fetch(`/api/projects/${encodeURIComponent(projectId)}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error);
+    switchProject(DEFAULT_PROJECT);
+  } catch (err) {
+    alert(`Could not delete project: ${err.message}`);
+  }
+});
+
 // ─── WebSocket for real-time updates ────────────────────────────
 
 function connectWs() {
@@ -582,7 +1066,12 @@ function connectWs() {
 
   ws.onmessage = (event) => {
     const data = JSON.parse(event.data);
+    // Every message is tagged with the project it belongs to
+    if (data.projectId && data.projectId !== projectId) return;
     switch (data.type) {
+      case 'render-started':
+        renderQueue.markRunning(data.jobId);
+        break;
       case 'render-progress':
         renderQueue.updateProgress(data.jobId, {
           frame: data.frame,
@@ -599,13 +1088,35 @@ function connectWs() {
       case 'render-cancelled':
         renderQueue.markCancelled(data.jobId);
         break;
+      case 'preflight-progress': {
+        const pct = data.total > 0 ? (data.completed / data.total) * 100 : 0;
+        const detail = data.status === 'checking'
+          ? `Checking ${data.fileName}...`
+          : `${data.fileName}: ${data.status === 'ok' ? 'OK' : `${data.errors} errors, ${data.warnings} warnings`}`;
+        updatePipelineProgress(`Preflight ${data.completed}/${data.total}`, detail, pct);
+        break;
+      }
+      case 'preflight-complete':
+        updatePipelineProgress(
+          'Preflight complete',
+          `${data.ok} OK, ${data.warning} with warnings, ${data.error} with errors`,
+          100,
+          data.error > 0 ? 'error' : 'complete'
+        );
+        resetPreflightButton();
+        loadPreflightReports();
+        break;
       case 'analyze-progress': {
         const pct = data.total > 0 ? (data.completed / data.total) * 100 : 0;
         let detail = '';
         if (data.status === 'analyzing') {
           detail = `Analyzing segment ${data.segmentNum}... ${data.fileName || ''}`;
         } else if (data.status === 'done') {
-          detail = `Segment ${data.segmentNum} done (${data.beatCount} beats, cloned to ${data.clonedTo} variants)`;
+          const variants = data.variants.length > 0
+            ? `, ${data.variants.length} variants checked${data.mismatched > 0 ? ` — ${data.mismatched} differ` : ''}`
+            : '';
+          const locks = data.preserved.length > 0 ? `, locked timing kept in ${data.preserved.length} files` : '';
+          detail = `Segment ${data.segmentNum} done (${data.beatCount} beats${variants}${locks})`;
         } else if (data.status === 'cached') {
           detail = `Segment ${data.segmentNum} cached`;
         } else if (data.status === 'error') {
@@ -632,14 +1143,18 @@ function connectWs() {
         btnRenderAll.disabled = false;
         btnRenderAllVariants.hidden = false;
         btnRenderAllVariants.disabled = false;
+        btnRenderMaster.hidden = false;
+        btnRenderMaster.disabled = false;
         // Reload files to pick up new analysis data
         fileManager.load();
         break;
       case 'render-queue-progress': {
-        const rPct = data.total > 0 ? (data.completed / data.total) * 100 : 0;
+        const rPct = data.percent ?? (data.total > 0 ? (data.completed / data.total) * 100 : 0);
+        const queuedLabel = data.queued ? ` (${data.queued} queued)` : '';
+        const skippedLabel = data.skipped ? ` — ${data.skipped} unchanged, skipped` : '';
         updatePipelineProgress(
           `Rendering ${data.completed}/${data.total}`,
-          data.currentFile || '',
+          `${data.currentFile || ''}${queuedLabel}${skippedLabel}`,
           rPct,
           'rendering'
         );
@@ -648,15 +1163,44 @@ function connectWs() {
       case 'render-all-complete':
         updatePipelineProgress(
           `Rendering complete`,
-          `${data.completed}/${data.total} files rendered`,
+          `${data.completed}/${data.total} files rendered${data.failed ? ` (${data.failed} failed)` : ''}${data.skipped ? `, ${data.skipped} unchanged skipped` : ''}`,
           100,
-          'complete'
+          data.failed ? 'error' : 'complete'
         );
         btnRenderAll.disabled = false;
         btnRenderAll.textContent = 'Render All (Option 1)';
         btnRenderAllVariants.disabled = false;
         btnRenderAllVariants.textContent = 'Render All Variants';
         break;
+      case 'render-batch-complete':
+        updatePipelineProgress(
+          `Rendering complete`,
+          `${data.completed}/${data.total} ${data.batch === 'variants' ? 'variants' : 'files'} rendered${data.failed ? ` (${data.failed} failed)` : ''}`,
+          100,
+          data.failed ? 'error' : 'complete'
+        );
+        break;
+      case 'master-progress':
+        updatePipelineProgress(
+          'Composing master',
+          `${data.percent}%${data.missing ? ` — ${data.missing} clip(s) failed, their slots hold the previous clip` : ''}`,
+          data.percent,
+          'rendering'
+        );
+        break;
+      case 'master-done':
+        updatePipelineProgress(
+          'Master ready',
+          `output/${data.outputName} (${formatTime(data.durationSec)})${data.missing.length ? ` — missing: ${data.missing.join(', ')}` : ''}`,
+          100,
+          data.missing.length ? 'error' : 'complete'
+        );
+        resetMasterButton();
+        break;
+      case 'master-error':
+        updatePipelineProgress('Master render failed', data.error, 100, 'error');
+        resetMasterButton();
+        break;
       case 'file-added':
         fileManager.addFile(data.name);
         break;
@@ -673,9 +1217,15 @@ function connectWs() {
 
 // Init
 async function init() {
+  await loadProjectSwitcher();
   await fileManager.load();
   await renderQueue.loadExisting();
   connectWs();
+  checkResumableBatch();
+  loadOutputPresets();
+  loadVoiceover();
+  loadDomProfile();
+  loadPreflightReports();
 
   // Show pipeline panel if project has SRT match
   if (fileManager.srtMatch) {
@@ -687,6 +1237,7 @@ async function init() {
       btnRenderAll.disabled = false;
       btnRenderAllVariants.hidden = false;
       btnRenderAllVariants.disabled = false;
+      btnRenderMaster.hidden = false;
     }
   }
 }
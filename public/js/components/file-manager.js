@@ -1,3 +1,5 @@
+import { apiUrl } from '../project.js';
+
 export class FileManager {
   constructor(onSelect, onGroupChange) {
     this.onSelect = onSelect;
@@ -18,7 +20,7 @@ export class FileManager {
   }
 
   async load() {
-    const res = await fetch('/api/files');
+    const res = await fetch(apiUrl('/files'));
     this.files = await res.json();
 
     // Check if a project is loaded
@@ -28,7 +30,7 @@ export class FileManager {
 
   async loadProject() {
     try {
-      const res = await fetch('/api/import/project');
+      const res = await fetch(apiUrl('/import/project'));
       const data = await res.json();
       this.project = data.project;
       if (this.project?.srtMatch) {
@@ -117,7 +119,7 @@ export class FileManager {
           const file = this.files.find(f => f.name === htmlFile);
           const isSelected = htmlFile === this.selected;
           const isChecked = this.checked.has(htmlFile);
-          const beats = file?.analysis ? `${file.analysis.beatCount} beats` : 'not analyzed';
+          const beats = this.describeBeats(file?.analysis);
 
           const li = document.createElement('li');
           li.className = `segment-variant ${isSelected ? 'active' : ''}`;
@@ -131,7 +133,7 @@ export class FileManager {
               <input type="checkbox" class="file-check" data-name="${htmlFile}" ${isChecked ? 'checked' : ''}>
               <div class="file-info">
                 <span class="file-name">${optLabel}</span>
-                <span class="file-meta">${beats}</span>
+                <span class="file-meta ${beats.className}" title="${this.escapeHtml(beats.title)}">${beats.text}</span>
               </div>
               <button class="file-delete" title="Delete file">&#10005;</button>
             </div>
@@ -203,7 +205,7 @@ export class FileManager {
     li.className = file.name === this.selected ? 'active' : '';
 
     const isChecked = this.checked.has(file.name);
-    const beats = file.analysis ? `${file.analysis.beatCount} beats` : 'not analyzed';
+    const beats = this.describeBeats(file.analysis);
     const seqNum = seqMap?.get(file.name);
     const seqBadge = seqNum ? `<span class="seq-badge">${seqNum}</span>` : '';
 
@@ -213,7 +215,7 @@ export class FileManager {
         ${seqBadge}
         <div class="file-info">
           <span class="file-name">${file.name}</span>
-          <span class="file-meta">${beats}</span>
+          <span class="file-meta ${beats.className}" title="${this.escapeHtml(beats.title)}">${beats.text}</span>
         </div>
         <button class="file-delete" title="Delete file">&#10005;</button>
       </div>
@@ -242,6 +244,27 @@ export class FileManager {
     this.listEl.appendChild(li);
   }
 
+  /** Beat count for the sidebar, flagged when a variant's beats differ from its Option 1. */
+  describeBeats(analysis) {
+    if (!analysis) return { text: 'not analyzed', className: '', title: '' };
+    const check = analysis.variantCheck;
+    if (check?.status === 'mismatch') {
+      const diff = check.beatCount !== check.expectedBeatCount
+        ? `${check.beatCount} beats vs ${check.expectedBeatCount}`
+        : `beat ${check.differingBeats.join(', ')} text differs`;
+      return {
+        text: `${analysis.beatCount} beats ⚠`,
+        className: 'variant-mismatch',
+        title: `Differs from ${check.reference}: ${diff}`,
+      };
+    }
+    return { text: `${analysis.beatCount} beats`, className: '', title: '' };
+  }
+
+  escapeHtml(str) {
+    return (str || '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
   updateProjectBanner() {
     const banner = document.getElementById('project-banner');
     const nameEl = document.getElementById('project-name');
@@ -327,7 +350,7 @@ export class FileManager {
     const form = new FormData();
     for (const f of files) form.append('files', f);
 
-    await fetch('/api/files/upload', { method: 'POST', body: form });
+    await fetch(apiUrl('/files/upload'), { method: 'POST', body: form });
     this.uploadInput.value = '';
     await this.load();
   }
@@ -341,7 +364,7 @@ export class FileManager {
 
   async deleteFile(name) {
     if (!confirm(`Delete ${name}?`)) return;
-    await fetch(`/api/files/${encodeURIComponent(name)}`, { method: 'DELETE' });
+    await fetch(apiUrl(`/files/${encodeURIComponent(name)}`), { method: 'DELETE' });
     this.removeFile(name);
   }
 
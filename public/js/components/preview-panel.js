@@ -1,3 +1,5 @@
+import { fileUrl } from '../project.js';
+
 export class PreviewPanel {
   constructor() {
     this.iframe = document.getElementById('preview-iframe');
@@ -10,6 +12,7 @@ export class PreviewPanel {
 
     this.clickCount = 0;
     this.currentFile = null;
+    this.advance = null;
     this.onAnalyze = null;
 
     this.btnClick.addEventListener('click', () => this.advanceClick());
@@ -33,10 +36,11 @@ export class PreviewPanel {
     this.currentFile = name;
     this.clickCount = 0;
     this.clickCounter.textContent = 'Clicks: 0';
-    this.iframe.src = `/input/${name}`;
+    this.iframe.src = fileUrl(`input/${name}`);
+    this.advance = analysis?.advance || null;
 
     if (analysis) {
-      this.beatInfo.textContent = `${analysis.beatCount} beats | ${analysis.slideCount} slides | ${analysis.stepItemCount} step-items`;
+      this.beatInfo.textContent = this.describeAnalysis(analysis);
     } else {
       this.beatInfo.textContent = 'Not analyzed yet';
     }
@@ -47,20 +51,32 @@ export class PreviewPanel {
 
   updateAnalysis(analysis) {
     if (analysis) {
-      this.beatInfo.textContent = `${analysis.beatCount} beats | ${analysis.slideCount} slides | ${analysis.stepItemCount} step-items`;
+      this.advance = analysis.advance || null;
+      this.beatInfo.textContent = this.describeAnalysis(analysis);
     }
   }
 
+  describeAnalysis(analysis) {
+    if (analysis.source === 'manifest') return `${analysis.beatCount} beats | declared by page`;
+    if (analysis.source === 'visual') return `${analysis.beatCount} beats | detected visually`;
+    return `${analysis.beatCount} beats | ${analysis.slideCount} slides | ${analysis.stepItemCount} step-items`;
+  }
+
   advanceClick() {
     try {
       const doc = this.iframe.contentDocument || this.iframe.contentWindow.document;
-      // Try known click targets first, then fallback to body
-      const target = doc.querySelector('#stage')
-        || doc.querySelector('#presentation')
-        || doc.querySelector('#app')
-        || doc.querySelector('.slides')
-        || doc.body;
-      target.click();
+      if (this.advance) {
+        // Same strategy the renderer replays (server/services/beat-actions.js)
+        for (const action of this.actionsForBeat(this.clickCount)) this.performAction(doc, action, this.clickCount);
+      } else {
+        // Not analyzed — try known click targets first, then fallback to body
+        const target = doc.querySelector('#stage')
+          || doc.querySelector('#presentation')
+          || doc.querySelector('#app')
+          || doc.querySelector('.slides')
+          || doc.body;
+        target.click();
+      }
       this.clickCount++;
       this.clickCounter.textContent = `Clicks: ${this.clickCount}`;
     } catch {
@@ -69,11 +85,41 @@ export class PreviewPanel {
     }
   }
 
+  actionsForBeat(beatIndex) {
+    if (this.advance.type !== 'perBeat') return [this.advance];
+    const { actions } = this.advance;
+    const entry = actions[Math.min(beatIndex, actions.length - 1)];
+    return Array.isArray(entry) ? entry : [entry];
+  }
+
+  performAction(doc, action, beatIndex) {
+    const win = this.iframe.contentWindow;
+    if (action.type === 'click') {
+      doc.querySelector(action.selector)?.click();
+    } else if (action.type === 'key') {
+      // Puppeteer key names → KeyboardEvent.key ('Space' is ' ')
+      const key = action.key === 'Space' ? ' ' : action.key;
+      const target = doc.activeElement || doc.body;
+      for (const type of ['keydown', 'keyup']) {
+        target.dispatchEvent(new win.KeyboardEvent(type, { key, code: action.key, bubbles: true }));
+      }
+    } else if (action.type === 'manifest') {
+      // Page-declared beats (window.__htmlToVideo)
+      const api = win.__htmlToVideo;
+      if (typeof api?.goTo === 'function') api.goTo(beatIndex);
+      else api?.next?.();
+    } else if (action.type === 'eval') {
+      const parts = action.fn.split('.');
+      const owner = parts.slice(0, -1).reduce((obj, key) => obj?.[key], win);
+      owner?.[parts[parts.length - 1]]?.call(owner);
+    }
+  }
+
   resetPreview() {
     this.clickCount = 0;
     this.clickCounter.textContent = 'Clicks: 0';
     if (this.currentFile) {
-      this.iframe.src = `/input/${this.currentFile}`;
+      this.iframe.src = fileUrl(`input/${this.currentFile}`);
     }
   }
 }
@@ -1,3 +1,5 @@
+import { apiUrl, fileUrl } from '../project.js';
+
 function formatTime(totalSec) {
   const m = Math.floor(totalSec / 60);
   const s = Math.floor(totalSec % 60);
@@ -16,6 +18,14 @@ export class RenderQueue {
     this.render();
   }
 
+  markRunning(jobId) {
+    const job = this.jobs.get(jobId);
+    if (job) {
+      job.status = 'running';
+      this.render();
+    }
+  }
+
   updateProgress(jobId, progress) {
     const job = this.jobs.get(jobId);
     if (job) {
@@ -52,7 +62,7 @@ export class RenderQueue {
   }
 
   async cancelJob(jobId) {
-    await fetch(`/api/render/${jobId}/cancel`, { method: 'POST' });
+    await fetch(apiUrl(`/render/${jobId}/cancel`), { method: 'POST' });
   }
 
   render() {
@@ -73,10 +83,13 @@ export class RenderQueue {
 
       let actionsHtml = '';
       let timelineHtml = '';
-      if (job.status === 'running') {
+      if (job.status === 'running' || job.status === 'queued') {
         actionsHtml = `<button class="cancel-btn" data-job="${id}">Cancel</button>`;
       } else if (job.status === 'done') {
-        actionsHtml = `<a href="/output/${job.outputName}" download class="small-btn" style="text-decoration:none;display:inline-block">Download</a>`;
+        // PNG sequences are folders — nothing single to download
+        actionsHtml = job.outputName?.endsWith('.png')
+          ? `<span class="small-btn" title="output/${job.outputName}/">PNG sequence in output/</span>`
+          : `<a href="${fileUrl(`output/${job.outputName}`)}" download class="small-btn" style="text-decoration:none;display:inline-block">Download</a>`;
         if (job.timelineOffset > 0) {
           timelineHtml = `<div class="timeline-info">Place at <strong>${formatTime(job.timelineOffset)}</strong> on timeline</div>`;
         }
@@ -127,7 +140,7 @@ export class RenderQueue {
   }
 
   async loadExisting() {
-    const res = await fetch('/api/render');
+    const res = await fetch(apiUrl('/render'));
     const jobs = await res.json();
     for (const job of jobs) {
       this.jobs.set(job.id, job);
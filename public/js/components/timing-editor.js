@@ -1,3 +1,23 @@
+import { apiUrl, fileUrl } from '../project.js';
+
+// What wrote each timing version (history entry "action")
+const ACTION_LABELS = {
+  initial: 'Before history',
+  manual: 'Manual edit',
+  locks: 'Locks changed',
+  'srt-upload': 'Transcript upload',
+  snap: 'Snap to speech',
+  'project-match': 'Project SRT match',
+  'rematch-segment': 'Segment moved',
+  analyze: 'Analyze',
+  'analyze-all': 'Analyze All',
+  sync: 'Project sync',
+  restore: 'Restored',
+  undo: 'Undo',
+  redo: 'Redo',
+  'snapshot-restore': 'Rolled back',
+};
+
 export class TimingEditor {
   constructor(onTimingChange) {
     this.onTimingChange = onTimingChange;
@@ -5,6 +25,9 @@ export class TimingEditor {
     this.beatTimes = [];
     this.mapping = null;
     this.cues = []; // full SRT cue list for the browser panel
+    this.snap = null; // { windowMs, deltas } when the timing was snapped to speech
+    this.lockedBeats = []; // beat indices re-matching keeps (hand-tuned)
+    this.locked = false; // whole file locked
 
     this.timingInput = document.getElementById('timing-input');
     this.btnSave = document.getElementById('btn-save-timing');
@@ -13,6 +36,15 @@ export class TimingEditor {
     this.srtResult = document.getElementById('srt-result');
     this.timingPreview = document.getElementById('timing-preview');
     this.timingList = document.getElementById('timing-list');
+    this.snapSummary = document.getElementById('snap-summary');
+    this.btnSnap = document.getElementById('btn-snap-timing');
+    this.fileLock = document.getElementById('timing-file-lock');
+    this.btnUndo = document.getElementById('btn-timing-undo');
+    this.btnRedo = document.getElementById('btn-timing-redo');
+    this.historySelect = document.getElementById('timing-history');
+    this.btnRestore = document.getElementById('btn-timing-restore');
+    this.historyDiff = document.getElementById('timing-history-diff');
+    this.history = null; // { versions, current, undo, redo }
 
     this.tabs = document.querySelectorAll('.timing-tabs .tab');
     this.tabManual = document.getElementById('tab-manual');
@@ -21,6 +53,7 @@ export class TimingEditor {
     this.setupTabs();
     this.setupManual();
     this.setupSrt();
+    this.setupHistory();
   }
 
   setupTabs() {
@@ -37,6 +70,18 @@ export class TimingEditor {
 
   setupManual() {
     this.btnSave.addEventListener('click', () => this.saveManualTiming());
+    this.btnSnap.addEventListener('click', () => this.snapToSpeech());
+
+    this.fileLock.addEventListener('change', () => this.saveLocks({ locked: this.fileLock.checked }));
+    this.timingList.addEventListener('click', (e) => {
+      const btn = e.target.closest('.beat-lock');
+      if (!btn) return;
+      const idx = parseInt(btn.dataset.idx);
+      const lockedBeats = this.lockedBeats.includes(idx)
+        ? this.lockedBeats.filter(i => i !== idx)
+        : [...this.lockedBeats, idx];
+      this.saveLocks({ lockedBeats });
+    });
   }
 
   setupSrt() {
@@ -51,7 +96,7 @@ export class TimingEditor {
       e.preventDefault();
       this.srtDropZone.classList.remove('dragover');
       const file = e.dataTransfer.files[0];
-      if (file && file.name.endsWith('.srt')) {
+      if (file && /\.(srt|vtt|json)$/i.test(file.name)) {
         this.uploadSrt(file);
       }
     });
@@ -61,14 +106,23 @@ export class TimingEditor {
     });
   }
 
+  setupHistory() {
+    this.btnUndo.addEventListener('click', () => this.stepHistory('undo'));
+    this.btnRedo.addEventListener('click', () => this.stepHistory('redo'));
+    this.historySelect.addEventListener('change', () => this.showVersionDiff());
+    this.btnRestore.addEventListener('click', () => this.restoreVersion());
+  }
+
   async loadFile(name) {
     this.currentFile = name;
     this.srtResult.hidden = true;
     this.mapping = null;
     this.cues = [];
 
-    const res = await fetch(`/api/timing/${name}`);
+    const res = await fetch(apiUrl(`/timing/${name}`));
     const data = await res.json();
+    this.snap = data.method === 'onset-snap' ? data.snap : null;
+    this.setLockState(data);
 
     if (data.beatTimes && data.beatTimes.length > 0) {
       this.beatTimes = data.beatTimes;
@@ -88,6 +142,8 @@ export class TimingEditor {
       this.timingPreview.hidden = true;
       this.onTimingChange(null);
     }
+
+    await this.loadHistory();
   }
 
   async saveManualTiming() {
@@ -105,7 +161,7 @@ export class TimingEditor {
     if (times.length === 0) return;
     times.sort((a, b) => a - b);
 
-    const res = await fetch(`/api/timing/${this.currentFile}`, {
+    const res = await fetch(apiUrl(`/timing/${this.currentFile}`), {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ beatTimes: times }),
@@ -113,9 +169,166 @@ export class TimingEditor {
 
     const data = await res.json();
     this.beatTimes = data.beatTimes;
+    this.snap = null;
+    this.setLockState(data);
     this.timingInput.value = this.beatTimes.join(', ');
     this.showTimingPreview();
     this.onTimingChange(this.beatTimes);
+    this.loadHistory();
+  }
+
+  // ─── Locks ───
+
+  setLockState(data) {
+    this.lockedBeats = data.lockedBeats || [];
+    this.locked = !!data.locked;
+    this.fileLock.checked = this.locked;
+  }
+
+  /**
+   * Lock or unlock beats / the whole file. Locked beats keep their time when
+   * the project SRT is re-matched or the file is re-analyzed.
+   */
+  async saveLocks(body) {
+    if (!this.currentFile) return;
+
+    const res = await fetch(apiUrl(`/timing/${this.currentFile}/locks`), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (data.error) {
+      alert(data.error);
+      this.fileLock.checked = this.locked;
+      return;
+    }
+
+    this.setLockState(data);
+    this.showTimingPreview();
+    this.srtResult.querySelectorAll('.mapping-row-edit').forEach(row => {
+      row.classList.toggle('locked', this.lockedBeats.includes(parseInt(row.dataset.beatIdx)));
+    });
+    this.loadHistory();
+  }
+
+  // ─── History ───
+
+  /**
+   * Load the file's timing versions into the history picker and enable
+   * undo/redo when there is something to step to.
+   */
+  async loadHistory() {
+    if (!this.currentFile) return;
+
+    const res = await fetch(apiUrl(`/timing/${this.currentFile}/history`));
+    this.history = await res.json();
+    const { versions, current, undo, redo } = this.history;
+
+    this.btnUndo.disabled = undo == null;
+    this.btnRedo.disabled = redo == null;
+    this.historySelect.innerHTML = [...versions].reverse().map(v => {
+      const when = new Date(v.at).toLocaleString();
+      const label = `v${v.version} · ${ACTION_LABELS[v.action] || v.action} · ${v.beatCount} beats · ${when}`;
+      return `<option value="${v.version}"${v.version === current ? ' selected' : ''}>${this.escapeHtml(label)}${v.version === current ? ' (current)' : ''}</option>`;
+    }).join('');
+    this.historySelect.disabled = versions.length < 2;
+    this.btnRestore.hidden = true;
+    this.historyDiff.hidden = true;
+  }
+
+  /**
+   * Show how the picked version differs from the current timing.
+   */
+  async showVersionDiff() {
+    const version = parseInt(this.historySelect.value);
+    const isCurrent = version === this.history?.current;
+    this.btnRestore.hidden = isCurrent;
+    this.historyDiff.hidden = isCurrent;
+    if (isCurrent) return;
+
+    const res = await fetch(apiUrl(`/timing/${this.currentFile}/diff?from=${this.history.current}&to=${version}`));
+    const diff = await res.json();
+    if (diff.error) {
+      this.historyDiff.textContent = diff.error;
+      return;
+    }
+
+    const notes = [];
+    if (diff.beatCount.from !== diff.beatCount.to) notes.push(`${diff.beatCount.from} → ${diff.beatCount.to} beats`);
+    for (const f of diff.fields) notes.push(`${f.field}: ${JSON.stringify(f.from)} → ${JSON.stringify(f.to)}`);
+    const beats = diff.beats.map(b => {
+      const from = b.from != null ? this.formatTime(b.from) : '—';
+      const to = b.to != null ? this.formatTime(b.to) : '—';
+      const delta = b.delta != null ? ` (${b.delta > 0 ? '+' : ''}${Math.round(b.delta * 1000)}ms)` : '';
+      return `<li>#${b.beat + 1}: ${from} → ${to}${delta}</li>`;
+    }).join('');
+
+    const summary = diff.beats.length > 0 ? `${diff.beats.length} beats differ from the current timing` : 'Same beat times as the current timing';
+    this.historyDiff.innerHTML = `${summary}${notes.length > 0 ? ` — ${this.escapeHtml(notes.join(', '))}` : ''}${beats ? `<ul>${beats}</ul>` : ''}`;
+  }
+
+  async restoreVersion() {
+    const version = parseInt(this.historySelect.value);
+    await this.applyHistoryChange(`/timing/${this.currentFile}/restore`, { version });
+  }
+
+  async stepHistory(direction) {
+    await this.applyHistoryChange(`/timing/${this.currentFile}/${direction}`, {});
+  }
+
+  async applyHistoryChange(path, body) {
+    if (!this.currentFile) return;
+
+    const res = await fetch(apiUrl(path), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (data.error) {
+      alert(data.error);
+      return;
+    }
+    await this.loadFile(this.currentFile);
+  }
+
+  /**
+   * Snap the saved beat times to speech onsets in the project voiceover.
+   */
+  async snapToSpeech() {
+    if (!this.currentFile) return;
+
+    this.btnSnap.disabled = true;
+    this.btnSnap.textContent = 'Snapping...';
+    try {
+      const res = await fetch(apiUrl(`/timing/${this.currentFile}/snap`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{}',
+      });
+      const data = await res.json();
+      if (data.error) {
+        alert(data.error);
+        return;
+      }
+
+      this.beatTimes = data.beatTimes;
+      this.snap = data.snap;
+      this.setLockState(data);
+      this.timingInput.value = this.beatTimes.join(', ');
+      if (this.mapping && this.mapping.length > 0) {
+        await this.renderEditableMapping(data);
+      }
+      this.showTimingPreview();
+      this.onTimingChange(this.beatTimes);
+      this.loadHistory();
+    } catch (err) {
+      alert(`Snap failed: ${err.message}`);
+    } finally {
+      this.btnSnap.disabled = false;
+      this.btnSnap.textContent = 'Snap to Speech';
+    }
   }
 
   async uploadSrt(file) {
@@ -124,7 +337,7 @@ export class TimingEditor {
     const form = new FormData();
     form.append('srt', file);
 
-    const res = await fetch(`/api/timing/${this.currentFile}/srt`, {
+    const res = await fetch(apiUrl(`/timing/${this.currentFile}/srt`), {
       method: 'POST',
       body: form,
     });
@@ -138,6 +351,8 @@ export class TimingEditor {
     }
 
     this.beatTimes = data.beatTimes;
+    this.snap = null;
+    this.setLockState(data);
     this.mapping = data.mapping;
     this.cues = data.cues || [];
     this.timingInput.value = this.beatTimes.join(', ');
@@ -145,6 +360,7 @@ export class TimingEditor {
     await this.renderEditableMapping(data);
     this.showTimingPreview();
     this.onTimingChange(this.beatTimes);
+    this.loadHistory();
   }
 
   /**
@@ -161,7 +377,7 @@ export class TimingEditor {
     let beatThumbs = [];
     if (this.currentFile) {
       try {
-        const analysisRes = await fetch(`/api/files`);
+        const analysisRes = await fetch(apiUrl(`/files`));
         const files = await analysisRes.json();
         const file = files.find(f => f.name === this.currentFile);
         if (file?.analysis?.beatThumbs) {
@@ -197,11 +413,12 @@ export class TimingEditor {
       const beatLabel = m.beatText ? this.truncate(m.beatText, 45) : '(no text)';
       const cueLabel = m.cueText ? this.truncate(m.cueText, 45) : '';
       const scoreLabel = m.score > 0 ? `${m.score}%` : '';
-      const thumbSrc = beatThumbs[i] ? `/data/thumbs/${beatThumbs[i]}` : null;
+      const thumbSrc = beatThumbs[i] ? fileUrl(`data/thumbs/${beatThumbs[i]}`) : null;
 
-      html += `<div class="mapping-row-edit ${cls}" data-beat-idx="${i}">`;
+      const lockCls = this.lockedBeats.includes(i) ? ' locked' : '';
+      html += `<div class="mapping-row-edit ${cls}${lockCls}" data-beat-idx="${i}">`;
       html += `  <button class="beat-delete" data-idx="${i}" title="Remove beat">&#10005;</button>`;
-      html += `  <div class="map-beat-num">#${i + 1}</div>`;
+      html += `  <div class="map-beat-num">#${i + 1}<span class="map-lock" title="Locked — kept when re-matching">&#128274;</span></div>`;
       if (thumbSrc) {
         html += `  <div class="map-thumb"><img src="${thumbSrc}" alt="Beat ${i + 1}" loading="lazy" /></div>`;
       }
@@ -374,6 +591,8 @@ export class TimingEditor {
 
     this.mapping.splice(idx, 1);
     this.beatTimes.splice(idx, 1);
+    this.snap?.deltas.splice(idx, 1);
+    this.lockedBeats = this.lockedBeats.filter(i => i !== idx).map(i => (i > idx ? i - 1 : i));
 
     // Re-render by rebuilding from current state
     const data = {
@@ -406,17 +625,24 @@ export class TimingEditor {
       times.push(seconds);
     }
 
-    const res = await fetch(`/api/timing/${this.currentFile}`, {
+    const res = await fetch(apiUrl(`/timing/${this.currentFile}`), {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ beatTimes: times }),
+      // Locks follow beats deleted from the table (see deleteBeat)
+      body: JSON.stringify({ beatTimes: times, lockedBeats: this.lockedBeats }),
     });
 
     const data = await res.json();
     this.beatTimes = data.beatTimes;
+    this.snap = null;
+    this.setLockState(data);
     this.timingInput.value = this.beatTimes.join(', ');
     this.showTimingPreview();
     this.onTimingChange(this.beatTimes);
+    this.srtResult.querySelectorAll('.mapping-row-edit').forEach(row => {
+      row.classList.toggle('locked', this.lockedBeats.includes(parseInt(row.dataset.beatIdx)));
+    });
+    this.loadHistory();
 
     const btn = document.getElementById('btn-apply-mapping');
     btn.textContent = 'Saved!';
@@ -463,8 +689,26 @@ export class TimingEditor {
       return;
     }
     this.timingPreview.hidden = false;
-    this.timingList.innerHTML = this.beatTimes.map((t, i) =>
-      `<span class="beat-chip"><span class="beat-num">#${i + 1}</span>${this.formatTime(t)}</span>`
-    ).join('');
+
+    // After a snap, each chip shows how far its beat moved
+    const deltas = this.snap?.deltas || [];
+    const moved = deltas.filter(d => d.delta !== 0).length;
+    this.snapSummary.textContent = this.snap
+      ? `Snapped to speech: ${moved}/${deltas.length} beats moved (±${this.snap.windowMs}ms)`
+      : '';
+
+    this.timingList.innerHTML = this.beatTimes.map((t, i) => {
+      const d = deltas[i];
+      let delta = '';
+      if (d && d.kind !== 'locked') {
+        const ms = Math.round(d.delta * 1000);
+        const title = ms !== 0 ? `Was ${this.formatTime(d.before)} — snapped to speech ${d.kind}` : 'No speech onset in range';
+        delta = `<span class="beat-delta${ms !== 0 ? ' moved' : ''}" title="${title}">${ms > 0 ? '+' : ''}${ms}ms</span>`;
+      }
+      const isLocked = this.locked || this.lockedBeats.includes(i);
+      const lockTitle = this.locked ? 'Whole file locked' : isLocked ? 'Locked — click to unlock' : 'Lock this beat so re-matching keeps it';
+      const lock = `<button class="beat-lock" data-idx="${i}" title="${lockTitle}"${this.locked ? ' disabled' : ''}>${isLocked ? '&#128274;' : '&#128275;'}</button>`;
+      return `<span class="beat-chip${isLocked ? ' locked' : ''}">${lock}<span class="beat-num">#${i + 1}</span>${this.formatTime(t)}${delta}</span>`;
+    }).join('');
   }
 }
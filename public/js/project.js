@@ -0,0 +1,37 @@
+// Active project — every API call and file URL is scoped to it.
+// Kept per browser in localStorage; switching reloads the page.
+
+const STORAGE_KEY = 'htmlToVideo.projectId';
+
+export const DEFAULT_PROJECT = 'default';
+
+export let projectId = localStorage.getItem(STORAGE_KEY) || DEFAULT_PROJECT;
+
+/** '/files' → '/api/projects/<id>/files' */
+export function apiUrl(path) {
+  return `/api/projects/${encodeURIComponent(projectId)}${path}`;
+}
+
+/** 'input/a.html' → '/projects/<id>/input/a.html' (input/, output/ and data/thumbs/) */
+export function fileUrl(path) {
+  return `/projects/${encodeURIComponent(projectId)}/${path}`;
+}
+
+export function switchProject(id) {
+  localStorage.setItem(STORAGE_KEY, id);
+  location.reload();
+}
+
+/**
+ * Load the project list; falls back to the default project when the
+ * stored one no longer exists.
+ */
+export async function loadProjects() {
+  const res = await fetch('/api/projects');
+  const projects = await res.json();
+  if (!projects.some(p => p.id === projectId)) {
+    projectId = DEFAULT_PROJECT;
+    localStorage.setItem(STORAGE_KEY, projectId);
+  }
+  return projects;
+}
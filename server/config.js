@@ -1,30 +1,117 @@
 const path = require('path');
+const { currentProjectId, DEFAULT_PROJECT } = require('./services/project-context');
 
 const ROOT = path.resolve(__dirname, '..');
+const PROJECTS_DIR = path.join(ROOT, 'projects');
+
+/**
+ * A project's input/, data/ or output/ folder — the default project uses the
+ * top-level ones, every other project its own under projects/<id>/.
+ */
+function projectDir(projectId, kind) {
+  return projectId === DEFAULT_PROJECT ? path.join(ROOT, kind) : path.join(PROJECTS_DIR, projectId, kind);
+}
+
+// H.264 settings shared by the MP4 output presets
+const H264 = { codec: 'libx264', crf: 18, preset: 'medium', tune: 'animation', pixelFormat: 'yuv420p' };
 
 module.exports = {
   PORT: 3847,
   ROOT,
-  INPUT_DIR: path.join(ROOT, 'input'),
-  OUTPUT_DIR: path.join(ROOT, 'output'),
-  DATA_DIR: path.join(ROOT, 'data'),
+  PROJECTS_DIR,
+  projectDir,
+  // Folders of the project the current request runs in (see services/project-context.js)
+  get INPUT_DIR() { return projectDir(currentProjectId(), 'input'); },
+  get OUTPUT_DIR() { return projectDir(currentProjectId(), 'output'); },
+  get DATA_DIR() { return projectDir(currentProjectId(), 'data'); },
 
-  // Render defaults
+  // Preflight viewport, and the fallback for analyses and outputs made before presets existed
   WIDTH: 1920,
   HEIGHT: 1080,
   FPS: 30,
   FRAME_INTERVAL_MS: 1000 / 30, // ~33.33ms
 
-  // ffmpeg encoding
-  CRF: 18,
-  PRESET: 'slow',
-  TUNE: 'animation',
-  PIXEL_FMT: 'yuv420p',
+  // 'deterministic' steps a virtual page clock 1/FPS per frame (frame-identical renders);
+  // 'realtime' waits wall-clock time between screenshots (legacy, load-sensitive)
+  CAPTURE_MODE: 'deterministic',
+
+  // Render scheduler — max concurrent Chromium+ffmpeg pipelines
+  RENDER_CONCURRENCY: 3,
+
+  // Shared Chromium pool (analysis + rendering) — keep >= RENDER_CONCURRENCY
+  BROWSER_POOL_SIZE: 3,          // max browsers kept warm
+  BROWSER_MAX_USES: 50,          // recycle a browser after this many jobs
+  BROWSER_HEALTH_TIMEOUT_MS: 5000,
+
+  // Output presets — POST /api/render, /variants and /all take { preset, overrides }.
+  // width/height are output pixels; the page viewport is width/height ÷ deviceScaleFactor.
+  DEFAULT_OUTPUT_PRESET: 'youtube',
+  OUTPUT_PRESETS: {
+    youtube: { label: 'YouTube 16:9', width: 1920, height: 1080, deviceScaleFactor: 1, fps: 30, encoder: H264 },
+    shorts: { label: 'Shorts / Reels 9:16', width: 1080, height: 1920, deviceScaleFactor: 1, fps: 30, encoder: H264 },
+    feed: { label: 'Feed 1:1', width: 1080, height: 1080, deviceScaleFactor: 1, fps: 30, encoder: H264 },
+  },
+
+  // Transparent-background outputs — render requests take { alpha: 'prores' | 'webm' | 'png' }.
+  // Frames are captured as PNG with the page background removed.
+  ALPHA_FORMATS: {
+    prores: { label: 'ProRes 4444 (.mov)', container: 'mov', encoder: { codec: 'prores_ks', profile: '4444', pixelFormat: 'yuva444p10le' } },
+    webm: { label: 'VP9 alpha (.webm)', container: 'webm', encoder: { codec: 'libvpx-vp9', crf: 30, pixelFormat: 'yuva420p' } },
+    png: { label: 'PNG sequence (folder)', container: 'png', encoder: null },
+  },
 
-  // Beat detection selectors
-  SLIDE_SELECTOR: '.slide',
-  STEP_ITEM_SELECTOR: '.step-item',
+  // Master timeline render (POST /api/render/master)
+  MASTER_GAP_FILL: 'hold',       // 'hold' the previous clip's last frame, or 'background'
+  MASTER_BACKGROUND: '#000000',  // lead-in, and gap colour in 'background' mode
+
+  // DOM conventions for click-probing beat detection. A project picks a profile
+  // (and may override single fields) in its settings — PUT /api/import/project/settings.
+  // slideSelector: one element per slide; activeClass: marks the current slide;
+  // stepSelector: revealable items; revealedClasses: any of these marks an item as shown.
+  DEFAULT_DOM_PROFILE: 'default',
+  DOM_PROFILES: {
+    default: { label: 'Default (.slide / .step-item)', slideSelector: '.slide', activeClass: 'active', stepSelector: '.step-item', revealedClasses: ['revealed', 'visible'] },
+    scenes: { label: 'Scenes (.scene / .fragment)', slideSelector: '.scene', activeClass: 'is-current', stepSelector: '.fragment', revealedClasses: ['shown'] },
+    revealjs: { label: 'reveal.js', slideSelector: '.slides section', activeClass: 'present', stepSelector: '.fragment', revealedClasses: ['visible'] },
+    impress: { label: 'impress.js', slideSelector: '.step', activeClass: 'active', stepSelector: '.substep', revealedClasses: ['substep-visible'] },
+  },
+
+  // Script-to-transcript segment matching (project SRT upload). 'window' scores each
+  // segment's best run of cues on its own; 'global' aligns all scripts against the
+  // whole transcript at once. A project can pick its own in its settings.
+  SEGMENT_ALIGNMENT: 'window',
+
+  // Speech onset snapping (POST /api/timing/:name/snap) — beats move to the nearest
+  // point where speech starts in the voiceover, or a new word starts within speech
+  ONSET_SNAP_WINDOW_MS: 250,     // furthest a beat is moved
+  ONSET_FRAME_MS: 10,            // energy envelope resolution
+  ONSET_THRESHOLD_DB: 12,        // speech = this far above the recording's noise floor
+  ONSET_MIN_SILENCE_MS: 80,      // silence needed before speech counts as an onset
+  ONSET_RISE_DB: 6,              // energy rise after a dip that marks a word boundary
+
+  // Visual beat detection — used for pages without the DOM profile's slides/step items
+  // (canvas, SVG, GSAP...): a click that changes enough pixels is a beat
+  VISUAL_DIFF_SCALE: 0.25,       // screenshots are compared downscaled by this factor
+  VISUAL_DIFF_TOLERANCE: 16,     // per-channel change (0–255) still counted as the same pixel
+  VISUAL_BEAT_THRESHOLD: 0.002,  // fraction of changed pixels that makes a click a beat
+  VISUAL_SETTLE_MAX_MS: 3000,    // longest wait for the page to stop moving after a click
+  VISUAL_IDLE_SAMPLE_MS: 1000,   // watch the page this long with no input to measure its own motion
+  VISUAL_IDLE_NOISE_MAX: 0.25,   // pages changing more than this fraction on their own can't be analyzed by pixels
 
   // How long to wait after a click for CSS transitions to finish (ms)
   DEFAULT_TRANSITION_DURATION: 600,
+  // Cap on a beat's measured transition (delays + durations × iterations), in ms
+  BEAT_TRANSITION_MAX_MS: 5000,
+  // Variant check: wait after each replayed advance before reading the revealed texts (ms)
+  VARIANT_CHECK_WAIT_MS: 150,
+
+  // Transition detection during capture: 'fixed' screenshots every frame for the
+  // transition window after a click; 'adaptive' keeps screenshotting until the
+  // page stops changing, then reuses the settled frame
+  TRANSITION_DETECTION: 'adaptive',
+  SETTLE_FRAMES: 6,              // consecutive unchanged frames that count as settled
+  SETTLE_THRESHOLD: 0,           // fraction of pixels allowed to differ (0 = pixel-identical)
+  SETTLE_MAX_MS: 8000,           // give up waiting for a beat to settle after this long
+  SETTLE_PROBE_SCALE: 0.25,      // frames are compared on a screenshot downscaled by this factor
+  SETTLE_HOLD_PROBE_MS: 100,     // while a settled frame is held, re-check the page this often
 };
@@ -5,11 +5,13 @@ const path = require('path');
 const fs = require('fs');
 const chokidar = require('chokidar');
 const config = require('./config');
+const { shutdownPool } = require('./services/browser-pool');
+const { DEFAULT_PROJECT, currentProjectId, runInProject } = require('./services/project-context');
+const { projectExists, ensureProjectDirs, listProjects } = require('./services/projects');
 
-// Ensure directories exist
-[config.INPUT_DIR, config.OUTPUT_DIR, config.DATA_DIR].forEach(dir => {
-  fs.mkdirSync(dir, { recursive: true });
-});
+// Ensure directories exist (the default project's, and the projects/ root)
+ensureProjectDirs(DEFAULT_PROJECT);
+fs.mkdirSync(config.PROJECTS_DIR, { recursive: true });
 
 const app = express();
 const server = http.createServer(app);
@@ -23,8 +25,9 @@ wss.on('connection', (ws) => {
   ws.on('close', () => wsClients.delete(ws));
 });
 
+// Every message is tagged with the project it belongs to — clients skip other projects'
 function broadcast(data) {
-  const msg = JSON.stringify(data);
+  const msg = JSON.stringify({ projectId: currentProjectId(), ...data });
   for (const ws of wsClients) {
     if (ws.readyState === 1) ws.send(msg);
   }
@@ -37,40 +40,78 @@ app.set('broadcast', broadcast);
 app.use(express.json());
 app.use(express.static(path.join(config.ROOT, 'public')));
 
-// Serve input HTML files so Puppeteer and iframe can access them
-app.use('/input', express.static(config.INPUT_DIR));
-app.use('/output', express.static(config.OUTPUT_DIR));
-app.use('/data/thumbs', express.static(path.join(config.DATA_DIR, 'thumbs')));
+// Run the rest of the request in the project named in the URL
+function projectScope(req, res, next) {
+  if (!projectExists(req.params.projectId)) {
+    return res.status(404).json({ error: `Project not found: ${req.params.projectId}` });
+  }
+  runInProject(req.params.projectId, next);
+}
+
+// Serve input HTML files so Puppeteer and iframe can access them — the folders
+// follow the project, so the static handlers are created per request
+const projectFiles = express.Router();
+projectFiles.use('/input', (req, res, next) => express.static(config.INPUT_DIR)(req, res, next));
+projectFiles.use('/output', (req, res, next) => express.static(config.OUTPUT_DIR)(req, res, next));
+projectFiles.use('/data/thumbs', (req, res, next) => express.static(path.join(config.DATA_DIR, 'thumbs'))(req, res, next));
+app.use('/projects/:projectId', projectScope, projectFiles);
+app.use('/', projectFiles);
 
-// Routes
-app.use('/api/files', require('./routes/files'));
-app.use('/api/timing', require('./routes/timing'));
-app.use('/api/render', require('./routes/render'));
-app.use('/api/import', require('./routes/import'));
-app.use('/api/export', require('./routes/export'));
+// Routes — /api/projects/:projectId/... per project, plain /api/... for the default project
+const api = express.Router();
+api.use('/files', require('./routes/files'));
+api.use('/timing', require('./routes/timing'));
+api.use('/render', require('./routes/render'));
+api.use('/import', require('./routes/import'));
+api.use('/export', require('./routes/export'));
+app.use('/api/projects', require('./routes/projects'));
+app.use('/api/projects/:projectId', projectScope, api);
+app.use('/api', api);
 
-// Watch input folder for new files
-const watcher = chokidar.watch(config.INPUT_DIR, {
+// Watch each project's input folder for new files
+const watcher = chokidar.watch([], {
   ignored: /(^|[\/\\])\./,
   ignoreInitial: true,
 });
+const watchedInputs = new Map(); // input folder → project id
 
-watcher.on('add', (filePath) => {
-  if (filePath.endsWith('.html')) {
-    broadcast({ type: 'file-added', name: path.basename(filePath) });
-  }
-});
+function watchProjectInput(projectId) {
+  const dir = config.projectDir(projectId, 'input');
+  watchedInputs.set(dir, projectId);
+  watcher.add(dir);
+}
+app.set('watchProjectInput', watchProjectInput);
 
-watcher.on('unlink', (filePath) => {
-  if (filePath.endsWith('.html')) {
-    broadcast({ type: 'file-removed', name: path.basename(filePath) });
+function unwatchProjectInput(projectId) {
+  const dir = config.projectDir(projectId, 'input');
+  watchedInputs.delete(dir);
+  watcher.unwatch(dir);
+}
+app.set('unwatchProjectInput', unwatchProjectInput);
+listProjects().forEach(p => watchProjectInput(p.id));
+
+// Only top-level HTML files are pages — subfolders hold imported assets
+function onInputChange(type, filePath) {
+  const projectId = watchedInputs.get(path.dirname(filePath));
+  if (filePath.endsWith('.html') && projectId) {
+    runInProject(projectId, () => broadcast({ type, name: path.basename(filePath) }));
   }
-});
+}
+watcher.on('add', (filePath) => onInputChange('file-added', filePath));
+watcher.on('unlink', (filePath) => onInputChange('file-removed', filePath));
+
+// Close pooled browsers so no Chromium processes are left behind
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    shutdownPool().finally(() => process.exit(0));
+  });
+}
 
 server.listen(config.PORT, () => {
   console.log(`\n  HTML-to-Video Renderer`);
   console.log(`  ─────────────────────`);
   console.log(`  UI:     http://localhost:${config.PORT}`);
   console.log(`  Input:  ${config.INPUT_DIR}`);
-  console.log(`  Output: ${config.OUTPUT_DIR}\n`);
+  console.log(`  Output: ${config.OUTPUT_DIR}`);
+  console.log(`  Projects: ${config.PROJECTS_DIR}\n`);
 });
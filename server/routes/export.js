@@ -4,19 +4,24 @@ const path = require('path');
 const fs = require('fs');
 const config = require('../config');
 
-const { parseSrt } = require('../services/srt-parser');
+const { parseTranscript } = require('../services/srt-parser');
+const { getRenderRecord } = require('../services/render-cache');
+const { resolveOutputSettings } = require('../services/output-settings');
+const { getVoiceover } = require('../services/audio');
 
 const MIN_CLIP_DURATION_SEC = 1.0;
 
 // Parse timeline offset and option number from rendered filename
-// Pattern: {seq}_{baseName}_@{mm}m{ss}s{ms}.mp4
+// Pattern: {seq}_{baseName}_@{mm}m{ss}s{ms}[_{variant}][.{preset}][.vo].{mp4|mov|webm|png}
+// (files rendered before output presets have no preset tag — treated as the default preset;
+//  .png is a folder holding a PNG sequence)
 function parseOutputFilename(filename) {
   const match = filename.match(
-    /^(\d{3})_(.+?)_@(\d{2})m(\d{2})s(\d{3})(?:_([^.]+))?\.mp4$/
+    /^(\d{3})_(.+?)_@(\d{2})m(\d{2})s(\d{3})(?:_([^.]+))?(?:\.([a-z0-9-]+))?(\.vo)?\.(mp4|mov|webm|png)$/
   );
   if (!match) return null;
 
-  const [, seq, baseName, mm, ss, ms, variant] = match;
+  const [, seq, baseName, mm, ss, ms, variant, preset, voiceover, container] = match;
   const offsetSec = parseInt(mm) * 60 + parseInt(ss) + parseInt(ms) / 1000;
 
   // Extract option number from baseName (e.g. SEGMENT_0001_Option2 -> 2)
@@ -27,6 +32,10 @@ function parseOutputFilename(filename) {
     seq: parseInt(seq),
     baseName,
     variant: variant || null,
+    preset: preset || config.DEFAULT_OUTPUT_PRESET,
+    container,
+    alpha: container !== 'mp4',
+    audio: !!voiceover,
     offsetSec,
     optionNum,
     htmlName: baseName + '.html',
@@ -39,6 +48,9 @@ function buildClipitem(clip, index, fps, width, height) {
   const durationFrames = Math.round(clip.durationSec * fps);
   const endFrame = startFrame + durationFrames;
   const fileUrl = `file://localhost${clip.filePath}`;
+  // Alpha renders (ProRes 4444 / VP9 / PNG) carry straight, unpremultiplied alpha
+  const alphaXml = clip.alpha ? `
+            <alphatype>straight</alphatype>` : '';
 
   return `
           <clipitem id="clip-${index}">
@@ -48,7 +60,7 @@ function buildClipitem(clip, index, fps, width, height) {
             <start>${startFrame}</start>
             <end>${endFrame}</end>
             <in>0</in>
-            <out>${durationFrames}</out>
+            <out>${durationFrames}</out>${alphaXml}
             <file id="${fileId}">
               <name>${escapeXml(clip.filename)}</name>
               <pathurl>${escapeXml(fileUrl)}</pathurl>
@@ -66,12 +78,91 @@ function buildClipitem(clip, index, fps, width, height) {
           </clipitem>`;
 }
 
+/**
+ * Audio track holding the original voiceover file at 0:00 — referenced, not re-encoded.
+ * Voiceovers uploaded before the channel count was recorded are taken as stereo.
+ */
+function buildVoiceoverTrack(voiceover, fps) {
+  const durationFrames = Math.round(voiceover.duration * fps);
+  const fileUrl = `file://localhost${voiceover.path}`;
+
+  return `
+        <track><!-- Voiceover -->
+          <clipitem id="voiceover-1">
+            <name>${escapeXml(voiceover.originalName)}</name>
+            <duration>${durationFrames}</duration>
+            <rate><timebase>${fps}</timebase><ntsc>FALSE</ntsc></rate>
+            <start>0</start>
+            <end>${durationFrames}</end>
+            <in>0</in>
+            <out>${durationFrames}</out>
+            <file id="file-voiceover">
+              <name>${escapeXml(voiceover.originalName)}</name>
+              <pathurl>${escapeXml(fileUrl)}</pathurl>
+              <rate><timebase>${fps}</timebase><ntsc>FALSE</ntsc></rate>
+              <duration>${durationFrames}</duration>
+              <media>
+                <audio>
+                  <channelcount>${voiceover.channels || 2}</channelcount>
+                </audio>
+              </media>
+            </file>
+            <sourcetrack>
+              <mediatype>audio</mediatype>
+              <trackindex>1</trackindex>
+            </sourcetrack>
+          </clipitem>
+        </track>`;
+}
+
+/**
+ * Media file the XML should point at. A PNG sequence folder is referenced
+ * by its first frame (import it as an image sequence in the editor).
+ */
+function resolveClipMedia(outputPath, container) {
+  if (container !== 'png') return outputPath;
+  const frames = fs.readdirSync(outputPath).filter(f => f.endsWith('.png')).sort();
+  return frames.length > 0 ? path.join(outputPath, frames[0]) : outputPath;
+}
+
+/**
+ * Frame size + rate of a set of clips rendered with one preset tag.
+ * Prefers the settings recorded at render time (covers ad-hoc overrides);
+ * falls back to the named preset, then to the legacy config defaults.
+ */
+function resolveSequenceSettings(presetTag, clips) {
+  for (const clip of clips) {
+    const settings = getRenderRecord(clip.filename)?.settings;
+    if (settings?.width && settings?.height && settings?.fps) {
+      return { width: settings.width, height: settings.height, fps: settings.fps };
+    }
+  }
+  try {
+    const { width, height, fps } = resolveOutputSettings(presetTag);
+    return { width, height, fps };
+  } catch {
+    return { width: config.WIDTH, height: config.HEIGHT, fps: config.FPS };
+  }
+}
+
 // GET /api/export/premiere-xml — generate FCP XML timeline
+// Query: ?preset=shorts — which output preset's clips to sequence (default: DEFAULT_OUTPUT_PRESET)
+//        ?alpha=prores  — use the transparent-background renders of that format instead of the MP4s
 router.get('/premiere-xml', (req, res) => {
-  // 1. Read all MP4 files from output dir
+  const presetTag = req.query.preset || config.DEFAULT_OUTPUT_PRESET;
+  if (!/^[a-z0-9-]+$/.test(presetTag)) {
+    return res.status(400).json({ error: 'Invalid preset' });
+  }
+  const alphaFormat = req.query.alpha ? config.ALPHA_FORMATS[req.query.alpha] : null;
+  if (req.query.alpha && !alphaFormat) {
+    return res.status(400).json({ error: `Unknown alpha format "${req.query.alpha}"` });
+  }
+  const container = alphaFormat ? alphaFormat.container : 'mp4';
+
+  // 1. Read all rendered clips from output dir (video files + PNG sequence folders)
   let files;
   try {
-    files = fs.readdirSync(config.OUTPUT_DIR).filter(f => f.endsWith('.mp4'));
+    files = fs.readdirSync(config.OUTPUT_DIR).filter(f => /\.(mp4|mov|webm|png)$/.test(f));
   } catch (err) {
     return res.status(500).json({ error: 'Cannot read output directory' });
   }
@@ -84,7 +175,7 @@ router.get('/premiere-xml', (req, res) => {
   const allClips = [];
   for (const file of files) {
     const parsed = parseOutputFilename(file);
-    if (!parsed) continue;
+    if (!parsed || parsed.preset !== presetTag || parsed.container !== container) continue;
 
     // Load timing JSON for this HTML file
     const timingFile = path.join(config.DATA_DIR, `${parsed.htmlName}.timing.json`);
@@ -104,22 +195,30 @@ router.get('/premiere-xml', (req, res) => {
     }
 
     allClips.push({
+      key: file.replace(/\.vo(\.[a-z0-9]+)$/, '$1'),
+      audio: parsed.audio,
       filename: file,
       seq: parsed.seq,
       offsetSec: parsed.offsetSec,
       durationSec,
       optionNum: parsed.optionNum,
-      filePath: path.resolve(config.OUTPUT_DIR, file),
+      alpha: parsed.alpha,
+      filePath: resolveClipMedia(path.resolve(config.OUTPUT_DIR, file), parsed.container),
     });
   }
 
   if (allClips.length === 0) {
-    return res.status(404).json({ error: 'No clips matched the expected filename pattern' });
+    return res.status(404).json({ error: `No "${presetTag}" .${container} clips matched the expected filename pattern` });
   }
 
+  // A clip rendered both with and without the voiceover: the XML carries the
+  // voiceover on its own track, so the silent copy goes on the timeline
+  const silent = new Set(allClips.filter(c => !c.audio).map(c => c.key));
+  const timelineClips = allClips.filter(c => !c.audio || !silent.has(c.key));
+
   // 3. Separate short clips from normal clips
-  const normalClips = allClips.filter(c => c.durationSec >= MIN_CLIP_DURATION_SEC);
-  const shortClips = allClips.filter(c => c.durationSec < MIN_CLIP_DURATION_SEC);
+  const normalClips = timelineClips.filter(c => c.durationSec >= MIN_CLIP_DURATION_SEC);
+  const shortClips = timelineClips.filter(c => c.durationSec < MIN_CLIP_DURATION_SEC);
 
   // 4. Sort normal clips by timeline offset
   normalClips.sort((a, b) => a.offsetSec - b.offsetSec);
@@ -134,9 +233,7 @@ router.get('/premiere-xml', (req, res) => {
     optionTracks.get(clip.optionNum).push(clip);
   }
 
-  const fps = config.FPS;
-  const width = config.WIDTH;
-  const height = config.HEIGHT;
+  const { fps, width, height } = resolveSequenceSettings(presetTag, allClips);
 
   // 6. Build tracks — one per option
   let clipIndex = 1;
@@ -175,7 +272,7 @@ router.get('/premiere-xml', (req, res) => {
   let srtTrackXml = '';
   if (fs.existsSync(srtCacheFile)) {
     const srtContent = fs.readFileSync(srtCacheFile, 'utf-8');
-    const cues = parseSrt(srtContent);
+    const cues = parseTranscript(srtContent);
 
     if (cues.length > 0) {
       const captionItems = cues.map((cue, i) => {
@@ -225,13 +322,24 @@ router.get('/premiere-xml', (req, res) => {
       cursor += clip.durationSec + 1;
     }
   }
+
+  // 10. Voiceover audio track (the uploaded source file, if any)
+  const voiceover = getVoiceover();
+  let audioXml = '';
+  if (voiceover) {
+    allEndFrames.push(Math.round(voiceover.duration * fps));
+    audioXml = `
+      <audio>${buildVoiceoverTrack(voiceover, fps)}
+      </audio>`;
+  }
+
   const totalFrames = Math.max(...allEndFrames);
 
   const xml = `<?xml version="1.0" encoding="UTF-8"?>
 <!DOCTYPE xmeml>
 <xmeml version="4">
   <sequence>
-    <name>Project Timeline</name>
+    <name>Project Timeline (${escapeXml(presetTag)})</name>
     <duration>${totalFrames}</duration>
     <rate>
       <timebase>${fps}</timebase>
@@ -251,14 +359,15 @@ router.get('/premiere-xml', (req, res) => {
             <height>${height}</height>
           </samplecharacteristics>
         </format>${trackXmls.join('')}${srtTrackXml}
-      </video>
+      </video>${audioXml}
     </media>
   </sequence>
 </xmeml>
 `;
 
   res.set('Content-Type', 'application/xml');
-  res.set('Content-Disposition', 'attachment; filename="timeline.xml"');
+  const xmlName = alphaFormat ? `timeline.${presetTag}.${req.query.alpha}.xml` : `timeline.${presetTag}.xml`;
+  res.set('Content-Disposition', `attachment; filename="${xmlName}"`);
   res.send(xml);
 });
 
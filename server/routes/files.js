@@ -4,12 +4,18 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const config = require('../config');
-const { analyzeHtml } = require('../services/html-analyzer');
+const { analyzeHtml, analysisViewport } = require('../services/html-analyzer');
+const { resolveOutputSettings } = require('../services/output-settings');
 const { remapBeatsToSegmentCues } = require('../services/beat-remap');
+const { lockReport } = require('../services/timing-locks');
+const { deleteHistory } = require('../services/timing-history');
+const { normalizeAdvance, manualAdvance } = require('../services/beat-actions');
+const { preflightHtml } = require('../services/preflight');
+const { runInProject, keepProjectContext } = require('../services/project-context');
 
-// Upload config — save HTML files to input/
+// Upload config — save HTML files to the project's input/
 const storage = multer.diskStorage({
-  destination: config.INPUT_DIR,
+  destination: (req, file, cb) => cb(null, runInProject(req.projectId, () => config.INPUT_DIR)),
   filename: (req, file, cb) => cb(null, file.originalname),
 });
 const upload = multer({
@@ -60,30 +66,72 @@ router.get('/', (req, res) => {
 });
 
 // POST /api/files/upload — upload HTML files
-router.post('/upload', upload.array('files'), (req, res) => {
+router.post('/upload', keepProjectContext(upload.array('files')), (req, res) => {
   res.json({
     uploaded: req.files.map(f => f.originalname),
   });
 });
 
 // POST /api/files/:name/analyze — run beat detection on a file
+// Body: { advance } — set the advance strategy by hand (see beat-actions.js),
+//       { advance: null } — go back to auto-detection
+//       { detection: 'visual' | 'dom' } — force pixel-diff or class-based beat detection
+//       { preset, overrides } — analyze at that output's viewport (default preset's otherwise)
 router.post('/:name/analyze', async (req, res) => {
   const filePath = path.join(config.INPUT_DIR, req.params.name);
   if (!fs.existsSync(filePath)) {
     return res.status(404).json({ error: 'File not found' });
   }
+  const dataFile = path.join(config.DATA_DIR, `${req.params.name}.analysis.json`);
+
+  let advance;
+  if (req.body?.advance !== undefined) {
+    try {
+      advance = req.body.advance === null ? null : normalizeAdvance(req.body.advance);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+  } else if (fs.existsSync(dataFile)) {
+    advance = manualAdvance(JSON.parse(fs.readFileSync(dataFile, 'utf-8')));
+  }
+
+  const detection = req.body?.detection;
+  if (detection != null && detection !== 'visual' && detection !== 'dom') {
+    return res.status(400).json({ error: 'detection must be "visual" or "dom"' });
+  }
+
+  let viewport;
+  try {
+    viewport = analysisViewport(resolveOutputSettings(req.body?.preset, req.body?.overrides));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
   try {
-    const analysis = await analyzeHtml(filePath);
+    const analysis = await analyzeHtml(filePath, { advance, detection, viewport });
 
     // Cache result
-    const dataFile = path.join(config.DATA_DIR, `${req.params.name}.analysis.json`);
     fs.writeFileSync(dataFile, JSON.stringify(analysis, null, 2));
 
     // If this file has project SRT timing, re-map beats to cues within its segment range
-    remapBeatsToSegmentCues(req.params.name, analysis);
+    // (locked beats are kept and reported alongside the analysis)
+    const preserved = lockReport(req.params.name, remapBeatsToSegmentCues(req.params.name, analysis));
 
-    res.json(analysis);
+    res.json(preserved ? { ...analysis, preserved } : analysis);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/files/:name/preflight — load the file and report missing assets,
+// errors, external requests, font fallbacks and viewport overflow
+router.post('/:name/preflight', async (req, res) => {
+  const filePath = path.join(config.INPUT_DIR, req.params.name);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  try {
+    res.json(await preflightHtml(req.params.name));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -100,6 +148,7 @@ router.delete('/:name', (req, res) => {
   if (fs.existsSync(dataFile)) fs.unlinkSync(dataFile);
   const timingFile = path.join(config.DATA_DIR, `${req.params.name}.timing.json`);
   if (fs.existsSync(timingFile)) fs.unlinkSync(timingFile);
+  deleteHistory(req.params.name);
 
   res.json({ deleted: req.params.name });
 });
@@ -5,10 +5,33 @@ const path = require('path');
 const fs = require('fs');
 const config = require('../config');
 const { mapSrtToSegments } = require('../services/srt-parser');
-const { analyzeHtml } = require('../services/html-analyzer');
-const { remapBeatsToSegmentCues } = require('../services/beat-remap');
+const { detectTranscriptFormat } = require('../services/transcript-formats');
+const { analyzeHtml, verifyVariant, analysisViewport, analysisMatchesViewport } = require('../services/html-analyzer');
+const { resolveOutputSettings } = require('../services/output-settings');
+const { remapBeatsToSegmentCues, writeSegmentTiming } = require('../services/beat-remap');
+const { manualAdvance } = require('../services/beat-actions');
+const { lockReport } = require('../services/timing-locks');
+const { runBulkTimingOperation, lastBulkOperation, restoreSnapshot } = require('../services/timing-history');
+const {
+  listDomProfiles, getProjectSettings, resolveDomConventions, resolveSegmentAlignment,
+  updateProjectSettings, analysisMatchesDom,
+} = require('../services/project-settings');
+const { getVoiceover, saveVoiceover, clearVoiceover } = require('../services/audio');
+const { preflightHtml, getPreflightReports } = require('../services/preflight');
+const { scanProjectFolder, copySegment, diffProject, syncProject } = require('../services/project-sync');
+const { currentProjectId, runInProject, keepProjectContext, projectTaskSet } = require('../services/project-context');
 
 const srtUpload = multer({ storage: multer.memoryStorage() });
+// Voiceovers can be hundreds of MB — stream to disk instead of memory
+const voiceoverUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = runInProject(req.projectId, () => path.join(config.DATA_DIR, 'uploads'));
+      fs.mkdirSync(dir, { recursive: true });
+      cb(null, dir);
+    },
+  }),
+});
 
 /**
  * POST /api/import — import a project folder.
@@ -16,6 +39,9 @@ const srtUpload = multer({ storage: multer.memoryStorage() });
  *
  * Scans all SEGMENTO_XXXX/ subfolders, reads .txt scripts,
  * copies HTML files to input/, saves project.json.
+ * Local assets the HTML references (images, CSS, JS, fonts) are copied to
+ * input/SEGMENT_XXXX_assets/ and the HTML is rewritten to point there;
+ * references to files that don't exist come back as `missingAssets`.
  */
 router.post('/', async (req, res) => {
   const { folderPath } = req.body;
@@ -28,73 +54,44 @@ router.post('/', async (req, res) => {
   }
 
   try {
-    const entries = fs.readdirSync(folderPath, { withFileTypes: true });
-    const segmentDirs = entries
-      .filter(e => e.isDirectory() && /^SEGMENT[O]?_\d{4}$/i.test(e.name))
-      .sort((a, b) => a.name.localeCompare(b.name));
-
-    if (segmentDirs.length === 0) {
+    const scanned = scanProjectFolder(folderPath);
+    if (scanned.length === 0) {
       return res.status(400).json({ error: 'No SEGMENTO_XXXX folders found in the given path' });
     }
 
+    // Copy HTML files to input/ as SEGMENT_XXXX_OptionN.html, together with their assets
     const segments = [];
     let copiedCount = 0;
-
-    for (const dir of segmentDirs) {
-      const numMatch = dir.name.match(/(\d{4})$/);
-      const num = numMatch ? parseInt(numMatch[1], 10) : 0;
-      const segPath = path.join(folderPath, dir.name);
-
-      // Read .txt script file
-      const segFiles = fs.readdirSync(segPath);
-      const txtFile = segFiles.find(f => f.endsWith('.txt'));
-      let script = '';
-      if (txtFile) {
-        script = fs.readFileSync(path.join(segPath, txtFile), 'utf-8').trim();
-      }
-
-      // Find HTML option files (glob *Option*.html)
-      const htmlFiles = segFiles.filter(f =>
-        f.endsWith('.html') && /option/i.test(f)
-      );
-
-      // Copy HTML files to input/ with consistent naming: SEGMENT_XXXX_Option1.html
-      const copiedNames = [];
-      for (const htmlFile of htmlFiles) {
-        // Extract option number
-        const optMatch = htmlFile.match(/option\s*(\d+)/i);
-        const optNum = optMatch ? optMatch[1] : '1';
-        const destName = `SEGMENT_${String(num).padStart(4, '0')}_Option${optNum}.html`;
-
-        const srcPath = path.join(segPath, htmlFile);
-        const destPath = path.join(config.INPUT_DIR, destName);
-        fs.copyFileSync(srcPath, destPath);
-        copiedNames.push(destName);
-        copiedCount++;
-      }
-
-      segments.push({
-        num,
-        script,
-        htmlFiles: copiedNames.sort(),
-        originalDir: dir.name,
-      });
+    let assetsCopied = 0;
+    const missingAssets = [];
+
+    for (const seg of scanned) {
+      const { entry, copied, missing, outside } = copySegment(seg, folderPath);
+      segments.push(entry);
+      copiedCount += entry.htmlFiles.length;
+      assetsCopied += copied;
+      missingAssets.push(...missing.map(m => ({ segmentNum: seg.num, ...m })));
+      missingAssets.push(...outside.map(m => ({ segmentNum: seg.num, ...m, outsideProject: true })));
     }
 
-    // Save project metadata
+    // Save project metadata — settings carry over when the same folder is re-imported
+    const projectFile = path.join(config.DATA_DIR, 'project.json');
+    const previous = fs.existsSync(projectFile) ? JSON.parse(fs.readFileSync(projectFile, 'utf-8')) : null;
     const project = {
       sourcePath: folderPath,
       importedAt: new Date().toISOString(),
       segments,
+      settings: previous?.sourcePath === folderPath ? previous.settings || {} : {},
     };
 
-    const projectFile = path.join(config.DATA_DIR, 'project.json');
     fs.writeFileSync(projectFile, JSON.stringify(project, null, 2));
 
     res.json({
       success: true,
       segmentCount: segments.length,
       filesCopied: copiedCount,
+      assetsCopied,
+      missingAssets,
       segments: segments.map(s => ({
         num: s.num,
         hasScript: !!s.script,
@@ -118,6 +115,88 @@ router.get('/project', (req, res) => {
   res.json({ project });
 });
 
+/**
+ * POST /api/import/sync — bring the project up to date with its source folder.
+ * Body: { dryRun: true } — only report what changed
+ *
+ * Compares the folder with project.json (options by hash of their HTML and
+ * assets, scripts by content) and reports added/removed/changed segments,
+ * scripts and options. Only changed options are re-copied and lose their
+ * analysis; only segments with changed scripts are re-matched against the
+ * project SRT; timing set by hand is kept.
+ */
+router.post('/sync', (req, res) => {
+  const projectFile = path.join(config.DATA_DIR, 'project.json');
+  if (!fs.existsSync(projectFile)) {
+    return res.status(400).json({ error: 'No project imported.' });
+  }
+  const project = JSON.parse(fs.readFileSync(projectFile, 'utf-8'));
+  if (!fs.existsSync(project.sourcePath)) {
+    return res.status(400).json({ error: `Folder not found: ${project.sourcePath}` });
+  }
+
+  try {
+    const scanned = scanProjectFolder(project.sourcePath);
+    if (req.body?.dryRun === true) {
+      return res.json({ dryRun: true, ...diffProject(project, scanned) });
+    }
+
+    // One bulk timing operation — POST /timing-snapshot/restore rolls it back
+    const result = runBulkTimingOperation('sync', () => syncProject(project, scanned));
+    const { segments, scripts, options } = result.diff;
+    console.log(`[sync] segments +${segments.added.length} -${segments.removed.length} ~${segments.changed.length}, ` +
+      `options +${options.added.length} -${options.removed.length} ~${options.changed.length}, ` +
+      `scripts re-matched: ${result.rematched.length}`);
+    res.json({
+      dryRun: false,
+      segments,
+      scripts,
+      options,
+      analysisInvalidated: result.analysisInvalidated,
+      rematched: result.rematched,
+      timingKept: result.timingKept,
+      timingPreserved: result.timingPreserved,
+      missingAssets: result.missingAssets,
+    });
+  } catch (err) {
+    res.status(500).json({ error: `Sync failed: ${err.message}` });
+  }
+});
+
+/**
+ * GET /api/import/project/settings — project settings, the effective DOM
+ * conventions and segment alignment, and the built-in DOM profiles.
+ */
+router.get('/project/settings', (req, res) => {
+  const settings = getProjectSettings();
+  res.json({
+    settings,
+    dom: resolveDomConventions(settings),
+    alignment: resolveSegmentAlignment(settings),
+    domProfiles: listDomProfiles(),
+  });
+});
+
+/**
+ * PUT /api/import/project/settings — replace settings sections.
+ * Body: { dom: { profile: 'revealjs' } } or with overrides, e.g.
+ *       { dom: { profile: 'scenes', activeClass: 'is-on', revealedClasses: ['shown'] } }
+ *       { alignment: 'global' } — segment matching mode for the next SRT match
+ * Files analyzed under other conventions are re-analyzed by the next Analyze All.
+ */
+router.put('/project/settings', (req, res) => {
+  let settings;
+  try {
+    settings = updateProjectSettings(req.body || {});
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const dom = resolveDomConventions(settings);
+  const alignment = resolveSegmentAlignment(settings);
+  console.log(`[project] DOM conventions: ${dom.profile} (${dom.slideSelector} / ${dom.stepSelector}), segment alignment: ${alignment}`);
+  res.json({ settings, dom, alignment });
+});
+
 /**
  * GET /api/import/segment-info/:fileName — get script + SRT cues for a file's segment.
  */
@@ -148,9 +227,9 @@ router.get('/segment-info/:fileName', (req, res) => {
   if (srtMatch && srtMatch.startTime != null) {
     const srtCacheFile = path.join(config.DATA_DIR, 'project-srt.cache');
     if (fs.existsSync(srtCacheFile)) {
-      const { parseSrt } = require('../services/srt-parser');
+      const { parseTranscript } = require('../services/srt-parser');
       const srtContent = fs.readFileSync(srtCacheFile, 'utf-8');
-      allSrtCues = parseSrt(srtContent);
+      allSrtCues = parseTranscript(srtContent);
       // Show cues in a wide window: 30s before to 30s after the segment range
       const wideBuffer = 30;
       srtCues = allSrtCues.filter(c =>
@@ -197,9 +276,9 @@ router.get('/srt-cues', (req, res) => {
     return res.json({ cues: [], segments: [] });
   }
 
-  const { parseSrt } = require('../services/srt-parser');
+  const { parseTranscript } = require('../services/srt-parser');
   const srtContent = fs.readFileSync(srtCacheFile, 'utf-8');
-  const allCues = parseSrt(srtContent);
+  const allCues = parseTranscript(srtContent);
 
   // Build segment ownership map: for each cue, which segment owns it?
   const segmentMatches = project.srtMatch?.segmentMatches || [];
@@ -236,92 +315,49 @@ router.get('/srt-cues', (req, res) => {
 });
 
 /**
- * POST /api/import/match-srt — upload SRT and match against all project segments.
+ * POST /api/import/match-srt — upload a transcript (SRT, WebVTT or word-level
+ * JSON) and match against all project segments.
  * Uses the .txt script content for matching, not HTML display text.
  * Saves per-file timing for each segment's HTML files.
+ *
+ * Form fields: alignment — 'window' | 'global' (default: the project's setting).
+ * Without a file, the last uploaded transcript is matched again (e.g. after
+ * switching alignment); that replaces segments moved on the SRT timeline.
  */
-router.post('/match-srt', srtUpload.single('srt'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No SRT file uploaded' });
-  }
-
+router.post('/match-srt', keepProjectContext(srtUpload.single('srt')), (req, res) => {
   const projectFile = path.join(config.DATA_DIR, 'project.json');
   if (!fs.existsSync(projectFile)) {
     return res.status(400).json({ error: 'No project imported. Import a project folder first.' });
   }
+  const srtCacheFile = path.join(config.DATA_DIR, 'project-srt.cache');
+  if (!req.file && !fs.existsSync(srtCacheFile)) {
+    return res.status(400).json({ error: 'No transcript uploaded (SRT, VTT or word-level JSON)' });
+  }
 
   try {
     const project = JSON.parse(fs.readFileSync(projectFile, 'utf-8'));
-    const srtContent = req.file.buffer.toString('utf-8');
+    const srtFilename = req.file ? req.file.originalname : project.srtMatch?.srtFilename || 'project-srt.cache';
+    const alignment = ['window', 'global'].includes(req.body?.alignment)
+      ? req.body.alignment
+      : resolveSegmentAlignment(project.settings || {});
 
     // Cache the SRT so post-analysis beat remapping can access it
-    const srtCacheFile = path.join(config.DATA_DIR, 'project-srt.cache');
-    fs.writeFileSync(srtCacheFile, srtContent);
-
-    const result = mapSrtToSegments(srtContent, project.segments);
-
-    // Save timing for each segment's HTML files
-    let timedFiles = 0;
-    for (const match of result.segmentMatches) {
-      if (match.startTime === null) continue;
-
-      // For each HTML variant in this segment, load its analysis and build timing
-      for (const htmlFile of match.htmlFiles) {
-        const analysisFile = path.join(config.DATA_DIR, `${htmlFile}.analysis.json`);
-        let beatCount = 0;
-        if (fs.existsSync(analysisFile)) {
-          const analysis = JSON.parse(fs.readFileSync(analysisFile, 'utf-8'));
-          beatCount = analysis.beatCount || 0;
-        }
-
-        // Distribute beats evenly within the segment's time range
-        let beatTimes;
-        if (beatCount > 0) {
-          const duration = match.endTime - match.startTime;
-          beatTimes = [];
-          for (let i = 0; i < beatCount; i++) {
-            beatTimes.push(
-              Math.round((match.startTime + (i / Math.max(1, beatCount - 1)) * duration) * 1000) / 1000
-            );
-          }
-          // If only 1 beat, place at start
-          if (beatCount === 1) {
-            beatTimes = [Math.round(match.startTime * 1000) / 1000];
-          }
-        } else {
-          // No analysis yet — single beat at start time
-          beatTimes = [Math.round(match.startTime * 1000) / 1000];
-        }
-
-        const timing = {
-          beatTimes,
-          source: 'srt-project',
-          method: 'script-match',
-          segmentNum: match.num,
-          confidence: match.confidence,
-          startTime: match.startTime,
-          endTime: match.endTime,
-          savedAt: new Date().toISOString(),
-        };
-
-        const timingFile = path.join(config.DATA_DIR, `${htmlFile}.timing.json`);
-        fs.writeFileSync(timingFile, JSON.stringify(timing, null, 2));
-        timedFiles++;
-
-        // Opportunistic refinement: if analysis already exists, immediately
-        // refine timing with word-level SRT matching instead of waiting for analyze-all
-        if (beatCount > 0) {
-          const analysisData = JSON.parse(fs.readFileSync(analysisFile, 'utf-8'));
-          if (analysisData.beatTexts && analysisData.beatTexts.length > 0) {
-            remapBeatsToSegmentCues(htmlFile, analysisData);
-          }
-        }
-      }
+    let srtContent;
+    if (req.file) {
+      srtContent = req.file.buffer.toString('utf-8');
+      fs.writeFileSync(srtCacheFile, srtContent);
+    } else {
+      srtContent = fs.readFileSync(srtCacheFile, 'utf-8');
     }
 
-    // Save SRT match results to project
+    const result = mapSrtToSegments(srtContent, project.segments, { alignment });
+
+    // Save SRT match results to project first — timing refinement reads the
+    // segment ranges from project.json
     project.srtMatch = {
-      srtFilename: req.file.originalname,
+      srtFilename,
+      transcriptFormat: detectTranscriptFormat(srtContent),
+      alignment: result.alignment,
       matchedAt: new Date().toISOString(),
       matchedCount: result.matchedCount,
       totalSegments: result.totalSegments,
@@ -337,12 +373,31 @@ router.post('/match-srt', srtUpload.single('srt'), (req, res) => {
     };
     fs.writeFileSync(projectFile, JSON.stringify(project, null, 2));
 
+    // Save timing for each segment's HTML files, keeping locked beats
+    // (one bulk timing operation, so the whole match can be rolled back)
+    let timedFiles = 0;
+    const preserved = [];
+    runBulkTimingOperation('project-match', () => {
+      for (const match of result.segmentMatches) {
+        if (match.startTime === null) continue;
+
+        // For each HTML variant in this segment, build timing from its analysis
+        for (const htmlFile of match.htmlFiles) {
+          const report = lockReport(htmlFile, writeSegmentTiming(htmlFile, match, 'project-match'));
+          if (report) preserved.push(report);
+          timedFiles++;
+        }
+      }
+    });
+
     res.json({
       success: true,
       matchedCount: result.matchedCount,
       totalSegments: result.totalSegments,
       timedFiles,
-      srtFilename: req.file.originalname,
+      preserved,
+      srtFilename,
+      alignment: result.alignment,
       segmentMatches: result.segmentMatches.map(m => ({
         num: m.num,
         matched: m.matched,
@@ -356,11 +411,41 @@ router.post('/match-srt', srtUpload.single('srt'), (req, res) => {
   }
 });
 
+/**
+ * POST /api/import/voiceover — upload the project voiceover (WAV/MP3/M4A, field "audio").
+ * The file is stored untouched; renders with { audio: true } mux the slice
+ * under each clip, and the Premiere XML references the original.
+ */
+router.post('/voiceover', keepProjectContext(voiceoverUpload.single('audio')), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No audio file uploaded' });
+  }
+
+  try {
+    const voiceover = await saveVoiceover(req.file.path, req.file.originalname);
+    res.json({ success: true, voiceover });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET /api/import/voiceover — current voiceover metadata (null if none)
+router.get('/voiceover', (req, res) => {
+  res.json({ voiceover: getVoiceover() });
+});
+
+// DELETE /api/import/voiceover — remove the project voiceover
+router.delete('/voiceover', (req, res) => {
+  clearVoiceover();
+  res.json({ cleared: true });
+});
+
 /**
  * POST /api/import/rematch-segment — update a segment's SRT start time and recalculate timing.
  * Body: { segmentNum: 5, newStartTime: 42.5 }
  * Shifts the segment match to start at the given SRT cue time, recalculates end time,
  * updates timing files for all variants, and re-runs beat remapping if analysis exists.
+ * Locked beats keep their times; the response lists them under `preserved`.
  */
 router.post('/rematch-segment', (req, res) => {
   const { segmentNum, newStartTime } = req.body;
@@ -390,9 +475,9 @@ router.post('/rematch-segment', (req, res) => {
       return res.status(400).json({ error: 'SRT cache not found' });
     }
 
-    const { parseSrt } = require('../services/srt-parser');
+    const { parseTranscript } = require('../services/srt-parser');
     const srtContent = fs.readFileSync(srtCacheFile, 'utf-8');
-    const allCues = parseSrt(srtContent);
+    const allCues = parseTranscript(srtContent);
 
     // Find the cue at or closest to newStartTime
     const startCue = allCues.reduce((best, c) =>
@@ -426,52 +511,18 @@ router.post('/rematch-segment', (req, res) => {
     const segment = project.segments.find(s => s.num === segmentNum);
     const htmlFiles = segment ? segment.htmlFiles : segMatch.htmlFiles || [];
 
-    // Update timing files for all variants
-    for (const htmlFile of htmlFiles) {
-      const timingFile = path.join(config.DATA_DIR, `${htmlFile}.timing.json`);
-      const analysisFile = path.join(config.DATA_DIR, `${htmlFile}.analysis.json`);
-
-      let beatCount = 1;
-      let analysis = null;
-      if (fs.existsSync(analysisFile)) {
-        analysis = JSON.parse(fs.readFileSync(analysisFile, 'utf-8'));
-        beatCount = analysis.beatCount || 1;
-      }
-
-      // Distribute beats evenly within the new time range
-      const duration = newEndTime - startCue.startTime;
-      let beatTimes;
-      if (beatCount > 1) {
-        beatTimes = [];
-        for (let i = 0; i < beatCount; i++) {
-          beatTimes.push(
-            Math.round((startCue.startTime + (i / (beatCount - 1)) * duration) * 1000) / 1000
-          );
-        }
-      } else {
-        beatTimes = [Math.round(startCue.startTime * 1000) / 1000];
-      }
+    // Save the project first — timing refinement reads the segment range from it
+    fs.writeFileSync(projectFile, JSON.stringify(project, null, 2));
 
-      const timing = {
-        beatTimes,
-        source: 'srt-project',
-        method: 'script-match',
-        segmentNum,
-        startTime: startCue.startTime,
-        endTime: newEndTime,
-        savedAt: new Date().toISOString(),
-      };
-
-      fs.writeFileSync(timingFile, JSON.stringify(timing, null, 2));
-
-      // Re-run beat remapping if analysis exists
-      if (analysis) {
-        remapBeatsToSegmentCues(htmlFile, analysis);
+    // Update timing files for all variants (even spread, refined against the
+    // segment's cues when analyzed), keeping locked beats
+    const preserved = [];
+    runBulkTimingOperation('rematch-segment', () => {
+      for (const htmlFile of htmlFiles) {
+        const report = lockReport(htmlFile, writeSegmentTiming(htmlFile, segMatch, 'rematch-segment'));
+        if (report) preserved.push(report);
       }
-    }
-
-    // Save updated project
-    fs.writeFileSync(projectFile, JSON.stringify(project, null, 2));
+    });
 
     res.json({
       success: true,
@@ -481,6 +532,7 @@ router.post('/rematch-segment', (req, res) => {
       newStartTime: startCue.startTime,
       newEndTime,
       updatedFiles: htmlFiles.length,
+      preserved,
     });
   } catch (err) {
     res.status(500).json({ error: `Rematch failed: ${err.message}` });
@@ -489,14 +541,17 @@ router.post('/rematch-segment', (req, res) => {
 
 /**
  * POST /api/import/analyze-all — analyze all segments sequentially.
- * Analyzes Option1 per segment, then clones analysis to Option2/Option3.
+ * Analyzes Option1 per segment, then checks Option2/Option3 against it (see
+ * verifyVariant) — a matching variant reuses Option1's analysis.
  * Broadcasts progress via WebSocket.
  * Body: { force: false } — set force:true to re-analyze even if cached.
+ *       { preset, overrides } — analyze at that output's viewport (default preset's
+ *       otherwise); analyses made at another viewport are redone.
  */
-let analyzeAllRunning = false;
+const analyzeAllRunning = projectTaskSet('Analyze All'); // ids of projects being analyzed
 
 router.post('/analyze-all', (req, res) => {
-  if (analyzeAllRunning) {
+  if (analyzeAllRunning.has(currentProjectId())) {
     return res.status(409).json({ error: 'Analysis already in progress' });
   }
 
@@ -505,23 +560,31 @@ router.post('/analyze-all', (req, res) => {
     return res.status(400).json({ error: 'No project imported.' });
   }
 
+  let viewport;
+  try {
+    viewport = analysisViewport(resolveOutputSettings(req.body?.preset, req.body?.overrides));
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
   const project = JSON.parse(fs.readFileSync(projectFile, 'utf-8'));
   const force = req.body?.force === true;
   const broadcast = req.app.get('broadcast');
 
   const totalSegments = project.segments.length;
+  const dom = resolveDomConventions(project.settings || {});
 
   // Respond immediately
   res.json({ started: true, totalSegments });
 
   // Run analysis in background
-  analyzeAllRunning = true;
-  runAnalyzeAll(project, force, broadcast).finally(() => {
-    analyzeAllRunning = false;
+  analyzeAllRunning.add(currentProjectId());
+  runBulkTimingOperation('analyze-all', () => runAnalyzeAll(project, force, dom, viewport, broadcast)).finally(() => {
+    analyzeAllRunning.delete(currentProjectId());
   });
 });
 
-async function runAnalyzeAll(project, force, broadcast) {
+async function runAnalyzeAll(project, force, dom, viewport, broadcast) {
   const segments = project.segments;
   let completed = 0;
   const errors = [];
@@ -544,9 +607,10 @@ async function runAnalyzeAll(project, force, broadcast) {
       continue;
     }
 
-    // Check if already analyzed
+    // Check if already analyzed (under the project's current DOM conventions, at this viewport)
     const dataFile = path.join(config.DATA_DIR, `${option1}.analysis.json`);
-    if (!force && fs.existsSync(dataFile)) {
+    const previous = fs.existsSync(dataFile) ? JSON.parse(fs.readFileSync(dataFile, 'utf-8')) : null;
+    if (!force && previous && analysisMatchesDom(previous, dom) && analysisMatchesViewport(previous, viewport)) {
       completed++;
       broadcast({
         type: 'analyze-progress',
@@ -575,21 +639,38 @@ async function runAnalyzeAll(project, force, broadcast) {
         throw new Error(`File not found: ${option1}`);
       }
 
-      const analysis = await analyzeHtml(filePath);
+      // Keep an advance strategy that was set by hand
+      const analysis = await analyzeHtml(filePath, { advance: manualAdvance(previous), dom, viewport });
 
       // Save analysis for Option1
       fs.writeFileSync(dataFile, JSON.stringify(analysis, null, 2));
 
-      // Remap beats to SRT cues for Option1
-      remapBeatsToSegmentCues(option1, analysis);
+      // Remap beats to SRT cues for Option1 (locked beats are kept)
+      const preserved = [];
+      const option1Locks = lockReport(option1, remapBeatsToSegmentCues(option1, analysis, 'analyze-all'));
+      if (option1Locks) preserved.push(option1Locks);
 
-      // Clone analysis to other variants (Option2, Option3, etc.)
+      // Verify the other variants (Option2, Option3, etc.) against Option1 —
+      // a quick beat count + text check, full analysis where they differ
       const otherVariants = seg.htmlFiles.filter(f => f !== option1);
+      const variants = [];
       for (const variant of otherVariants) {
+        const variantPath = path.join(config.INPUT_DIR, variant);
         const variantDataFile = path.join(config.DATA_DIR, `${variant}.analysis.json`);
-        fs.writeFileSync(variantDataFile, JSON.stringify(analysis, null, 2));
+        if (!fs.existsSync(variantPath)) continue;
+        const previousVariant = fs.existsSync(variantDataFile) ? JSON.parse(fs.readFileSync(variantDataFile, 'utf-8')) : null;
+
+        const variantAnalysis = await verifyVariant(variantPath, option1, analysis, { dom, advance: manualAdvance(previousVariant), viewport });
+        fs.writeFileSync(variantDataFile, JSON.stringify(variantAnalysis, null, 2));
         // Remap beats for each variant too (they have their own timing files)
-        remapBeatsToSegmentCues(variant, analysis);
+        const variantLocks = lockReport(variant, remapBeatsToSegmentCues(variant, variantAnalysis, 'analyze-all'));
+        if (variantLocks) preserved.push(variantLocks);
+
+        const { status, beatCount, expectedBeatCount, differingBeats } = variantAnalysis.variantCheck;
+        variants.push({ fileName: variant, status, beatCount, expectedBeatCount, differingBeats });
+        if (status === 'mismatch') {
+          console.log(`[analyze] ${variant}: ${beatCount} beats vs ${expectedBeatCount} in ${option1} (beats ${differingBeats.join(', ')} differ)`);
+        }
       }
 
       completed++;
@@ -601,7 +682,9 @@ async function runAnalyzeAll(project, force, broadcast) {
         completed,
         total: segments.length,
         beatCount: analysis.beatCount,
-        clonedTo: otherVariants.length,
+        variants,
+        mismatched: variants.filter(v => v.status === 'mismatch').length,
+        preserved,
       });
     } catch (err) {
       completed++;
@@ -626,6 +709,104 @@ async function runAnalyzeAll(project, force, broadcast) {
   });
 }
 
+/**
+ * GET /api/import/timing-snapshot — the last bulk timing change (project SRT
+ * match, segment rematch, Analyze All or sync) that can be rolled back, with
+ * the files it touched. { snapshot: null } when there is none.
+ */
+router.get('/timing-snapshot', (req, res) => {
+  res.json({ snapshot: lastBulkOperation() });
+});
+
+/**
+ * POST /api/import/timing-snapshot/restore — roll every file the last bulk
+ * timing change touched back to its timing from before it. Calling it again
+ * rolls back the bulk change before that one.
+ */
+router.post('/timing-snapshot/restore', (req, res) => {
+  if (analyzeAllRunning.has(currentProjectId())) {
+    return res.status(409).json({ error: 'Analyze All is running — wait for it to finish' });
+  }
+  try {
+    res.json(restoreSnapshot());
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/import/preflight-all — preflight every HTML file of the project
+ * (all variants — each one gets rendered). Broadcasts progress via WebSocket.
+ */
+const preflightAllRunning = projectTaskSet('Preflight All'); // ids of projects being preflighted
+
+router.post('/preflight-all', (req, res) => {
+  if (preflightAllRunning.has(currentProjectId())) {
+    return res.status(409).json({ error: 'Preflight already in progress' });
+  }
+
+  const projectFile = path.join(config.DATA_DIR, 'project.json');
+  if (!fs.existsSync(projectFile)) {
+    return res.status(400).json({ error: 'No project imported.' });
+  }
+
+  const project = JSON.parse(fs.readFileSync(projectFile, 'utf-8'));
+  const fileNames = project.segments.flatMap(seg => seg.htmlFiles);
+  const broadcast = req.app.get('broadcast');
+
+  res.json({ started: true, totalFiles: fileNames.length });
+
+  preflightAllRunning.add(currentProjectId());
+  runPreflightAll(fileNames, broadcast).finally(() => {
+    preflightAllRunning.delete(currentProjectId());
+  });
+});
+
+async function runPreflightAll(fileNames, broadcast) {
+  const counts = { ok: 0, warning: 0, error: 0 };
+  let completed = 0;
+
+  for (const fileName of fileNames) {
+    broadcast({ type: 'preflight-progress', fileName, status: 'checking', completed, total: fileNames.length });
+
+    let report;
+    try {
+      report = await preflightHtml(fileName);
+    } catch (err) {
+      report = { fileName, status: 'error', errors: 1, warnings: 0, issues: [{ kind: 'load-failed', severity: 'error', message: err.message }] };
+    }
+    counts[report.status]++;
+    completed++;
+    if (report.status !== 'ok') {
+      console.log(`[preflight] ${fileName}: ${report.errors} errors, ${report.warnings} warnings`);
+    }
+    broadcast({
+      type: 'preflight-progress',
+      fileName,
+      status: report.status,
+      errors: report.errors,
+      warnings: report.warnings,
+      completed,
+      total: fileNames.length,
+    });
+  }
+
+  broadcast({ type: 'preflight-complete', completed, total: fileNames.length, ...counts });
+}
+
+/**
+ * GET /api/import/preflight — the latest preflight report of each project file
+ * (files never checked are left out).
+ */
+router.get('/preflight', (req, res) => {
+  const projectFile = path.join(config.DATA_DIR, 'project.json');
+  if (!fs.existsSync(projectFile)) {
+    return res.json({ reports: {} });
+  }
+  const project = JSON.parse(fs.readFileSync(projectFile, 'utf-8'));
+  res.json({ reports: getPreflightReports(project.segments.flatMap(seg => seg.htmlFiles)) });
+});
+
 /**
  * DELETE /api/import/project — Clear all project data.
  * Removes project.json, SRT cache, all analysis and timing files.
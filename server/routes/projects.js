@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { listProjects, createProject, deleteProject, projectExists } = require('../services/projects');
+const { DEFAULT_PROJECT, runInProject, runningProjectTasks } = require('../services/project-context');
+const { hasActiveJobs, unloadProjectJobs } = require('../services/renderer');
+const { unloadStore } = require('../services/job-store');
+
+// GET /api/projects — all projects (the default one first)
+router.get('/', (req, res) => {
+  res.json(listProjects());
+});
+
+// POST /api/projects — create a project
+// Body: { name: 'CreatorLuck 002' } — the id is derived from the name
+router.post('/', (req, res) => {
+  let project;
+  try {
+    project = createProject(req.body?.name);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  req.app.get('watchProjectInput')(project.id);
+  console.log(`[projects] Created ${project.id} (${project.name})`);
+  res.json(project);
+});
+
+// DELETE /api/projects/:projectId — delete a project with all its files
+router.delete('/:projectId', (req, res) => {
+  const { projectId } = req.params;
+  if (projectId === DEFAULT_PROJECT) {
+    return res.status(400).json({ error: 'The default project cannot be deleted' });
+  }
+  if (!projectExists(projectId)) {
+    return res.status(404).json({ error: `Project not found: ${projectId}` });
+  }
+  if (runInProject(projectId, hasActiveJobs)) {
+    return res.status(409).json({ error: 'The project has renders queued or running — cancel them first' });
+  }
+  const tasks = runningProjectTasks(projectId);
+  if (tasks.length > 0) {
+    return res.status(409).json({ error: `Wait for ${tasks.join(', ')} to finish before deleting the project` });
+  }
+
+  runInProject(projectId, () => {
+    unloadProjectJobs();
+    unloadStore();
+  });
+  req.app.get('unwatchProjectInput')(projectId);
+  deleteProject(projectId);
+  console.log(`[projects] Deleted ${projectId}`);
+  res.json({ deleted: projectId });
+});
+
+module.exports = router;
@@ -3,7 +3,15 @@ const router = express.Router();
 const path = require('path');
 const fs = require('fs');
 const config = require('../config');
-const { startRender, getJob, getJobRaw, getAllJobs, cancelJob } = require('../services/renderer');
+const {
+  startRender, resolveRenderSettings, buildOutputName, getJob, getJobRaw, getAllJobs, cancelJob,
+} = require('../services/renderer');
+const { computeRenderHash, findCachedOutput, renameCachedOutput } = require('../services/render-cache');
+const { listPresets, listAlphaFormats, resolveOutputSettings } = require('../services/output-settings');
+const { getBatches, getBatch, createBatch, updateBatch } = require('../services/job-store');
+const { getVoiceover, probeDuration } = require('../services/audio');
+const { composeMaster } = require('../services/master-render');
+const { currentProjectId, projectTaskSet } = require('../services/project-context');
 
 function resolveTimes(fileName, beatTimes) {
   let times = beatTimes;
@@ -17,6 +25,32 @@ function resolveTimes(fileName, beatTimes) {
   return times;
 }
 
+/**
+ * Output settings from a request body ({ preset, overrides, alpha }).
+ * Sends a 400 and returns null if the preset or an override is invalid.
+ */
+function resolveOutput(req, res) {
+  try {
+    return resolveOutputSettings(req.body?.preset, req.body?.overrides, req.body?.alpha);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Whether to mux the voiceover into the clips ({ audio: true }).
+ * Sends a 400 and returns null if audio was requested but no voiceover is uploaded.
+ */
+function resolveAudio(req, res) {
+  if (req.body?.audio !== true) return false;
+  if (!getVoiceover()) {
+    res.status(400).json({ error: 'No voiceover uploaded. Upload the voiceover audio first.' });
+    return null;
+  }
+  return true;
+}
+
 /**
  * Get the sequence number for a file based on its timeline position
  * relative to all files that have timing saved.
@@ -39,7 +73,13 @@ function getSequenceNum(fileName) {
   return idx >= 0 ? idx + 1 : null;
 }
 
+// GET /api/render/presets — output presets (resolution, fps, encoder) + alpha formats
+router.get('/presets', (req, res) => {
+  res.json({ presets: listPresets(), alphaFormats: listAlphaFormats() });
+});
+
 // POST /api/render — start a single render job
+// Body: { fileName, beatTimes?, sequenceNum?, preset?, overrides?, alpha?, audio? }
 router.post('/', (req, res) => {
   const { fileName, beatTimes, sequenceNum } = req.body;
 
@@ -57,10 +97,15 @@ router.post('/', (req, res) => {
     return res.status(400).json({ error: 'No beat times provided and none saved. Set timing first.' });
   }
 
+  const output = resolveOutput(req, res);
+  if (!output) return;
+  const audio = resolveAudio(req, res);
+  if (audio === null) return;
+
   const broadcast = req.app.get('broadcast');
   // Auto-assign sequence number from timeline position
   const seqNum = sequenceNum || getSequenceNum(fileName);
-  const job = startRender(fileName, times.map(Number), broadcast, null, seqNum);
+  const job = startRender(fileName, times.map(Number), broadcast, null, seqNum, { output, audio });
   res.json(job);
 });
 
@@ -82,33 +127,109 @@ router.post('/variants', (req, res) => {
     return res.status(400).json({ error: 'beatTimes is required for variant rendering' });
   }
 
+  const output = resolveOutput(req, res);
+  if (!output) return;
+  const audio = resolveAudio(req, res);
+  if (audio === null) return;
+
   const broadcast = req.app.get('broadcast');
   const times = beatTimes.map(Number);
 
   // Use first file's sequence number for all variants
   const seqNum = sequenceNum || getSequenceNum(fileNames[0]);
+  const batch = createBatch({ type: 'variants', params: { fileNames, preset: output.tag, alpha: output.alpha, audio } });
   const jobs = fileNames.map((name, i) => {
     const variantLabel = `v${i + 1}`;
-    return startRender(name, times, broadcast, variantLabel, seqNum);
+    return startRender(name, times, broadcast, variantLabel, seqNum, { batchId: batch.id, output, audio });
   });
+  updateBatch(batch.id, { jobIds: jobs.map(j => j.id) });
+
+  res.json({ jobs, batchId: batch.id });
 
-  res.json({ jobs });
+  // Jobs are queued behind the scheduler's concurrency cap — report them as one batch
+  finishBatch(batch, jobs, broadcast);
 });
 
-// POST /api/render/all — render files sequentially, sorted by timeline position
+// POST /api/render/all — queue files in timeline order; the scheduler runs
+// up to RENDER_CONCURRENCY of them at once
 // Output: 001_name.mp4, 002_name.mp4, etc. — ready for Automate to Sequence
 // Body: { variant: 1 } — optional, only render Option{N} files
-let renderAllRunning = false;
+//       { force: true } — re-render even if an output with the same content hash exists
+//       { preset: 'shorts', overrides: { fps: 60 } } — output settings for every clip
+//       { alpha: 'prores' | 'webm' | 'png' } — transparent background
+//       { audio: true } — mux each clip's slice of the project voiceover
+const renderAllRunning = projectTaskSet('Render All'); // ids of projects running render-all
+const masterRunning = projectTaskSet('the master render'); // ids of projects running a master render
 
 router.post('/all', (req, res) => {
-  if (renderAllRunning) {
+  if (renderAllRunning.has(currentProjectId()) || masterRunning.has(currentProjectId())) {
     return res.status(409).json({ error: 'Render-all already in progress' });
   }
 
   const broadcast = req.app.get('broadcast');
   const variantFilter = req.body?.variant; // e.g. 1 for Option1 only
+  const force = req.body?.force === true;
+  const output = resolveOutput(req, res);
+  if (!output) return;
+  const audio = resolveAudio(req, res);
+  if (audio === null) return;
 
-  // Find all HTML files with saved timing
+  const renderItems = collectRenderItems(variantFilter);
+  if (renderItems.length === 0) {
+    return res.status(400).json({ error: 'No files have timing set. Upload SRT or set timing first.' });
+  }
+
+  // Skip clips whose HTML, assets, timing and settings haven't changed since their last render
+  const toRender = [];
+  const skipped = [];
+  for (const item of renderItems) {
+    let cachedOutput = force ? null : findCachedRender(item, output, audio);
+    if (cachedOutput) {
+      // Segments were reordered since: give the clip its current sequence name
+      const target = buildOutputName(item.name, item.times, output, item.seq, null, audio && output.container !== 'png' && !!getVoiceover());
+      if (cachedOutput !== target) {
+        try {
+          renameCachedOutput(cachedOutput, target);
+          cachedOutput = target;
+        } catch (err) {
+          console.error(`[render-cache] Could not rename ${cachedOutput}: ${err.message}`);
+        }
+      }
+      skipped.push({ name: item.name, outputName: cachedOutput });
+    } else {
+      toRender.push(item);
+    }
+  }
+
+  // Respond immediately
+  res.json({ started: true, totalFiles: renderItems.length, toRender: toRender.length, skipped: skipped.length });
+
+  // Run in background
+  const batch = createBatch({
+    type: 'all',
+    params: {
+      variant: variantFilter ?? null,
+      force,
+      preset: output.tag,
+      alpha: output.alpha,
+      audio,
+      skipped: skipped.map(s => s.name),
+    },
+  });
+  renderAllRunning.add(currentProjectId());
+  runRenderAll(batch, toRender, skipped, { output, audio }, broadcast).finally(() => {
+    renderAllRunning.delete(currentProjectId());
+  });
+});
+
+/**
+ * All HTML files with saved timing, sorted by timeline position and numbered
+ * (seq counts every item, so skipped clips keep their number).
+ *
+ * @param {number} [variantFilter] - Only Option{N} files
+ * @returns {{ name: string, times: number[], timelineOffset: number, seq: number }[]}
+ */
+function collectRenderItems(variantFilter) {
   const htmlFiles = fs.readdirSync(config.INPUT_DIR).filter(f => f.endsWith('.html'));
   const renderItems = [];
 
@@ -131,66 +252,293 @@ router.post('/all', (req, res) => {
     renderItems.push({ name, times, timelineOffset });
   }
 
+  renderItems.sort((a, b) => a.timelineOffset - b.timelineOffset);
+  renderItems.forEach((item, i) => { item.seq = i + 1; });
+  return renderItems;
+}
+
+/**
+ * Existing output rendered from exactly this content, or null.
+ */
+function findCachedRender(item, output, audio) {
+  try {
+    const settings = resolveRenderSettings(item.name, output, audio ? getVoiceover() : null);
+    const hash = computeRenderHash(item.name, item.times, settings);
+    return findCachedOutput(item.name, hash);
+  } catch {
+    return null;
+  }
+}
+
+async function runRenderAll(batch, renderItems, skipped, renderOpts, broadcast) {
+  // Queue everything up front in timeline order — the scheduler starts them FIFO
+  const jobInfos = renderItems.map(item =>
+    startRender(item.name, item.times, broadcast, null, item.seq, { ...renderOpts, batchId: batch.id })
+  );
+  updateBatch(batch.id, { jobIds: jobInfos.map(j => j.id) });
+
+  await finishRenderAll(batch, jobInfos, skipped.length, broadcast);
+}
+
+async function finishRenderAll(batch, jobInfos, skippedCount, broadcast) {
+  const { completed, total, failed } = await trackBatch(batch, jobInfos, broadcast, { skipped: skippedCount });
+
+  broadcast({
+    type: 'render-all-complete',
+    batchId: batch.id,
+    completed,
+    total,
+    failed,
+    rendered: completed - failed,
+    skipped: skippedCount,
+  });
+}
+
+// Batches other than Render All (e.g. variants) end with render-batch-complete
+async function finishBatch(batch, jobInfos, broadcast) {
+  const { completed, total, failed } = await trackBatch(batch, jobInfos, broadcast);
+
+  broadcast({
+    type: 'render-batch-complete',
+    batch: batch.type,
+    batchId: batch.id,
+    completed,
+    total,
+    failed,
+  });
+}
+
+// POST /api/render/master — one continuous video of the whole timeline.
+// Renders any clips that are missing or stale, then places each at its
+// timelineOffset. Output: output/master/master.{preset}.mp4
+// Body: { variant: 1 } — which Option{N} to use per segment (default 1)
+//       { gapFill: 'hold' | 'background', background: '#000000' } — default from config
+//       { preset, overrides, force } — as for /all
+//       { audio: false } — leave out the voiceover (muxed by default when one is uploaded)
+
+router.post('/master', (req, res) => {
+  if (masterRunning.has(currentProjectId()) || renderAllRunning.has(currentProjectId())) {
+    return res.status(409).json({ error: 'A master or render-all render is already in progress' });
+  }
+  if (req.body?.alpha) {
+    return res.status(400).json({ error: 'The master render is always an opaque MP4' });
+  }
+
+  const variant = req.body?.variant ?? 1;
+  const force = req.body?.force === true;
+  const gapFill = req.body?.gapFill || config.MASTER_GAP_FILL;
+  const background = req.body?.background || config.MASTER_BACKGROUND;
+  if (gapFill !== 'hold' && gapFill !== 'background') {
+    return res.status(400).json({ error: 'gapFill must be "hold" or "background"' });
+  }
+  if (!/^#[0-9a-f]{6}$/i.test(background)) {
+    return res.status(400).json({ error: 'background must be a #rrggbb colour' });
+  }
+
+  const output = resolveOutput(req, res);
+  if (!output) return;
+  const voiceover = req.body?.audio === false ? null : getVoiceover();
+
+  const renderItems = collectRenderItems(variant);
   if (renderItems.length === 0) {
     return res.status(400).json({ error: 'No files have timing set. Upload SRT or set timing first.' });
   }
 
-  // Sort by timeline position
-  renderItems.sort((a, b) => a.timelineOffset - b.timelineOffset);
+  // Clips are rendered silent — the master carries the whole voiceover instead.
+  // Cached clips are used under whatever name they have.
+  for (const item of renderItems) item.cachedOutput = force ? null : findCachedRender(item, output, false);
+  const toRender = renderItems.filter(item => !item.cachedOutput);
 
-  // Respond immediately
-  res.json({ started: true, totalFiles: renderItems.length });
+  const outputName = `master/master.${output.tag}.mp4`;
+  res.json({ started: true, totalFiles: renderItems.length, toRender: toRender.length, outputName });
 
-  // Run sequentially in background
-  renderAllRunning = true;
-  runRenderAll(renderItems, broadcast).finally(() => {
-    renderAllRunning = false;
+  const broadcast = req.app.get('broadcast');
+  const batch = createBatch({
+    type: 'master',
+    params: { variant, force, preset: output.tag, gapFill, background, audio: !!voiceover, outputName },
   });
+  masterRunning.add(currentProjectId());
+  runMaster(batch, { renderItems, toRender, output, voiceover, gapFill, background, outputName }, broadcast)
+    .catch(err => {
+      console.error('[master] Failed:', err.message);
+      broadcast({ type: 'master-error', batchId: batch.id, error: err.message });
+    })
+    .finally(() => {
+      masterRunning.delete(currentProjectId());
+    });
 });
 
-async function runRenderAll(renderItems, broadcast) {
-  let completed = 0;
-  const total = renderItems.length;
+async function runMaster(batch, { renderItems, toRender, output, voiceover, gapFill, background, outputName }, broadcast) {
+  // 1. Bring every clip up to date
+  if (toRender.length > 0) {
+    const jobInfos = toRender.map(item =>
+      startRender(item.name, item.times, broadcast, null, item.seq, { batchId: batch.id, output })
+    );
+    updateBatch(batch.id, { jobIds: jobInfos.map(j => j.id) });
+    await trackBatch(batch, jobInfos, broadcast);
+  }
 
-  for (let i = 0; i < renderItems.length; i++) {
-    const item = renderItems[i];
+  // 2. Resolve clip files — a failed clip leaves its slot to the previous one
+  const clips = [];
+  const missing = [];
+  for (const item of renderItems) {
+    const clipName = item.cachedOutput || findCachedRender(item, output, false);
+    if (clipName) clips.push({ path: path.join(config.OUTPUT_DIR, clipName), offsetSec: item.timelineOffset });
+    else missing.push(item.name);
+  }
+  if (clips.length === 0) {
+    throw new Error('No clips rendered successfully');
+  }
 
-    broadcast({
-      type: 'render-queue-progress',
-      currentFile: item.name,
-      completed,
-      total,
-      status: 'starting',
+  // 3. Timeline length: the voiceover, or the end of the last clip
+  let durationSec = voiceover?.duration;
+  if (!durationSec) {
+    const last = clips[clips.length - 1];
+    durationSec = last.offsetSec + ((await probeDuration(last.path)) || 0);
+  }
+
+  // 4. Stitch
+  const outputPath = path.join(config.OUTPUT_DIR, outputName);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  broadcast({ type: 'master-progress', batchId: batch.id, percent: 0, clips: clips.length, missing: missing.length });
+  console.log(`[master] Composing ${clips.length} clips, ${durationSec.toFixed(1)}s (${gapFill})`);
+
+  try {
+    await composeMaster({
+      clips,
+      durationSec,
+      output,
+      gapFill,
+      background,
+      audioPath: voiceover?.path,
+      outputPath,
+      onProgress: (percent) => broadcast({ type: 'master-progress', batchId: batch.id, percent, missing: missing.length }),
     });
+  } catch (err) {
+    fs.rmSync(outputPath, { force: true });
+    updateBatch(batch.id, { status: 'error', finishedAt: Date.now() });
+    throw err;
+  }
 
-    const jobInfo = startRender(item.name, item.times, broadcast, null, i + 1);
-    const rawJob = getJobRaw(jobInfo.id);
+  updateBatch(batch.id, { status: 'done', finishedAt: Date.now() });
+  broadcast({ type: 'master-done', batchId: batch.id, outputName, durationSec, missing });
+}
 
-    if (rawJob && rawJob.promise) {
-      try {
-        await rawJob.promise;
-      } catch {
-        // Error already handled by renderer's catch block
-      }
-    }
+const FINAL_STATUSES = new Set(['done', 'error', 'cancelled']);
+
+/**
+ * Aggregate progress of a batch of queued jobs into render-queue-progress
+ * messages (on every job completion + once a second while running).
+ * Marks the stored batch done and resolves with final counts once every
+ * job has settled.
+ */
+async function trackBatch(batch, jobInfos, broadcast, extra = {}) {
+  const rawJobs = jobInfos.map(j => getJobRaw(j.id)).filter(Boolean);
+  const total = rawJobs.length;
 
-    completed++;
+  const counts = () => ({
+    completed: rawJobs.filter(j => FINAL_STATUSES.has(j.status)).length,
+    failed: rawJobs.filter(j => j.status === 'error').length,
+    total,
+  });
+
+  const report = (status) => {
+    const running = rawJobs.filter(j => j.status === 'running');
+    const percentSum = rawJobs.reduce((sum, j) =>
+      sum + (FINAL_STATUSES.has(j.status) ? 100 : (j.progress?.percent || 0)), 0);
     broadcast({
       type: 'render-queue-progress',
-      currentFile: item.name,
-      completed,
-      total,
-      status: rawJob?.status || 'done',
+      batch: batch.type,
+      batchId: batch.id,
+      currentFile: running.map(j => j.fileName).join(', '),
+      running: running.map(j => j.fileName),
+      queued: rawJobs.filter(j => j.status === 'queued').length,
+      percent: total > 0 ? Math.round(percentSum / total) : 100,
+      status,
+      ...extra,
+      ...counts(),
     });
+  };
+
+  report('starting');
+  const timer = setInterval(() => report('running'), 1000);
+  try {
+    await Promise.all(rawJobs.map(j => j.promise.then(() => report(j.status))));
+  } finally {
+    clearInterval(timer);
   }
 
-  broadcast({
-    type: 'render-all-complete',
-    completed,
-    total,
-  });
+  updateBatch(batch.id, { status: 'done', finishedAt: Date.now() });
+  return counts();
 }
 
+function summarizeBatch(batch) {
+  const jobs = batch.jobIds.map(id => getJobRaw(id)).filter(Boolean);
+  const counts = {};
+  for (const j of jobs) counts[j.status] = (counts[j.status] || 0) + 1;
+  return { ...batch, counts };
+}
+
+// GET /api/render/batches — list render batches (newest first) with per-status job counts
+router.get('/batches', (req, res) => {
+  res.json([...getBatches()].reverse().map(summarizeBatch));
+});
+
+// POST /api/render/batches/:id/resume — re-queue the jobs of a batch that did not complete
+router.post('/batches/:id/resume', (req, res) => {
+  const batch = getBatch(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  if (batch.status === 'running') {
+    return res.status(409).json({ error: 'Batch is still running' });
+  }
+  if (batch.type === 'all' && renderAllRunning.has(currentProjectId())) {
+    return res.status(409).json({ error: 'Render-all already in progress' });
+  }
+  if (batch.type === 'master') {
+    return res.status(400).json({ error: 'Start the master render again — clips that finished are reused' });
+  }
+
+  const pending = batch.jobIds
+    .map(id => getJobRaw(id))
+    .filter(j => j && j.status !== 'done' && Array.isArray(j.beatTimes) && j.beatTimes.length > 0);
+
+  if (pending.length === 0) {
+    updateBatch(batch.id, { status: 'done' });
+    return res.json({ batchId: batch.id, resumed: 0, jobs: [] });
+  }
+
+  const broadcast = req.app.get('broadcast');
+  const replaced = new Map();
+  const jobInfos = pending.map(j => {
+    const info = startRender(j.fileName, j.beatTimes, broadcast, j.variantLabel, j.sequenceNum, {
+      batchId: batch.id,
+      output: j.output,
+      audio: !!j.audio,
+    });
+    replaced.set(j.id, info.id);
+    return info;
+  });
+
+  updateBatch(batch.id, {
+    status: 'running',
+    jobIds: batch.jobIds.map(id => replaced.get(id) || id),
+    resumedAt: Date.now(),
+  });
+
+  res.json({ batchId: batch.id, resumed: jobInfos.length, jobs: jobInfos });
+
+  if (batch.type === 'all') {
+    renderAllRunning.add(currentProjectId());
+    finishRenderAll(batch, jobInfos, 0, broadcast).finally(() => {
+      renderAllRunning.delete(currentProjectId());
+    });
+  } else {
+    finishBatch(batch, jobInfos, broadcast);
+  }
+});
+
 // GET /api/render — list all jobs
 router.get('/', (req, res) => {
   res.json(getAllJobs());
@@ -203,13 +551,13 @@ router.get('/:id', (req, res) => {
   res.json(job);
 });
 
-// POST /api/render/:id/cancel — cancel a running job
+// POST /api/render/:id/cancel — cancel a queued or running job
 router.post('/:id/cancel', (req, res) => {
   const cancelled = cancelJob(req.params.id);
   if (cancelled) {
     res.json({ cancelled: true });
   } else {
-    res.status(400).json({ error: 'Job not running or not found' });
+    res.status(400).json({ error: 'Job not queued/running or not found' });
   }
 });
 
@@ -5,8 +5,17 @@ const path = require('path');
 const fs = require('fs');
 const config = require('../config');
 const { mapSrtToBeats, mapSrtToBeatsIntelligent } = require('../services/srt-parser');
+const { detectTranscriptFormat } = require('../services/transcript-formats');
+const { keepProjectContext } = require('../services/project-context');
+const { getSpeechOnsets, snapBeatTimes } = require('../services/speech-onsets');
+const {
+  readTiming, normalizeLockedBeats, lockedBeatTexts, saveTimingRespectingLocks,
+} = require('../services/timing-locks');
+const {
+  writeTiming, listHistory, getVersion, restoreVersion, stepHistory, diffVersions,
+} = require('../services/timing-history');
 
-// Multer for SRT file uploads (memory storage — we just need the text)
+// Multer for SRT/VTT/JSON transcript uploads (memory storage — we just need the text)
 const srtUpload = multer({ storage: multer.memoryStorage() });
 
 // GET /api/timing/:name — get saved timing for a file
@@ -19,27 +28,81 @@ router.get('/:name', (req, res) => {
 });
 
 // POST /api/timing/:name — save manual timing
+// Body: { beatTimes: [...], lockedBeats?: [0, 3], locked?: false }
+// Only the beats the user locked are kept by re-matching — without lockedBeats
+// the current locks stay. Project SRT timing stays project timing (segment,
+// cues), so the unlocked beats are still re-fitted by later matching.
 router.post('/:name', (req, res) => {
-  const { beatTimes } = req.body;
+  const { beatTimes, lockedBeats, locked } = req.body;
   if (!Array.isArray(beatTimes)) {
     return res.status(400).json({ error: 'beatTimes must be an array of numbers' });
   }
+  if (locked != null && typeof locked !== 'boolean') {
+    return res.status(400).json({ error: 'locked must be true or false' });
+  }
 
-  const timing = {
-    beatTimes: beatTimes.map(Number),
-    source: 'manual',
-    savedAt: new Date().toISOString(),
-  };
+  const times = beatTimes.map(Number);
+  const previous = readTiming(req.params.name);
+  let locks;
+  try {
+    locks = normalizeLockedBeats(lockedBeats ?? previous?.lockedBeats ?? [], times.length);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
 
-  const timingFile = path.join(config.DATA_DIR, `${req.params.name}.timing.json`);
-  fs.writeFileSync(timingFile, JSON.stringify(timing, null, 2));
+  const sameBeats = previous?.beatTimes?.length === times.length;
+  const timing = previous?.source === 'srt-project'
+    ? {
+      ...previous,
+      beatTimes: times,
+      method: 'manual-edit',
+      snap: undefined,
+      mapping: sameBeats ? previous.mapping : null,
+    }
+    : { beatTimes: times, source: 'manual' };
+  timing.locked = locked ?? previous?.locked ?? false;
+  timing.lockedBeats = locks;
+  timing.lockedBeatTexts = lockedBeatTexts(req.params.name, locks);
+  timing.savedAt = new Date().toISOString();
+
+  writeTiming(req.params.name, timing, 'manual');
+  res.json(timing);
+});
+
+// PUT /api/timing/:name/locks — lock or unlock beats, or the whole file
+// Body: { locked?: true, lockedBeats?: [0, 3] } — omitted fields stay as they are
+router.put('/:name/locks', (req, res) => {
+  const timing = readTiming(req.params.name);
+  if (!timing || !timing.beatTimes?.length) {
+    return res.status(400).json({ error: 'No timing to lock — set beat times first' });
+  }
+  const { locked, lockedBeats } = req.body || {};
+  if (locked != null && typeof locked !== 'boolean') {
+    return res.status(400).json({ error: 'locked must be true or false' });
+  }
+
+  try {
+    if (lockedBeats != null) {
+      timing.lockedBeats = normalizeLockedBeats(lockedBeats, timing.beatTimes.length);
+      timing.lockedBeatTexts = lockedBeatTexts(req.params.name, timing.lockedBeats);
+    }
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (locked != null) timing.locked = locked;
+
+  writeTiming(req.params.name, timing, 'locks');
   res.json(timing);
 });
 
-// POST /api/timing/:name/srt — upload SRT and map to beats
-router.post('/:name/srt', srtUpload.single('srt'), (req, res) => {
+// POST /api/timing/:name/srt — upload a transcript (SRT, WebVTT or word-level JSON) and map to beats
+// Locked beats keep their times; a locked file is refused.
+router.post('/:name/srt', keepProjectContext(srtUpload.single('srt')), (req, res) => {
   if (!req.file) {
-    return res.status(400).json({ error: 'No SRT file uploaded' });
+    return res.status(400).json({ error: 'No transcript uploaded (SRT, VTT or word-level JSON)' });
+  }
+  if (readTiming(req.params.name)?.locked) {
+    return res.status(409).json({ error: 'Timing is locked — unlock it to re-time from a transcript' });
   }
 
   // Load analysis for beat count + beat texts
@@ -65,6 +128,7 @@ router.post('/:name/srt', srtUpload.single('srt'), (req, res) => {
       source: 'srt',
       method: result.method || 'sequential',
       srtFilename: req.file.originalname,
+      transcriptFormat: detectTranscriptFormat(srtContent),
       cueCount: result.cueCount,
       matched: result.matched,
       matchedCount: result.matchedCount || null,
@@ -73,12 +137,123 @@ router.post('/:name/srt', srtUpload.single('srt'), (req, res) => {
       savedAt: new Date().toISOString(),
     };
 
-    const timingFile = path.join(config.DATA_DIR, `${req.params.name}.timing.json`);
-    fs.writeFileSync(timingFile, JSON.stringify(timing, null, 2));
-    res.json(timing);
+    res.json(saveTimingRespectingLocks(req.params.name, timing, 'srt-upload').timing);
   } catch (err) {
-    res.status(400).json({ error: `SRT parse error: ${err.message}` });
+    res.status(400).json({ error: `Transcript parse error: ${err.message}` });
   }
 });
 
+// POST /api/timing/:name/snap — snap beats to speech onsets in the project voiceover
+// Body: { windowMs: 250 } (optional, default config.ONSET_SNAP_WINDOW_MS)
+// Re-snapping starts again from the times before the last snap. Locked beats
+// stay put; a locked file is refused.
+router.post('/:name/snap', async (req, res) => {
+  const timingFile = path.join(config.DATA_DIR, `${req.params.name}.timing.json`);
+  if (!fs.existsSync(timingFile)) {
+    return res.status(400).json({ error: 'No timing to snap — set beat times first' });
+  }
+  const windowMs = req.body?.windowMs ?? config.ONSET_SNAP_WINDOW_MS;
+  if (typeof windowMs !== 'number' || !(windowMs > 0 && windowMs <= 2000)) {
+    return res.status(400).json({ error: 'windowMs must be a number between 0 and 2000' });
+  }
+
+  const timing = JSON.parse(fs.readFileSync(timingFile, 'utf-8'));
+  if (timing.locked) {
+    return res.status(409).json({ error: 'Timing is locked — unlock it to snap' });
+  }
+  const lockedBeats = timing.lockedBeats || [];
+  const resnap = timing.method === 'onset-snap' && timing.snap;
+  // Beats locked since the last snap keep their current time
+  const baseTimes = resnap
+    ? timing.snap.deltas.map((d, i) => (lockedBeats.includes(i) ? timing.beatTimes[i] : d.before))
+    : timing.beatTimes;
+  if (!baseTimes || baseTimes.length === 0) {
+    return res.status(400).json({ error: 'No timing to snap — set beat times first' });
+  }
+
+  let onsets;
+  try {
+    onsets = await getSpeechOnsets();
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const { beatTimes, deltas } = snapBeatTimes(baseTimes, onsets, windowMs, lockedBeats);
+  const snapped = {
+    ...timing,
+    beatTimes,
+    method: 'onset-snap',
+    snap: {
+      from: resnap ? timing.snap.from : timing.method || timing.source,
+      windowMs,
+      deltas,
+      snappedAt: new Date().toISOString(),
+    },
+  };
+  writeTiming(req.params.name, snapped, 'snap');
+
+  const moved = deltas.filter(d => d.delta !== 0).length;
+  console.log(`[timing] ${req.params.name}: snapped ${moved}/${deltas.length} beats to speech (±${windowMs}ms)`);
+  res.json(snapped);
+});
+
+// ─── History ───
+
+// GET /api/timing/:name/history — every saved version (without its timing),
+// the current one, and the versions undo/redo would go to
+router.get('/:name/history', (req, res) => {
+  res.json(listHistory(req.params.name));
+});
+
+// GET /api/timing/:name/history/:version — one version with its timing
+router.get('/:name/history/:version', (req, res) => {
+  try {
+    res.json(getVersion(req.params.name, Number(req.params.version)));
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+// GET /api/timing/:name/diff?from=3&to=5 — per-beat and field changes
+// between two versions (to defaults to the current version)
+router.get('/:name/diff', (req, res) => {
+  const from = Number(req.query.from);
+  const to = req.query.to != null ? Number(req.query.to) : null;
+  if (!Number.isInteger(from) || (to != null && !Number.isInteger(to))) {
+    return res.status(400).json({ error: 'from (and to) must be version numbers' });
+  }
+  try {
+    res.json(diffVersions(req.params.name, from, to));
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+// POST /api/timing/:name/restore — make an earlier version current again
+// Body: { version: 3 }
+router.post('/:name/restore', (req, res) => {
+  const version = req.body?.version;
+  if (!Number.isInteger(version)) {
+    return res.status(400).json({ error: 'version must be a version number' });
+  }
+  try {
+    const entry = restoreVersion(req.params.name, version);
+    res.json({ version: entry.version, timing: readTiming(req.params.name) || { beatTimes: [], source: 'none' } });
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+
+// POST /api/timing/:name/undo, /api/timing/:name/redo — step through the versions
+for (const direction of ['undo', 'redo']) {
+  router.post(`/:name/${direction}`, (req, res) => {
+    try {
+      const entry = stepHistory(req.params.name, direction);
+      res.json({ version: entry.version, timing: readTiming(req.params.name) || { beatTimes: [], source: 'none' } });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+}
+
 module.exports = router;
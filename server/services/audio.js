@@ -0,0 +1,124 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const config = require('../config');
+
+/**
+ * Project voiceover: the narration audio the SRT was made from.
+ *
+ * The uploaded file is kept as-is in data/voiceover/ (never re-encoded) and
+ * described by data/voiceover.json. Renders can mux the slice that lines up
+ * with a clip; the Premiere XML references the original file.
+ */
+
+const voiceoverDir = () => path.join(config.DATA_DIR, 'voiceover');
+const metaFile = () => path.join(config.DATA_DIR, 'voiceover.json');
+
+const AUDIO_EXTENSIONS = ['.wav', '.mp3', '.m4a'];
+
+// Channel layouts as ffmpeg names them in its input summary
+const CHANNEL_LAYOUTS = { mono: 1, stereo: 2, '2.1': 3, quad: 4, '5.0': 5, '5.1': 6, '7.1': 8 };
+
+/**
+ * Duration (s) and audio channel count of a media file, parsed from ffmpeg's
+ * input summary — either is null when it can't be read.
+ */
+function probeMedia(filePath) {
+  return new Promise((resolve) => {
+    const proc = spawn(ffmpegPath, ['-hide_banner', '-i', filePath]);
+    let stderr = '';
+    proc.stderr.on('data', (chunk) => { stderr += chunk.toString(); });
+    proc.on('error', () => resolve({ duration: null, channels: null }));
+    // ffmpeg exits non-zero without an output file — the summary is still printed
+    proc.on('close', () => {
+      const m = stderr.match(/Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/);
+      // e.g. "Stream #0:0: Audio: pcm_s16le, 44100 Hz, stereo, s16" or "..., 3 channels, ..."
+      const audio = stderr.match(/Stream #[^\n]*Audio:[^,\n]*,[^,\n]*Hz,\s*([^,\n]+)/);
+      const layout = audio && audio[1].trim().replace(/\(.*\)$/, '');
+      const counted = layout && layout.match(/^(\d+) channels$/);
+      resolve({
+        duration: m ? parseInt(m[1], 10) * 3600 + parseInt(m[2], 10) * 60 + parseFloat(m[3]) : null,
+        channels: counted ? parseInt(counted[1], 10) : CHANNEL_LAYOUTS[layout] ?? null,
+      });
+    });
+  });
+}
+
+/**
+ * Duration of a media file in seconds, or null.
+ */
+async function probeDuration(filePath) {
+  return (await probeMedia(filePath)).duration;
+}
+
+/**
+ * Current voiceover ({ fileName, originalName, path, duration, channels, size, mtimeMs, uploadedAt }) or null.
+ */
+function getVoiceover() {
+  if (!fs.existsSync(metaFile())) return null;
+  try {
+    const meta = JSON.parse(fs.readFileSync(metaFile(), 'utf-8'));
+    const filePath = path.join(voiceoverDir(), meta.fileName);
+    if (!fs.existsSync(filePath)) return null;
+    return { ...meta, path: filePath };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Replace the project voiceover with an uploaded file.
+ *
+ * @param {string} tmpPath - Uploaded file (moved, not copied)
+ * @param {string} originalName - Name the user uploaded it as
+ * @throws {Error} if the extension isn't supported or ffmpeg can't read it
+ */
+async function saveVoiceover(tmpPath, originalName) {
+  const ext = path.extname(originalName).toLowerCase();
+  if (!AUDIO_EXTENSIONS.includes(ext)) {
+    fs.rmSync(tmpPath, { force: true });
+    throw new Error(`Unsupported audio format "${ext}" (use ${AUDIO_EXTENSIONS.join(', ')})`);
+  }
+
+  const { duration, channels } = await probeMedia(tmpPath);
+  if (!duration) {
+    fs.rmSync(tmpPath, { force: true });
+    throw new Error('Could not read audio duration — is this a valid audio file?');
+  }
+
+  clearVoiceover();
+  fs.mkdirSync(voiceoverDir(), { recursive: true });
+  const fileName = `voiceover${ext}`;
+  const filePath = path.join(voiceoverDir(), fileName);
+  fs.renameSync(tmpPath, filePath);
+
+  const stat = fs.statSync(filePath);
+  const meta = {
+    fileName,
+    originalName,
+    duration,
+    channels,
+    size: stat.size,
+    mtimeMs: stat.mtimeMs,
+    uploadedAt: new Date().toISOString(),
+  };
+  fs.writeFileSync(metaFile(), JSON.stringify(meta, null, 2));
+  console.log(`[audio] Voiceover saved: ${originalName} (${duration.toFixed(1)}s)`);
+  return { ...meta, path: filePath };
+}
+
+function clearVoiceover() {
+  fs.rmSync(voiceoverDir(), { recursive: true, force: true });
+  fs.rmSync(metaFile(), { force: true });
+}
+
+/**
+ * ffmpeg audio codec args for a container. PNG sequences carry no audio.
+ */
+function audioEncoderArgs(container) {
+  if (container === 'webm') return ['-c:a', 'libopus', '-b:a', '160k'];
+  return ['-c:a', 'aac', '-b:a', '192k'];
+}
+
+module.exports = { probeDuration, getVoiceover, saveVoiceover, clearVoiceover, audioEncoderArgs };
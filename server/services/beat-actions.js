@@ -0,0 +1,230 @@
+/**
+ * Advance strategies — how a beat is triggered in the page.
+ *
+ *   { type: 'click', selector: '#stage' }        click an element
+ *   { type: 'key', key: 'ArrowRight' }           press a key (Puppeteer key name)
+ *   { type: 'eval', fn: 'deck.next' }            call a global function (dotted path)
+ *   { type: 'manifest' }                         window.__htmlToVideo.goTo(N), or next() without goTo
+ *   { type: 'perBeat', actions: [a1, a2, ...] }  beat N runs actions[N]; later beats reuse the last entry.
+ *                                                An entry is one action or an array run in order.
+ *
+ * Detected during analysis, stored in `.analysis.json` as `advance`, and
+ * replayed unchanged by the renderer and the preview panel.
+ */
+
+const CLICK_TARGET_CANDIDATES = ['#stage', '#presentation', '#app', '.slides', 'body'];
+const NEXT_BUTTON_SELECTORS = [
+  '[data-action="next"]', '#next', '#btn-next', 'button.next', '.next-btn', '[aria-label="Next"]',
+];
+const KEY_CANDIDATES = ['ArrowRight', 'Space'];
+const HOOK_CANDIDATES = ['next', 'nextStep', 'advance'];
+
+const ACTION_TYPES = ['click', 'key', 'eval', 'manifest'];
+
+/**
+ * Validate a strategy supplied by a user or loaded from disk.
+ *
+ * @returns {object} A normalized copy
+ * @throws {Error} describing the first problem found
+ */
+function normalizeAdvance(advance) {
+  if (!advance || typeof advance !== 'object') throw new Error('advance must be an object');
+  if (advance.type === 'perBeat') {
+    if (!Array.isArray(advance.actions) || advance.actions.length === 0) {
+      throw new Error('perBeat advance needs a non-empty actions list');
+    }
+    return {
+      type: 'perBeat',
+      actions: advance.actions.map(entry => Array.isArray(entry) ? entry.map(normalizeAction) : normalizeAction(entry)),
+    };
+  }
+  return normalizeAction(advance);
+}
+
+function normalizeAction(action) {
+  if (!action || !ACTION_TYPES.includes(action.type)) {
+    throw new Error(`Advance action type must be one of ${ACTION_TYPES.join(', ')}, or perBeat`);
+  }
+  if (action.type === 'click') {
+    if (typeof action.selector !== 'string' || !action.selector.trim()) throw new Error('click action needs a selector');
+    return { type: 'click', selector: action.selector };
+  }
+  if (action.type === 'key') {
+    if (typeof action.key !== 'string' || !action.key) throw new Error('key action needs a key');
+    return { type: 'key', key: action.key };
+  }
+  if (action.type === 'manifest') return { type: 'manifest' };
+  if (typeof action.fn !== 'string' || !/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(action.fn)) {
+    throw new Error('eval action needs fn as a global function path, e.g. "next" or "deck.next"');
+  }
+  return { type: 'eval', fn: action.fn };
+}
+
+/**
+ * Strategy for analyses saved before advance strategies existed.
+ */
+function advanceFromAnalysis(analysis) {
+  if (analysis?.advance) return analysis.advance;
+  if (analysis?.clickTarget) return { type: 'click', selector: analysis.clickTarget };
+  return null;
+}
+
+/**
+ * A strategy the user set by hand on a previous analysis — re-analysis keeps it.
+ */
+function manualAdvance(analysis) {
+  return analysis?.advanceSource === 'manual' ? analysis.advance : null;
+}
+
+/**
+ * Actions for the beat at beatIndex (0-based).
+ */
+function actionsForBeat(advance, beatIndex) {
+  if (advance.type !== 'perBeat') return [advance];
+  const entry = advance.actions[Math.min(beatIndex, advance.actions.length - 1)];
+  return Array.isArray(entry) ? entry : [entry];
+}
+
+/**
+ * Trigger beat `beatIndex` in a Puppeteer page.
+ */
+async function performAdvance(page, advance, beatIndex) {
+  for (const action of actionsForBeat(advance, beatIndex)) {
+    if (action.type === 'click') {
+      await page.click(action.selector);
+    } else if (action.type === 'key') {
+      await page.keyboard.press(action.key);
+    } else if (action.type === 'manifest') {
+      await page.evaluate((index) => {
+        const api = window.__htmlToVideo;
+        if (typeof api?.goTo === 'function') api.goTo(index);
+        else if (typeof api?.next === 'function') api.next();
+        else throw new Error('window.__htmlToVideo has no goTo() or next()');
+      }, beatIndex);
+    } else {
+      // Returned promises aren't awaited — under the virtual clock they could never resolve
+      await page.evaluate((fnPath) => {
+        const parts = fnPath.split('.');
+        const owner = parts.slice(0, -1).reduce((obj, key) => obj?.[key], window);
+        const fn = owner?.[parts[parts.length - 1]];
+        if (typeof fn !== 'function') throw new Error(`${fnPath} is not a function`);
+        fn.call(owner);
+      }, action.fn);
+    }
+  }
+}
+
+/**
+ * The page's beat manifest (window.__htmlToVideo), normalized, or null when
+ * the page doesn't declare one or it's malformed.
+ *
+ * @returns {Promise<{ beats: { id: string|null, text: string, type: string|null, durationMs: number|null }[] }|null>}
+ */
+async function readManifest(page) {
+  const manifest = await page.evaluate(() => {
+    const api = window.__htmlToVideo;
+    if (!api || typeof api !== 'object') return null;
+    return {
+      beats: Array.isArray(api.beats) ? api.beats.map(b => ({ ...b })) : null,
+      canDrive: typeof api.goTo === 'function' || typeof api.next === 'function',
+    };
+  });
+  if (!manifest) return null;
+  if (!manifest.beats || !manifest.canDrive) {
+    console.log('[analyze] window.__htmlToVideo needs a beats array and goTo() or next() — ignoring it');
+    return null;
+  }
+
+  return {
+    beats: manifest.beats.map((beat, i) => ({
+      id: beat?.id != null ? String(beat.id) : String(i + 1),
+      text: typeof beat?.text === 'string' ? beat.text.trim() : '',
+      type: typeof beat?.type === 'string' ? beat.type : null,
+      durationMs: Number.isFinite(beat?.durationMs) && beat.durationMs >= 0 ? beat.durationMs : null,
+    })),
+  };
+}
+
+/**
+ * First candidate click target present in the page — the original
+ * strategy, and the fallback when nothing else is detected.
+ */
+async function detectClickTarget(page) {
+  return page.evaluate((candidates) => {
+    for (const sel of candidates) {
+      if (sel === 'body') continue;
+      if (document.querySelector(sel)) return sel;
+    }
+    return 'body';
+  }, CLICK_TARGET_CANDIDATES);
+}
+
+/**
+ * Work out how a page advances by trying each kind of action on a freshly
+ * loaded page and keeping the first one that changes the page. Order:
+ * click target, "next" button, ArrowRight/Space, then window.next()-style hooks.
+ *
+ * @param {object} page - Puppeteer page, already loaded
+ * @param {() => Promise<void>} reload - Restores the page to its initial state
+ * @param {number} waitMs - How long to let an action take effect
+ * @param {object} probe - How to tell that the page changed (see domProbe)
+ * @param {(page) => Promise<any>} probe.snapshot
+ * @param {(before, after) => boolean} probe.differs
+ */
+async function detectAdvance(page, reload, waitMs, probe) {
+  const candidates = [{ type: 'click', selector: await detectClickTarget(page) }];
+
+  const buttons = await page.evaluate((selectors) => selectors.filter(sel => document.querySelector(sel)), NEXT_BUTTON_SELECTORS);
+  candidates.push(...buttons.map(selector => ({ type: 'click', selector })));
+  candidates.push(...KEY_CANDIDATES.map(key => ({ type: 'key', key })));
+
+  const hooks = await page.evaluate((names) => names.filter(name => typeof window[name] === 'function'), HOOK_CANDIDATES);
+  candidates.push(...hooks.map(fn => ({ type: 'eval', fn })));
+
+  for (const candidate of candidates) {
+    const before = await probe.snapshot(page);
+    try {
+      await performAdvance(page, candidate, 0);
+    } catch {
+      continue;
+    }
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+    if (probe.differs(before, await probe.snapshot(page))) {
+      await reload();
+      return candidate;
+    }
+  }
+
+  // Nothing visibly advanced the page — keep the legacy click so behaviour is unchanged
+  return candidates[0];
+}
+
+/**
+ * Change probe for detectAdvance that watches only the classes of the DOM
+ * profile's slides and step items — the state beat counting reads — so a
+ * ticking clock or counter elsewhere on the page doesn't pass for an advance.
+ *
+ * @param {{ slideSelector: string, stepSelector: string }} dom
+ */
+function domProbe(dom) {
+  return {
+    snapshot: (page) => page.evaluate(({ slideSelector, stepSelector }) => {
+      return [...document.querySelectorAll(`${slideSelector}, ${stepSelector}`)]
+        .map(el => el.getAttribute('class') || '')
+        .join('|');
+    }, { slideSelector: dom.slideSelector, stepSelector: dom.stepSelector }),
+    differs: (a, b) => a !== b,
+  };
+}
+
+module.exports = {
+  normalizeAdvance,
+  advanceFromAnalysis,
+  manualAdvance,
+  actionsForBeat,
+  performAdvance,
+  detectClickTarget,
+  detectAdvance,
+  domProbe,
+  readManifest,
+};
@@ -1,42 +1,62 @@
 const path = require('path');
 const fs = require('fs');
 const config = require('../config');
-const { mapSrtToBeatsIntelligent, parseSrt } = require('./srt-parser');
+const { mapSrtToBeatsIntelligent, parseTranscript } = require('./srt-parser');
+const { saveTimingRespectingLocks, mergeTimingLocks } = require('./timing-locks');
 
 /**
  * After Puppeteer analysis, if this file belongs to a project segment with SRT timing,
  * re-map beats to actual SRT cues within the segment's narrow time range.
- * Uses mapSrtToBeatsIntelligent scoped to just the segment's cues (~10-20 cues)
- * instead of all 483 — much more accurate.
+ * Locked beats keep their times.
+ *
+ * @param {string} [action] - What triggered the remap, for the timing history
+ * @returns {object|null} the lock merge result (see saveTimingRespectingLocks), null when skipped
  */
-function remapBeatsToSegmentCues(fileName, analysis) {
+function remapBeatsToSegmentCues(fileName, analysis, action = 'analyze') {
   const timingFile = path.join(config.DATA_DIR, `${fileName}.timing.json`);
   if (!fs.existsSync(timingFile)) {
     console.log(`[beat-remap] SKIP ${fileName}: no timing file`);
-    return;
+    return null;
   }
 
   const timing = JSON.parse(fs.readFileSync(timingFile, 'utf-8'));
   if (timing.source !== 'srt-project') {
     console.log(`[beat-remap] SKIP ${fileName}: source is '${timing.source}', not 'srt-project'`);
-    return;
+    return null;
   }
+  if (timing.locked) {
+    console.log(`[beat-remap] SKIP ${fileName}: timing is locked`);
+    return mergeTimingLocks(timing, timing); // reports every beat as preserved
+  }
+
+  const refined = refineSegmentTiming(fileName, timing, analysis);
+  return refined ? saveTimingRespectingLocks(fileName, refined, action) : null;
+}
+
+/**
+ * Project timing refined against the segment's SRT cues: mapSrtToBeatsIntelligent
+ * scoped to just the segment's cues (~10-20 cues) instead of all 483 — much
+ * more accurate.
+ *
+ * @returns {object|null} the refined timing, null when it can't be refined
+ */
+function refineSegmentTiming(fileName, timing, analysis) {
   if (!analysis.beatTexts || analysis.beatTexts.length === 0) {
     console.log(`[beat-remap] SKIP ${fileName}: no beatTexts in analysis`);
-    return;
+    return null;
   }
 
   // Load the project to find the SRT file and segment cue range
   const projectFile = path.join(config.DATA_DIR, 'project.json');
   if (!fs.existsSync(projectFile)) {
     console.log(`[beat-remap] SKIP ${fileName}: no project.json`);
-    return;
+    return null;
   }
 
   const project = JSON.parse(fs.readFileSync(projectFile, 'utf-8'));
   if (!project.srtMatch) {
     console.log(`[beat-remap] SKIP ${fileName}: no srtMatch in project`);
-    return;
+    return null;
   }
 
   // Find this file's segment match
@@ -45,18 +65,18 @@ function remapBeatsToSegmentCues(fileName, analysis) {
   );
   if (!segMatch || segMatch.startTime == null) {
     console.log(`[beat-remap] SKIP ${fileName}: no segment match or no startTime`);
-    return;
+    return null;
   }
 
   // Load the original SRT content from the project source
   const srtCacheFile = path.join(config.DATA_DIR, 'project-srt.cache');
   if (!fs.existsSync(srtCacheFile)) {
     console.log(`[beat-remap] SKIP ${fileName}: no SRT cache file`);
-    return;
+    return null;
   }
 
   const srtContent = fs.readFileSync(srtCacheFile, 'utf-8');
-  const allCues = parseSrt(srtContent);
+  const allCues = parseTranscript(srtContent);
 
   // Filter cues to just this segment's time range (asymmetric buffer:
   // wider before to catch segment-start context, tight after to avoid
@@ -70,19 +90,13 @@ function remapBeatsToSegmentCues(fileName, analysis) {
 
   if (segCues.length === 0) {
     console.log(`[beat-remap] SKIP ${fileName}: no SRT cues in segment range ${segMatch.startTime}-${segMatch.endTime}`);
-    return;
+    return null;
   }
 
-  // Build a mini-SRT from just these cues
-  const miniSrt = segCues.map((c, i) => {
-    const startTs = secondsToSrtTime(c.startTime);
-    const endTs = secondsToSrtTime(c.endTime);
-    return `${i + 1}\n${startTs} --> ${endTs}\n${c.text}\n`;
-  }).join('\n');
-
-  // Run intelligent matching with beat texts against this narrow SRT range,
-  // passing segment bounds for smarter interpolation and beat types to skip unmatchable beats
-  const result = mapSrtToBeatsIntelligent(miniSrt, analysis.beatTexts, {
+  // Run intelligent matching with beat texts against just these cues (keeping
+  // their word timestamps, if the transcript has them), passing segment bounds
+  // for smarter interpolation and beat types to skip unmatchable beats
+  const result = mapSrtToBeatsIntelligent(segCues, analysis.beatTexts, {
     beatTypes: analysis.beatTypes || null,
     segStart: segMatch.startTime,
     segEnd: segMatch.endTime,
@@ -93,16 +107,60 @@ function remapBeatsToSegmentCues(fileName, analysis) {
       ...timing,
       beatTimes: result.beatTimes,
       method: 'script-match-refined',
+      snap: undefined, // beat times replaced — an earlier onset snap no longer applies
       mapping: result.mapping,
       cues: segCues,
       matchedCount: result.matchedCount,
       refinedAt: new Date().toISOString(),
     };
-    fs.writeFileSync(timingFile, JSON.stringify(updatedTiming, null, 2));
     console.log(`[beat-remap] SUCCESS ${fileName}: ${result.matchedCount}/${result.beatCount} beats matched, ${segCues.length} cues, method=${result.method}`);
+    return updatedTiming;
+  }
+  console.log(`[beat-remap] FAIL ${fileName}: no beat times produced from matching`);
+  return null;
+}
+
+/**
+ * Write a file's project timing for its segment's SRT match: the analyzed
+ * beats spread evenly over the segment (one beat at the start before analysis),
+ * refined right away against the segment's cues when beat texts exist.
+ * Locked beats (and locked files) are kept.
+ *
+ * @param {string} action - What triggered the write, for the timing history
+ * @returns {object} the lock merge result (see saveTimingRespectingLocks)
+ */
+function writeSegmentTiming(fileName, match, action) {
+  const analysisFile = path.join(config.DATA_DIR, `${fileName}.analysis.json`);
+  const analysis = fs.existsSync(analysisFile) ? JSON.parse(fs.readFileSync(analysisFile, 'utf-8')) : null;
+  const beatCount = analysis?.beatCount || 0;
+
+  // Distribute beats evenly within the segment's time range
+  let beatTimes;
+  if (beatCount > 1) {
+    const duration = match.endTime - match.startTime;
+    beatTimes = [];
+    for (let i = 0; i < beatCount; i++) {
+      beatTimes.push(Math.round((match.startTime + (i / (beatCount - 1)) * duration) * 1000) / 1000);
+    }
   } else {
-    console.log(`[beat-remap] FAIL ${fileName}: no beat times produced from matching`);
+    // One beat, or no analysis yet — single beat at start time
+    beatTimes = [Math.round(match.startTime * 1000) / 1000];
   }
+
+  const timing = {
+    beatTimes,
+    source: 'srt-project',
+    method: 'script-match',
+    segmentNum: match.num,
+    confidence: match.confidence,
+    startTime: match.startTime,
+    endTime: match.endTime,
+    savedAt: new Date().toISOString(),
+  };
+  // Opportunistic refinement: if analysis already exists, immediately
+  // refine timing with word-level SRT matching instead of waiting for analyze-all
+  const refined = analysis?.beatTexts?.length > 0 ? refineSegmentTiming(fileName, timing, analysis) : null;
+  return saveTimingRespectingLocks(fileName, refined || timing, action);
 }
 
 function secondsToSrtTime(seconds) {
@@ -113,4 +171,4 @@ function secondsToSrtTime(seconds) {
   return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(Math.floor(s)).padStart(2, '0')},${String(ms).padStart(3, '0')}`;
 }
 
-module.exports = { remapBeatsToSegmentCues, secondsToSrtTime };
+module.exports = { remapBeatsToSegmentCues, writeSegmentTiming, secondsToSrtTime };
@@ -0,0 +1,159 @@
+const puppeteer = require('puppeteer');
+const config = require('../config');
+
+/**
+ * Shared Chromium pool for analysis and rendering.
+ *
+ * Keeps up to BROWSER_POOL_SIZE browsers warm instead of cold-starting one
+ * per file. Each job borrows one browser exclusively and gets a fresh
+ * browser context, so cookies, storage and injected styles never leak
+ * between jobs. Browsers are recycled after BROWSER_MAX_USES jobs, after
+ * a crash, or when they fail a health check.
+ *
+ * Usage:
+ *   const lease = await acquirePage();
+ *   try { ...lease.page... } finally { await lease.release(); }
+ */
+
+const slots = [];   // { id, browser, uses, busy }
+const waiters = []; // resolve callbacks, FIFO
+let slotCounter = 0;
+let shuttingDown = false;
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+async function launchBrowser() {
+  return puppeteer.launch({
+    headless: 'new',
+    args: ['--no-sandbox', '--disable-setuid-sandbox'],
+  });
+}
+
+async function closeBrowser(slot) {
+  const browser = slot.browser;
+  slot.browser = null;
+  slot.uses = 0;
+  if (browser) {
+    try { await browser.close(); } catch {}
+  }
+}
+
+/**
+ * Make sure the slot has a live, responsive browser that hasn't
+ * exceeded its use budget. Relaunches otherwise.
+ */
+async function ensureHealthy(slot) {
+  if (slot.browser && slot.uses >= config.BROWSER_MAX_USES) {
+    console.log(`[browser-pool] recycling browser #${slot.id} after ${slot.uses} uses`);
+    await closeBrowser(slot);
+  }
+
+  if (slot.browser) {
+    try {
+      if (!slot.browser.connected) throw new Error('disconnected');
+      await withTimeout(slot.browser.version(), config.BROWSER_HEALTH_TIMEOUT_MS, 'Health check');
+    } catch (err) {
+      console.log(`[browser-pool] browser #${slot.id} unhealthy (${err.message}), relaunching`);
+      await closeBrowser(slot);
+    }
+  }
+
+  if (!slot.browser) {
+    slot.browser = await launchBrowser();
+    slot.browser.on('disconnected', () => {
+      if (slot.browser && !slot.browser.connected) slot.browser = null;
+    });
+  }
+}
+
+/**
+ * Claim an idle slot, creating one if the pool isn't full yet,
+ * otherwise wait in line for the next release.
+ */
+function claimSlot() {
+  const idle = slots.find(s => !s.busy);
+  if (idle) {
+    idle.busy = true;
+    return Promise.resolve(idle);
+  }
+  if (slots.length < config.BROWSER_POOL_SIZE) {
+    const slot = { id: ++slotCounter, browser: null, uses: 0, busy: true };
+    slots.push(slot);
+    return Promise.resolve(slot);
+  }
+  return new Promise(resolve => waiters.push(resolve));
+}
+
+function freeSlot(slot) {
+  const next = waiters.shift();
+  if (next) {
+    next(slot); // hand over directly — stays busy
+  } else {
+    slot.busy = false;
+  }
+}
+
+/**
+ * Borrow a clean page. Always call lease.release() when done.
+ */
+async function acquirePage() {
+  if (shuttingDown) throw new Error('Browser pool is shutting down');
+
+  const slot = await claimSlot();
+  let context = null;
+  try {
+    await ensureHealthy(slot);
+    context = await slot.browser.createBrowserContext();
+    const page = await context.newPage();
+    slot.uses++;
+
+    let crashed = false;
+    page.on('error', () => { crashed = true; });
+
+    let released = false;
+    return {
+      page,
+      release: async () => {
+        if (released) return;
+        released = true;
+        try { await context.close(); } catch { crashed = true; }
+        if (crashed) {
+          console.log(`[browser-pool] page crashed on browser #${slot.id}, recycling`);
+          await closeBrowser(slot);
+        }
+        freeSlot(slot);
+      },
+    };
+  } catch (err) {
+    if (context) {
+      try { await context.close(); } catch {}
+    }
+    await closeBrowser(slot);
+    freeSlot(slot);
+    throw err;
+  }
+}
+
+function getPoolStats() {
+  return {
+    size: config.BROWSER_POOL_SIZE,
+    browsers: slots.filter(s => s.browser).length,
+    busy: slots.filter(s => s.busy).length,
+    waiting: waiters.length,
+  };
+}
+
+async function shutdownPool() {
+  shuttingDown = true;
+  await Promise.all(slots.map(closeBrowser));
+}
+
+module.exports = { acquirePage, getPoolStats, shutdownPool };
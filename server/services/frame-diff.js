@@ -0,0 +1,120 @@
+const zlib = require('zlib');
+
+/**
+ * Pixel comparison for settle detection and visual beat detection. Operates
+ * on small PNG probes (downscaled screenshots) — PNG is lossless, so
+ * identical pixels give identical bytes and only differing probes need decoding.
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 }; // PNG colour type → samples per pixel
+
+/**
+ * Decode an 8-bit, non-interlaced, non-palette PNG (what Chromium emits).
+ *
+ * @returns {{ width: number, height: number, channels: number, data: Buffer }}
+ * @throws {Error} on anything else
+ */
+function decodePng(buf) {
+  if (!buf.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error('Not a PNG');
+
+  let width = 0, height = 0, channels = 0;
+  const idat = [];
+  for (let pos = 8; pos < buf.length;) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString('ascii', pos + 4, pos + 8);
+    const chunk = buf.subarray(pos + 8, pos + 8 + length);
+    if (type === 'IHDR') {
+      width = chunk.readUInt32BE(0);
+      height = chunk.readUInt32BE(4);
+      const bitDepth = chunk[8];
+      channels = CHANNELS[chunk[9]];
+      if (bitDepth !== 8 || !channels || chunk[12] !== 0) {
+        throw new Error(`Unsupported PNG (bit depth ${bitDepth}, colour type ${chunk[9]}, interlace ${chunk[12]})`);
+      }
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+    pos += 12 + length;
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const data = Buffer.alloc(stride * height);
+
+  // Undo the per-scanline filters
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const out = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= channels ? data[out + x - channels] : 0;
+      const b = y > 0 ? data[out + x - stride] : 0;
+      const c = x >= channels && y > 0 ? data[out + x - stride - channels] : 0;
+      let value = raw[src + x];
+      if (filter === 1) value += a;
+      else if (filter === 2) value += b;
+      else if (filter === 3) value += (a + b) >> 1;
+      else if (filter === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+        value += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+      data[out + x] = value & 0xff;
+    }
+  }
+
+  return { width, height, channels, data };
+}
+
+/**
+ * Fraction of pixels (0–1) that differ at all between two PNG screenshots.
+ */
+function frameDifference(pngA, pngB) {
+  return compareFrames(pngA, pngB).score;
+}
+
+/**
+ * Where and how much two same-sized PNG screenshots differ. A pixel counts as
+ * changed when any channel moves by more than `tolerance` (0–255), which
+ * ignores anti-aliasing and gradient dithering noise.
+ *
+ * @returns {{ score: number, bbox: { x: number, y: number, width: number, height: number } | null }}
+ *   score is the fraction of changed pixels; bbox is in image pixels (null when nothing changed)
+ */
+function compareFrames(pngA, pngB, tolerance = 0) {
+  if (pngA.equals(pngB)) return { score: 0, bbox: null };
+
+  const a = decodePng(pngA);
+  const b = decodePng(pngB);
+  if (a.width !== b.width || a.height !== b.height || a.channels !== b.channels) {
+    return { score: 1, bbox: { x: 0, y: 0, width: b.width, height: b.height } };
+  }
+
+  let changed = 0;
+  let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1;
+  for (let y = 0; y < a.height; y++) {
+    for (let x = 0; x < a.width; x++) {
+      const offset = (y * a.width + x) * a.channels;
+      for (let ch = 0; ch < a.channels; ch++) {
+        if (Math.abs(a.data[offset + ch] - b.data[offset + ch]) > tolerance) {
+          changed++;
+          if (x < minX) minX = x;
+          if (x > maxX) maxX = x;
+          if (y < minY) minY = y;
+          if (y > maxY) maxY = y;
+          break;
+        }
+      }
+    }
+  }
+
+  return {
+    score: changed / (a.width * a.height),
+    bbox: changed > 0 ? { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 } : null,
+  };
+}
+
+module.exports = { decodePng, frameDifference, compareFrames };
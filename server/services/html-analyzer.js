@@ -1,13 +1,17 @@
-const puppeteer = require('puppeteer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const config = require('../config');
+const { acquirePage } = require('./browser-pool');
+const { detectAdvance, domProbe, performAdvance, readManifest } = require('./beat-actions');
+const { resolveDomConventions } = require('./project-settings');
+const { resolveOutputSettings, viewportFor } = require('./output-settings');
+const { compareFrames } = require('./frame-diff');
 
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-const CLICK_TARGET_CANDIDATES = ['#stage', '#presentation', '#app', '.slides', 'body'];
-
-const THUMBS_DIR = path.join(config.DATA_DIR, 'thumbs');
+const thumbsDir = () => path.join(config.DATA_DIR, 'thumbs');
+const BEAT_TYPES = ['speech', 'label', 'data', 'silent'];
 
 /**
  * Analyze an HTML animation file to detect beats (clickable steps).
@@ -17,38 +21,38 @@ const THUMBS_DIR = path.join(config.DATA_DIR, 'thumbs');
  * the initial state.
  *
  * Captures a thumbnail screenshot after each beat for the mapping UI.
+ *
+ * Pages that declare their beats in window.__htmlToVideo (see
+ * analyzeManifest) skip the click-probing entirely. Pages without any of
+ * the DOM profile's slides/step items (canvas, SVG, GSAP...) are probed
+ * visually instead (see analyzeVisual) — as is any page with
+ * opts.detection === 'visual'; 'dom' forces the class-based probing.
+ *
+ * Slide/step selectors and state classes come from opts.dom, defaulting to
+ * the project's DOM profile (see project-settings.js).
+ *
+ * opts.quick skips the per-beat transition measurement (see verifyVariant).
+ *
+ * The page is laid out at opts.viewport (see analysisViewport) — the default
+ * output preset's unless given — and the analysis records it as `viewport`.
+ *
+ * The advance strategy (see beat-actions.js) is auto-detected unless
+ * opts.advance is given, and saved with the analysis as `advance`
+ * (`advanceSource` says which).
  */
-async function analyzeHtml(filePath) {
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    args: ['--no-sandbox', '--disable-setuid-sandbox'],
-  });
-
-  const baseName = path.basename(filePath);
-
-  // Ensure thumbs dir exists
-  if (!fs.existsSync(THUMBS_DIR)) fs.mkdirSync(THUMBS_DIR, { recursive: true });
+async function analyzeHtml(filePath, opts = {}) {
+  const thumbPrefix = clearThumbs(filePath);
+  const dom = opts.dom || resolveDomConventions();
+  opts = { ...opts, viewport: opts.viewport || analysisViewport() };
+  const lease = await acquirePage();
 
-  // Clean old thumbs for this file
-  const thumbPrefix = baseName + '_beat_';
   try {
-    for (const f of fs.readdirSync(THUMBS_DIR)) {
-      if (f.startsWith(thumbPrefix)) fs.unlinkSync(path.join(THUMBS_DIR, f));
-    }
-  } catch {}
-
-  try {
-    const page = await browser.newPage();
-    await page.setViewport({ width: config.WIDTH, height: config.HEIGHT });
-    await page.goto(`file://${filePath}`, { waitUntil: 'networkidle0', timeout: 15000 });
+    const { page } = lease;
+    const load = () => openPage(page, filePath, opts.viewport);
+    await load();
 
-    // Hide hint/instruction text
-    await page.addStyleTag({
-      content: '.hint, [class*="hint"], [class*="instruction"] { display: none !important; }'
-    });
-
-    // Detect click target + DOM info
-    const domInfo = await page.evaluate((slideSelector, stepSelector, candidates) => {
+    // DOM info
+    const domInfo = await page.evaluate((slideSelector, stepSelector) => {
       const slides = document.querySelectorAll(slideSelector);
       const stepItems = document.querySelectorAll(stepSelector);
 
@@ -62,46 +66,52 @@ async function analyzeHtml(filePath) {
         }
       }
 
-      let clickTarget = 'body';
-      for (const sel of candidates) {
-        if (sel === 'body') continue;
-        if (document.querySelector(sel)) { clickTarget = sel; break; }
-      }
-
       return {
         slideCount: slides.length,
         stepItemCount: stepItems.length,
         transitionDurations: [...durations],
-        clickTarget,
       };
-    }, config.SLIDE_SELECTOR, config.STEP_ITEM_SELECTOR, CLICK_TARGET_CANDIDATES);
+    }, dom.slideSelector, dom.stepSelector);
 
     const maxTransMs = domInfo.transitionDurations.length > 0
       ? Math.max(...domInfo.transitionDurations)
       : config.DEFAULT_TRANSITION_DURATION;
+
+    const manifest = await readManifest(page);
+    if (manifest) return analyzeManifest(page, manifest, domInfo, maxTransMs, thumbPrefix, opts);
+
+    const noDomBeats = domInfo.slideCount === 0 && domInfo.stepItemCount === 0;
+    if (opts.detection === 'visual' || (opts.detection !== 'dom' && noDomBeats)) {
+      return analyzeVisual(page, load, domInfo, maxTransMs, thumbPrefix, opts);
+    }
+
     // Wait enough for slide transitions (at least 600ms) but cap it so analysis isn't painfully slow
     const waitAfterClick = Math.min(Math.max(600, maxTransMs + 100), 1200);
-    const clickSelector = domInfo.clickTarget;
+    const advance = opts.advance || await detectAdvance(page, load, waitAfterClick, domProbe(dom));
 
     // Capture initial state — only track active slide's revealed items
-    const initialState = await getActiveState(page);
+    const initialState = await getActiveState(page, dom);
+    await installTransitionProbe(page);
 
     // Click-counting pass
     let clickCount = 0;
     const maxClicks = 100;
     const beatTexts = [];
     const beatThumbs = []; // thumbnail filenames
+    const beatTransitionMs = [];
     let noChangeStreak = 0;
     let passedFirstBeat = false;
 
     for (let i = 0; i < maxClicks; i++) {
       // Which items are revealed before this click?
-      const revealedBefore = await getRevealedTexts(page);
+      const revealedBefore = await getRevealedTexts(page, dom);
 
-      await page.click(clickSelector);
+      await page.evaluate(() => window.__h2vTransitions.mark());
+      await performAdvance(page, advance, clickCount);
       await delay(waitAfterClick);
+      const transitionMs = opts.quick ? null : await measureBeatTransition(page, waitAfterClick);
 
-      const state = await getActiveState(page);
+      const state = await getActiveState(page, dom);
 
       // Loop detection: if we're back to initial state after at least one beat
       if (passedFirstBeat && state === initialState) {
@@ -109,7 +119,7 @@ async function analyzeHtml(filePath) {
       }
 
       // No-change detection
-      const prevRevealedAfter = await getRevealedTexts(page);
+      const prevRevealedAfter = await getRevealedTexts(page, dom);
 
       // Check if anything actually changed
       const changed = revealedBefore.join('|') !== prevRevealedAfter.join('|');
@@ -126,17 +136,9 @@ async function analyzeHtml(filePath) {
       const beforeSet = new Set(revealedBefore);
       const newTexts = prevRevealedAfter.filter(t => !beforeSet.has(t));
       beatTexts.push(newTexts.join(' ').trim());
+      beatTransitionMs.push(transitionMs);
 
-      // Capture thumbnail (small JPEG for fast loading)
-      const thumbName = `${thumbPrefix}${clickCount + 1}.jpg`;
-      const thumbPath = path.join(THUMBS_DIR, thumbName);
-      await page.screenshot({
-        path: thumbPath,
-        type: 'jpeg',
-        quality: 70,
-        clip: { x: 0, y: 0, width: config.WIDTH, height: config.HEIGHT },
-      });
-      beatThumbs.push(thumbName);
+      beatThumbs.push(await captureThumb(page, `${thumbPrefix}${clickCount + 1}.jpg`));
 
       clickCount++;
     }
@@ -151,7 +153,12 @@ async function analyzeHtml(filePath) {
       beatTexts,
       beatTypes,
       beatThumbs,
-      clickTarget: clickSelector,
+      beatTransitionMs,
+      advance,
+      advanceSource: opts.advance ? 'manual' : 'detected',
+      source: 'clicks',
+      viewport: opts.viewport,
+      dom,
       domEstimate,
       clickDetected: clickCount,
       slideCount: domInfo.slideCount,
@@ -160,40 +167,455 @@ async function analyzeHtml(filePath) {
       transitionDurations: domInfo.transitionDurations,
     };
   } finally {
-    await browser.close();
+    await lease.release();
+  }
+}
+
+/**
+ * Remove a file's old beat thumbnails.
+ * @returns {string} The prefix of its thumbnail names
+ */
+function clearThumbs(filePath) {
+  if (!fs.existsSync(thumbsDir())) fs.mkdirSync(thumbsDir(), { recursive: true });
+
+  const thumbPrefix = path.basename(filePath) + '_beat_';
+  try {
+    for (const f of fs.readdirSync(thumbsDir())) {
+      if (f.startsWith(thumbPrefix)) fs.unlinkSync(path.join(thumbsDir(), f));
+    }
+  } catch {}
+  return thumbPrefix;
+}
+
+/**
+ * CSS-pixel viewport a page is analyzed at: the page viewport of these output
+ * settings (see viewportFor), by default the default preset's. Analysis runs
+ * at device scale factor 1 — layout, not pixel density, decides the beats.
+ */
+function analysisViewport(output = resolveOutputSettings()) {
+  const { width, height } = viewportFor(output);
+  return { width, height };
+}
+
+/**
+ * Whether a saved analysis was made at this viewport. Analyses from before
+ * the viewport was recorded used config WIDTH x HEIGHT.
+ */
+function analysisMatchesViewport(analysis, viewport) {
+  const used = analysis.viewport || { width: config.WIDTH, height: config.HEIGHT };
+  return used.width === viewport.width && used.height === viewport.height;
+}
+
+async function openPage(page, filePath, viewport) {
+  await page.setViewport(viewport);
+  await page.goto(`file://${filePath}`, { waitUntil: 'networkidle0', timeout: 15000 });
+  // Hide hint/instruction text
+  await page.addStyleTag({
+    content: '.hint, [class*="hint"], [class*="instruction"] { display: none !important; }'
+  });
+}
+
+/**
+ * Analysis straight from the page's declared manifest:
+ *
+ *   window.__htmlToVideo = {
+ *     beats: [{ id, text, type, durationMs }],  // type: speech | label | data | silent
+ *     goTo(index),                              // show beat `index` (0-based)
+ *     next(),                                   // used when there's no goTo
+ *   }
+ *
+ * Beats are driven through goTo/next (advance type 'manifest') at render time too.
+ */
+async function analyzeManifest(page, manifest, domInfo, cssMaxTransMs, thumbPrefix, opts) {
+  const { beats } = manifest;
+  const durations = beats.map(b => b.durationMs).filter(ms => ms != null);
+  const maxTransMs = durations.length > 0 ? Math.max(...durations) : cssMaxTransMs;
+  const advance = opts.advance || { type: 'manifest' };
+
+  const beatThumbs = [];
+  for (let i = 0; i < beats.length; i++) {
+    await performAdvance(page, advance, i);
+    await delay(Math.min((beats[i].durationMs ?? maxTransMs) + 100, 1200));
+    beatThumbs.push(await captureThumb(page, `${thumbPrefix}${i + 1}.jpg`));
   }
+
+  return {
+    beatCount: beats.length,
+    beatTexts: beats.map(b => b.text),
+    beatTypes: beats.map(b => BEAT_TYPES.includes(b.type) ? b.type : classifyBeat(b.text)),
+    beatThumbs,
+    beatIds: beats.map(b => b.id),
+    beatDurationsMs: beats.map(b => b.durationMs),
+    beatTransitionMs: beats.map(b => b.durationMs),
+    source: 'manifest',
+    advance,
+    advanceSource: opts.advance ? 'manual' : 'manifest',
+    viewport: opts.viewport,
+    domEstimate: domInfo.stepItemCount + Math.max(0, domInfo.slideCount - 1),
+    clickDetected: 0,
+    slideCount: domInfo.slideCount,
+    stepItemCount: domInfo.stepItemCount,
+    maxTransitionMs: maxTransMs,
+    transitionDurations: durations.length > 0 ? [...new Set(durations)] : domInfo.transitionDurations,
+  };
+}
+
+/**
+ * Record when CSS transitions and animations end, for measureBeatTransition.
+ * Runs once per page load, after the page's own load-time animations.
+ */
+async function installTransitionProbe(page) {
+  await page.evaluate(() => {
+    const probe = { markedAt: 0, lastEnd: null };
+    const onEnd = () => { probe.lastEnd = performance.now(); };
+    for (const type of ['transitionend', 'transitioncancel', 'animationend', 'animationcancel']) {
+      document.addEventListener(type, onEnd, true);
+    }
+    probe.mark = () => { probe.markedAt = performance.now(); probe.lastEnd = null; };
+    window.__h2vTransitions = probe;
+  });
+}
+
+/**
+ * How long the transitions/animations started by the last click run, in ms
+ * (null if there were none). Ended ones are timed from their end events;
+ * ones still running are waited for (up to BEAT_TRANSITION_MAX_MS), or
+ * projected from their timing (delay + duration × iterations) if they outlast it.
+ * Infinite animations don't count.
+ *
+ * @param {number} waitedMs - Time already waited since the click
+ */
+async function measureBeatTransition(page, waitedMs) {
+  const readState = () => page.evaluate(() => {
+    const probe = window.__h2vTransitions;
+    let projectedEnd = null;
+    for (const anim of document.getAnimations()) {
+      // Only what the click started (startTime is the frame time, so allow a frame of slack;
+      // it precedes any delay, so delayed ones count)
+      if (anim.playState !== 'running' || anim.startTime == null || anim.startTime < probe.markedAt - 50) continue;
+      const { endTime } = anim.effect.getComputedTiming();
+      if (!Number.isFinite(endTime)) continue;
+      // startTime is on the document timeline, which shares performance.now()'s origin
+      const end = anim.startTime + endTime / Math.abs(anim.playbackRate || 1);
+      projectedEnd = Math.max(projectedEnd ?? 0, end);
+    }
+    return {
+      ended: probe.lastEnd != null ? probe.lastEnd - probe.markedAt : null,
+      running: projectedEnd != null ? projectedEnd - probe.markedAt : null,
+    };
+  });
+
+  let state = await readState();
+  let waited = waitedMs;
+  while (state.running != null && waited < config.BEAT_TRANSITION_MAX_MS) {
+    await delay(100);
+    waited += 100;
+    state = await readState();
+  }
+
+  const measured = Math.max(state.ended ?? -Infinity, state.running ?? -Infinity);
+  if (!Number.isFinite(measured) || measured <= 0) return null;
+  return Math.min(Math.round(measured), config.BEAT_TRANSITION_MAX_MS);
+}
+
+/**
+ * Analysis by pixels: screenshot after each click once the page stops moving,
+ * and count a click as a beat when enough of the frame changed
+ * (VISUAL_BEAT_THRESHOLD after VISUAL_DIFF_TOLERANCE, and more than the page
+ * changes by itself with no input). The run stops when the page loops back to
+ * its initial frame or two clicks in a row change nothing. A page that changes
+ * too much on its own to tell clicks apart fails fast.
+ *
+ * Records per-beat diff scores, changed-region bounding boxes (viewport px)
+ * and how long each beat took to settle.
+ */
+async function analyzeVisual(page, load, domInfo, cssMaxTransMs, thumbPrefix, opts) {
+  const scale = config.VISUAL_DIFF_SCALE;
+  const tolerance = config.VISUAL_DIFF_TOLERANCE;
+  const threshold = config.VISUAL_BEAT_THRESHOLD;
+  const clip = { x: 0, y: 0, ...opts.viewport, scale };
+
+  const snapshot = () => page.screenshot({ type: 'png', clip, encoding: 'binary' });
+  const hashOf = (png) => crypto.createHash('sha1').update(png).digest('hex');
+
+  // What the page changes on its own (a ticking clock, a looping background) is
+  // noise: a change has to exceed it to count as motion or as a beat
+  const idleNoise = await measureIdleMotion(page, snapshot, tolerance);
+  if (idleNoise > config.VISUAL_IDLE_NOISE_MAX) {
+    throw new Error(`Page never settles: ${Math.round(idleNoise * 100)}% of the frame changes with no input — declare its beats in a beat manifest`);
+  }
+  const minChange = Math.max(threshold, idleNoise * 1.5);
+  const differs = (a, b) => compareFrames(a, b, tolerance).score >= minChange;
+
+  // Poll until two consecutive frames match — GSAP/canvas timings aren't visible in CSS
+  const waitForSettle = async () => {
+    const started = Date.now();
+    let previous = await snapshot();
+    for (;;) {
+      await delay(100);
+      const current = await snapshot();
+      const elapsed = Date.now() - started;
+      if (!differs(previous, current) || elapsed >= config.VISUAL_SETTLE_MAX_MS) {
+        return { frame: current, settleMs: elapsed };
+      }
+      previous = current;
+    }
+  };
+
+  const advance = opts.advance || await detectAdvance(page, load, 600, { snapshot, differs });
+
+  const initial = (await waitForSettle()).frame;
+  const initialHash = hashOf(initial);
+  let before = initial;
+
+  const beatThumbs = [];
+  const beatDiffScores = [];
+  const beatRegions = [];
+  const beatSettleMs = [];
+  let noChangeStreak = 0;
+
+  for (let i = 0; i < 100; i++) {
+    await performAdvance(page, advance, beatThumbs.length);
+    const { frame: after, settleMs } = await waitForSettle();
+
+    const { score, bbox } = compareFrames(before, after, tolerance);
+    if (score < minChange) {
+      noChangeStreak++;
+      if (noChangeStreak >= 2) break;
+      continue;
+    }
+    noChangeStreak = 0;
+
+    // Loop detection: back at the initial frame after at least one beat
+    if (beatThumbs.length > 0 && (hashOf(after) === initialHash || !differs(initial, after))) break;
+
+    beatDiffScores.push(Math.round(score * 10000) / 10000);
+    beatRegions.push({
+      x: Math.floor(bbox.x / scale),
+      y: Math.floor(bbox.y / scale),
+      width: Math.ceil(bbox.width / scale),
+      height: Math.ceil(bbox.height / scale),
+    });
+    beatSettleMs.push(settleMs);
+    beatThumbs.push(await captureThumb(page, `${thumbPrefix}${beatThumbs.length + 1}.jpg`));
+    before = after;
+  }
+
+  const beatCount = beatThumbs.length;
+  return {
+    beatCount,
+    // Pixels carry no text — beats get interpolated timing between matched cues
+    beatTexts: beatThumbs.map(() => ''),
+    beatTypes: beatThumbs.map(() => 'silent'),
+    beatThumbs,
+    beatDiffScores,
+    beatRegions,
+    beatSettleMs,
+    beatTransitionMs: beatSettleMs,
+    initialFrameHash: initialHash,
+    idleNoise: Math.round(idleNoise * 10000) / 10000,
+    advance,
+    advanceSource: opts.advance ? 'manual' : 'detected',
+    source: 'visual',
+    viewport: opts.viewport,
+    domEstimate: domInfo.stepItemCount + Math.max(0, domInfo.slideCount - 1),
+    clickDetected: beatCount,
+    slideCount: domInfo.slideCount,
+    stepItemCount: domInfo.stepItemCount,
+    maxTransitionMs: beatSettleMs.length > 0 ? Math.max(...beatSettleMs) : cssMaxTransMs,
+    transitionDurations: domInfo.transitionDurations,
+  };
+}
+
+/**
+ * Watch the page for VISUAL_IDLE_SAMPLE_MS with no input.
+ * @returns {number} Largest fraction of the frame that changed from the first sample
+ */
+async function measureIdleMotion(page, snapshot, tolerance) {
+  const first = await snapshot();
+  let noise = 0;
+  for (let waited = 0; waited < config.VISUAL_IDLE_SAMPLE_MS; waited += 200) {
+    await delay(200);
+    noise = Math.max(noise, compareFrames(first, await snapshot(), tolerance).score);
+  }
+  return noise;
+}
+
+/**
+ * Save a small JPEG thumbnail of the page (fast to load in the mapping UI).
+ * @returns {string} The thumbnail's file name
+ */
+async function captureThumb(page, thumbName) {
+  const { width, height } = page.viewport();
+  await page.screenshot({
+    path: path.join(thumbsDir(), thumbName),
+    type: 'jpeg',
+    quality: 70,
+    clip: { x: 0, y: 0, width, height },
+  });
+  return thumbName;
+}
+
+/**
+ * Check a variant (Option 2, 3...) against its segment's reference analysis.
+ *
+ * A quick pass replays the reference's advance strategy — or the variant's
+ * own, if one was set by hand (opts.advance) — and reads the beat texts (see
+ * replayBeatTexts), stopping at the first beat that differs. If it matches,
+ * the variant gets the reference analysis with its own texts, thumbnails and
+ * advance (`advanceSource: 'reference'` when it is the reference's).
+ * Otherwise it gets a full analysis of its own. Either way the
+ * result carries `variantCheck`: { status: 'match' | 'mismatch', reference,
+ * beatCount, expectedBeatCount, differingBeats }.
+ *
+ * References analyzed from a manifest or by pixels have no revealed texts to
+ * replay: their quick pass is an analysis without transition measurement.
+ * The variant is opened at the reference's viewport unless opts.viewport is given.
+ *
+ * @param {string} filePath - Variant HTML
+ * @param {string} referenceName - File name of the reference (Option 1)
+ * @param {object} reference - Reference analysis
+ * @param {object} [opts] - { dom, advance, viewport } passed to a full re-analysis
+ */
+async function verifyVariant(filePath, referenceName, reference, opts = {}) {
+  const advance = opts.advance || reference.advance;
+  const viewport = opts.viewport || reference.viewport || analysisViewport();
+  const quick = reference.source === 'clicks'
+    ? await replayBeatTexts(filePath, { ...reference, advance, viewport }, opts.dom || reference.dom)
+    : await analyzeHtml(filePath, {
+      advance,
+      dom: opts.dom,
+      viewport,
+      detection: reference.source === 'visual' ? 'visual' : undefined,
+      quick: true,
+    });
+
+  let analysis;
+  let diff = compareBeats(reference, quick);
+  if (!diff) {
+    analysis = {
+      ...reference,
+      beatTexts: quick.beatTexts,
+      beatThumbs: quick.beatThumbs,
+      advance,
+      advanceSource: opts.advance ? 'manual' : 'reference',
+      viewport,
+    };
+  } else {
+    console.log(`[analyze] ${path.basename(filePath)} differs from ${referenceName} — running a full analysis`);
+    analysis = await analyzeHtml(filePath, { dom: opts.dom, advance: opts.advance, viewport });
+    diff = compareBeats(reference, analysis);
+  }
+
+  analysis.variantCheck = {
+    status: diff ? 'mismatch' : 'match',
+    reference: referenceName,
+    beatCount: analysis.beatCount,
+    expectedBeatCount: reference.beatCount,
+    differingBeats: diff ? diff.differingBeats : [],
+  };
+  return analysis;
+}
+
+/**
+ * Replay a click-analyzed reference's advances on a variant and read the
+ * texts each one reveals — no advance detection, DOM survey or transition
+ * measurement. Reading stops at the first beat whose text differs from the
+ * reference's; a thumbnail is taken of each beat that matches, once the
+ * reference's transition for it has run. One extra advance checks that the
+ * variant has no more beats.
+ *
+ * @returns {{ beatCount: number, beatTexts: string[], beatThumbs: string[] }}
+ *   Shaped like an analysis for compareBeats
+ */
+async function replayBeatTexts(filePath, reference, dom = resolveDomConventions()) {
+  const thumbPrefix = clearThumbs(filePath);
+  const normalize = (t) => (t || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const lease = await acquirePage();
+
+  try {
+    const { page } = lease;
+    await openPage(page, filePath, reference.viewport);
+    const initialState = await getActiveState(page, dom);
+
+    const beatTexts = [];
+    const beatThumbs = [];
+    const revealNext = async (beatIdx) => {
+      const before = new Set(await getRevealedTexts(page, dom));
+      await performAdvance(page, reference.advance, beatIdx);
+      await delay(config.VARIANT_CHECK_WAIT_MS);
+      return (await getRevealedTexts(page, dom)).filter(t => !before.has(t)).join(' ').trim();
+    };
+
+    for (let i = 0; i < reference.beatCount; i++) {
+      const text = await revealNext(i);
+      beatTexts.push(text);
+      if (normalize(text) !== normalize(reference.beatTexts[i])) {
+        return { beatCount: beatTexts.length, beatTexts, beatThumbs };
+      }
+      const transitionMs = reference.beatTransitionMs?.[i] ?? reference.maxTransitionMs ?? 0;
+      await delay(Math.min(Math.max(0, transitionMs - config.VARIANT_CHECK_WAIT_MS), config.BEAT_TRANSITION_MAX_MS));
+      beatThumbs.push(await captureThumb(page, `${thumbPrefix}${i + 1}.jpg`));
+    }
+
+    // Anything new after the last beat — short of looping back to the start —
+    // is a beat the reference doesn't have
+    const extra = await revealNext(reference.beatCount);
+    if (extra && await getActiveState(page, dom) !== initialState) beatTexts.push(extra);
+    return { beatCount: beatTexts.length, beatTexts, beatThumbs };
+  } finally {
+    await lease.release();
+  }
+}
+
+/**
+ * Differences in beat count / beat texts between two analyses, or null if
+ * they have the same structure. Texts are compared ignoring case and spacing.
+ */
+function compareBeats(expected, actual) {
+  const normalize = (t) => (t || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const count = Math.max(expected.beatCount, actual.beatCount);
+  const differingBeats = [];
+  for (let i = 0; i < count; i++) {
+    if (normalize(expected.beatTexts?.[i]) !== normalize(actual.beatTexts?.[i]) || i >= Math.min(expected.beatCount, actual.beatCount)) {
+      differingBeats.push(i + 1);
+    }
+  }
+  if (expected.beatCount === actual.beatCount && differingBeats.length === 0) return null;
+  return { differingBeats };
 }
 
 /**
  * Snapshot of active slide index + which of ITS items are revealed.
  * Only looks at the currently active slide — ignores other slides' state.
  */
-async function getActiveState(page) {
-  return page.evaluate(() => {
-    const slides = document.querySelectorAll('.slide');
+async function getActiveState(page, dom) {
+  return page.evaluate(({ slideSelector, activeClass, stepSelector, revealedClasses }) => {
+    const slides = document.querySelectorAll(slideSelector);
     let activeIdx = -1;
-    slides.forEach((s, i) => { if (s.classList.contains('active')) activeIdx = i; });
+    slides.forEach((s, i) => { if (s.classList.contains(activeClass)) activeIdx = i; });
     if (activeIdx < 0) return 'none';
 
-    const items = slides[activeIdx].querySelectorAll('.step-item');
+    const items = slides[activeIdx].querySelectorAll(stepSelector);
     const revealed = [];
     items.forEach((el, i) => {
-      if (el.classList.contains('revealed') || el.classList.contains('visible')) {
+      if (revealedClasses.some(c => el.classList.contains(c))) {
         revealed.push(i);
       }
     });
     return `S${activeIdx}:${revealed.join(',')}`;
-  });
+  }, dom);
 }
 
 /**
  * Get text content of all currently revealed step-items across all slides.
  */
-async function getRevealedTexts(page) {
-  return page.evaluate(() => {
-    return [...document.querySelectorAll('.step-item.revealed, .step-item.visible')]
+async function getRevealedTexts(page, dom) {
+  return page.evaluate(({ stepSelector, revealedClasses }) => {
+    return [...document.querySelectorAll(stepSelector)]
+      .filter(el => revealedClasses.some(c => el.classList.contains(c)))
       .map(el => el.textContent.trim());
-  });
+  }, dom);
 }
 
 /**
@@ -219,4 +641,4 @@ function classifyBeat(text) {
   return 'label';
 }
 
-module.exports = { analyzeHtml, classifyBeat };
+module.exports = { analyzeHtml, verifyVariant, classifyBeat, analysisViewport, analysisMatchesViewport };
@@ -0,0 +1,195 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Find the local files an HTML page references: src/href/poster/srcset
+ * attributes plus CSS url() and @import (inline and in linked stylesheets,
+ * followed recursively).
+ *
+ * Remote URLs (http:, data:, //cdn...) are reported separately and never
+ * followed. Fragment-only links (#foo) are ignored.
+ *
+ * Project import uses the same scan to bring those files along with the HTML.
+ */
+
+const ATTR_RE = /\b(?:src|href|poster|data-src)\s*=\s*["']([^"']+)["']/gi;
+const SRCSET_RE = /\bsrcset\s*=\s*["']([^"']+)["']/gi;
+const CSS_URL_RE = /url\(\s*["']?([^"')]+?)["']?\s*\)/gi;
+const CSS_IMPORT_RE = /@import\s+["']([^"']+)["']/gi;
+
+// scheme: (http:, data:, mailto:, javascript:...), protocol-relative, or fragment-only
+const NON_LOCAL_RE = /^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i;
+const REMOTE_RE = /^(?:https?:)?\/\//i;
+
+function extractRefs(content, isCss) {
+  const refs = [];
+  const collect = (re) => {
+    re.lastIndex = 0;
+    let m;
+    while ((m = re.exec(content)) !== null) refs.push(m[1].trim());
+  };
+
+  if (!isCss) {
+    collect(ATTR_RE);
+    SRCSET_RE.lastIndex = 0;
+    let m;
+    while ((m = SRCSET_RE.exec(content)) !== null) {
+      for (const candidate of m[1].split(',')) {
+        const url = candidate.trim().split(/\s+/)[0];
+        if (url) refs.push(url);
+      }
+    }
+  }
+  // HTML can carry CSS inline (<style>, style="") — scan both
+  collect(CSS_URL_RE);
+  collect(CSS_IMPORT_RE);
+
+  return refs.filter(Boolean);
+}
+
+/**
+ * Resolve a reference to a filesystem path, or null if it isn't local.
+ */
+function resolveLocalRef(ref, fromDir) {
+  if (NON_LOCAL_RE.test(ref)) return null;
+  const clean = ref.split(/[?#]/)[0];
+  if (!clean) return null;
+  let decoded = clean;
+  try { decoded = decodeURIComponent(clean); } catch {}
+  return path.resolve(fromDir, decoded);
+}
+
+/**
+ * @param {string} htmlPath - Absolute path to the HTML file
+ * @returns {{ local: { ref: string, source: string, path: string, exists: boolean }[], external: string[] }}
+ *   local — every distinct local file referenced (source = file that referenced it)
+ *   external — remote URLs referenced by the page or its stylesheets
+ */
+function scanHtmlAssets(htmlPath) {
+  const local = [];
+  const external = new Set();
+  const seen = new Set([path.resolve(htmlPath)]);
+  const toScan = [{ file: path.resolve(htmlPath), isCss: false }];
+
+  while (toScan.length > 0) {
+    const { file, isCss } = toScan.shift();
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf-8');
+    } catch {
+      continue;
+    }
+
+    for (const ref of extractRefs(content, isCss)) {
+      if (REMOTE_RE.test(ref)) {
+        external.add(ref);
+        continue;
+      }
+      const resolved = resolveLocalRef(ref, path.dirname(file));
+      if (!resolved || seen.has(resolved)) continue;
+      seen.add(resolved);
+
+      const exists = fs.existsSync(resolved) && fs.statSync(resolved).isFile();
+      local.push({ ref, source: file, path: resolved, exists });
+
+      if (exists && path.extname(resolved).toLowerCase() === '.css') {
+        toScan.push({ file: resolved, isCss: true });
+      }
+    }
+  }
+
+  return { local, external: [...external] };
+}
+
+function replaceLast(str, find, replacement) {
+  const at = str.lastIndexOf(find);
+  return at === -1 ? str : str.slice(0, at) + replacement + str.slice(at + find.length);
+}
+
+/**
+ * Rewrite the references of an HTML document — the same places
+ * scanHtmlAssets looks (attributes, srcset, inline CSS url() and @import).
+ *
+ * @param {(ref: string) => string | null} mapRef - New reference, or null to keep it
+ */
+function rewriteHtmlRefs(content, mapRef) {
+  const rewrite = (match, raw) => {
+    const mapped = mapRef(raw.trim());
+    return mapped == null ? match : replaceLast(match, raw.trim(), mapped);
+  };
+  return content
+    .replace(ATTR_RE, rewrite)
+    .replace(SRCSET_RE, (match, list) => replaceLast(match, list, list.split(',').map(candidate => {
+      const url = candidate.trim().split(/\s+/)[0];
+      const mapped = url ? mapRef(url) : null;
+      return mapped == null ? candidate : replaceLast(candidate, url, mapped);
+    }).join(',')))
+    .replace(CSS_URL_RE, rewrite)
+    .replace(CSS_IMPORT_RE, rewrite);
+}
+
+function isInside(file, dir) {
+  const rel = path.relative(dir, file);
+  return rel !== '' && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+/**
+ * Copy the local assets of a segment's HTML files into one asset folder and
+ * point the HTML at it. The folder keeps the files' layout relative to the
+ * segment folder (or to the project folder when some assets live outside the
+ * segment), so relative references inside copied stylesheets keep working.
+ *
+ * @param {object} opts
+ * @param {string} opts.segPath - Segment folder the HTML files are in
+ * @param {string} opts.projectPath - Project folder; assets outside it are not copied
+ * @param {{ src: string, dest: string }[]} opts.htmlFiles - Source HTML path → destination HTML path
+ * @param {string} opts.assetDir - Asset folder, next to the destination HTML files
+ * @returns {{ copied: number, missing: { file: string, ref: string }[], outside: { file: string, ref: string }[] }}
+ *   missing — references to files that don't exist; outside — files outside the project (left as they were);
+ *   file is the referencing HTML or stylesheet, relative to the segment folder
+ */
+function copySegmentAssets({ segPath, projectPath, htmlFiles, assetDir }) {
+  const scans = htmlFiles.map(f => ({ ...f, ...scanHtmlAssets(f.src) }));
+  const found = scans.flatMap(s => s.local.filter(a => a.exists));
+  const inProject = found.filter(a => isInside(a.path, projectPath));
+  const base = inProject.every(a => isInside(a.path, segPath)) ? segPath : projectPath;
+
+  fs.rmSync(assetDir, { recursive: true, force: true });
+  const targets = new Map(); // absolute source path → path relative to the asset folder
+  for (const asset of inProject) {
+    if (targets.has(asset.path)) continue;
+    const rel = path.relative(base, asset.path);
+    fs.mkdirSync(path.dirname(path.join(assetDir, rel)), { recursive: true });
+    fs.copyFileSync(asset.path, path.join(assetDir, rel));
+    targets.set(asset.path, rel);
+  }
+
+  // Problems are reported once per referencing file (variants often share them)
+  const missing = [];
+  const outside = [];
+  const reported = new Set();
+  for (const asset of scans.flatMap(s => s.local)) {
+    const file = path.relative(segPath, asset.source);
+    const key = `${file}\n${asset.ref}`;
+    if (reported.has(key) || (asset.exists && targets.has(asset.path))) continue;
+    reported.add(key);
+    (asset.exists ? outside : missing).push({ file, ref: asset.ref });
+  }
+
+  const assetDirName = path.basename(assetDir);
+  for (const scan of scans) {
+    const html = fs.readFileSync(scan.src, 'utf-8');
+    const rewritten = rewriteHtmlRefs(html, (ref) => {
+      const resolved = resolveLocalRef(ref, path.dirname(scan.src));
+      const rel = resolved && targets.get(resolved);
+      if (!rel) return null;
+      const suffix = ref.slice(ref.split(/[?#]/)[0].length);
+      return `${assetDirName}/${rel.split(path.sep).map(encodeURIComponent).join('/')}${suffix}`;
+    });
+    fs.writeFileSync(scan.dest, rewritten);
+  }
+
+  return { copied: targets.size, missing, outside };
+}
+
+module.exports = { scanHtmlAssets, resolveLocalRef, rewriteHtmlRefs, copySegmentAssets };
@@ -0,0 +1,175 @@
+const path = require('path');
+const fs = require('fs');
+const config = require('../config');
+
+/**
+ * Persistent render job + batch history (data/render-jobs.json).
+ *
+ * The renderer keeps live jobs in memory; every status change is written
+ * through here so a server restart doesn't lose history. Jobs and batches
+ * that were queued/running when the server went down come back as
+ * 'interrupted' and can be resumed.
+ *
+ * Changes are written at most once per PERSIST_INTERVAL_MS (and when the
+ * process exits), not on every call — a batch touches its jobs several times
+ * each.
+ */
+
+const MAX_STORED_JOBS = 1000; // oldest finished jobs are dropped beyond this
+const MAX_STORED_BATCHES = 200; // oldest finished batches are dropped beyond this
+const PERSIST_INTERVAL_MS = 1000;
+
+// One store per project — keyed by its file, which follows the current project
+const states = new Map(); // store file → { jobs: [], batches: [] }
+const pendingWrites = new Map(); // store file → timer of its next write
+
+const storeFile = () => path.join(config.DATA_DIR, 'render-jobs.json');
+
+function load() {
+  const file = storeFile();
+  if (states.has(file)) return states.get(file);
+
+  const state = { jobs: [], batches: [] };
+  states.set(file, state);
+  if (fs.existsSync(file)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      state.jobs = saved.jobs || [];
+      state.batches = saved.batches || [];
+    } catch (err) {
+      console.error(`[job-store] Could not read ${file}: ${err.message}`);
+    }
+  }
+
+  // Anything still in flight belonged to the previous process
+  let interrupted = 0;
+  for (const job of state.jobs) {
+    if (job.status === 'queued' || job.status === 'running') {
+      job.status = 'interrupted';
+      interrupted++;
+    }
+  }
+  for (const batch of state.batches) {
+    if (batch.status === 'running') batch.status = 'interrupted';
+  }
+  if (interrupted > 0) {
+    console.log(`[job-store] ${interrupted} render job(s) interrupted by restart`);
+    persist();
+  }
+
+  return state;
+}
+
+/**
+ * Drop the oldest finished records beyond max — unfinished ones are kept.
+ */
+function trimFinished(records, max, finished) {
+  if (records.length <= max) return records;
+  const excess = records.length - max;
+  let dropped = 0;
+  return records.filter(r => {
+    if (dropped < excess && finished.includes(r.status)) {
+      dropped++;
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Schedule a write of the current project's store.
+ */
+function persist() {
+  const file = storeFile();
+  if (pendingWrites.has(file)) return;
+  const timer = setTimeout(() => writeStore(file), PERSIST_INTERVAL_MS);
+  timer.unref();
+  pendingWrites.set(file, timer);
+}
+
+function writeStore(file) {
+  clearTimeout(pendingWrites.get(file));
+  pendingWrites.delete(file);
+  const state = states.get(file);
+  if (!state) return;
+
+  state.jobs = trimFinished(state.jobs, MAX_STORED_JOBS, ['done', 'cancelled', 'error']);
+  state.batches = trimFinished(state.batches, MAX_STORED_BATCHES, ['done', 'error']);
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(state));
+    fs.renameSync(tmpFile, file);
+  } catch (err) {
+    console.error(`[job-store] Could not write ${file}: ${err.message}`);
+  }
+}
+
+// Writes still waiting when the server stops
+process.on('exit', () => {
+  for (const file of [...pendingWrites.keys()]) writeStore(file);
+});
+
+function getStoredJobs() {
+  return load().jobs;
+}
+
+/**
+ * Insert or update a job record (matched by id).
+ */
+function saveJob(record) {
+  const { jobs } = load();
+  const idx = jobs.findIndex(j => j.id === record.id);
+  if (idx >= 0) jobs[idx] = record;
+  else jobs.push(record);
+  persist();
+}
+
+function getBatches() {
+  return load().batches;
+}
+
+function getBatch(batchId) {
+  return load().batches.find(b => b.id === batchId) || null;
+}
+
+/**
+ * Create a batch record: { type, params, jobIds } → adds id/status/timestamps.
+ */
+function createBatch({ type, params, jobIds }) {
+  const { batches } = load();
+  const maxId = batches.reduce((n, b) => Math.max(n, parseInt(b.id, 10) || 0), 0);
+  const batch = {
+    id: String(maxId + 1),
+    type,
+    params: params || {},
+    jobIds: jobIds || [],
+    status: 'running',
+    createdAt: Date.now(),
+    finishedAt: null,
+  };
+  batches.push(batch);
+  persist();
+  return batch;
+}
+
+function updateBatch(batchId, changes) {
+  const batch = getBatch(batchId);
+  if (!batch) return null;
+  Object.assign(batch, changes);
+  persist();
+  return batch;
+}
+
+/**
+ * Forget the current project's store (after its folders were deleted).
+ */
+function unloadStore() {
+  const file = storeFile();
+  clearTimeout(pendingWrites.get(file));
+  pendingWrites.delete(file);
+  states.delete(file);
+}
+
+module.exports = { getStoredJobs, saveJob, getBatches, getBatch, createBatch, updateBatch, unloadStore };
@@ -0,0 +1,136 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+
+/**
+ * Master timeline: stitch rendered segment clips into one continuous video.
+ *
+ * Every clip owns the slot from its timelineOffset to the next clip's
+ * offset (the last one runs to the end of the timeline). A clip shorter
+ * than its slot is padded — by holding its last frame ('hold') or with the
+ * background colour ('background'); a longer one is cut where the next
+ * segment starts. Anything before the first clip is background.
+ *
+ * Slots are laid out in whole frames and each is encoded to its own part
+ * file by a separate ffmpeg, one after the other; the parts are then joined
+ * with the concat demuxer (stream copy). Only one clip is ever open, however
+ * many segments the project has.
+ */
+
+/**
+ * Run ffmpeg, reporting how far into its output it is (seconds).
+ */
+function runFfmpeg(args, onTime) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(ffmpegPath, ['-y', '-hide_banner', ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stderrTail = '';
+    ffmpeg.stderr.on('data', (chunk) => {
+      const text = chunk.toString();
+      stderrTail = (stderrTail + text).slice(-2000);
+      const m = text.match(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/);
+      if (m && onTime) onTime(parseInt(m[1], 10) * 3600 + parseInt(m[2], 10) * 60 + parseFloat(m[3]));
+    });
+    ffmpeg.on('error', reject);
+    ffmpeg.on('close', (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`ffmpeg exited with code ${code}: ${stderrTail.slice(-500)}`));
+    });
+  });
+}
+
+/**
+ * The timeline as consecutive slots: { clip, frames }, clip null for the lead-in.
+ */
+function layoutSlots(clips, totalFrames, toFrame) {
+  const slots = [];
+  const firstFrame = clips.length > 0 ? toFrame(clips[0].offsetSec) : totalFrames;
+  if (firstFrame > 0) slots.push({ clip: null, frames: firstFrame });
+
+  clips.forEach((clip, i) => {
+    const start = toFrame(clip.offsetSec);
+    const end = i + 1 < clips.length ? toFrame(clips[i + 1].offsetSec) : totalFrames;
+    if (end - start > 0) slots.push({ clip, frames: end - start });
+  });
+  return slots;
+}
+
+/**
+ * @param {object} opts
+ * @param {{ path: string, offsetSec: number }[]} opts.clips - Sorted by offsetSec
+ * @param {number} opts.durationSec - Total timeline length
+ * @param {{ width: number, height: number, fps: number, encoder: object }} opts.output
+ * @param {'hold'|'background'} opts.gapFill
+ * @param {string} opts.background - ffmpeg colour (#rrggbb or name)
+ * @param {string} [opts.audioPath] - Voiceover muxed from 0:00
+ * @param {string} opts.outputPath
+ * @param {(percent: number) => void} [opts.onProgress]
+ */
+async function composeMaster({ clips, durationSec, output, gapFill, background, audioPath, outputPath, onProgress }) {
+  const { width, height, fps, encoder } = output;
+  const totalFrames = Math.max(1, Math.round(durationSec * fps));
+  const toFrame = (sec) => Math.min(totalFrames, Math.max(0, Math.round(sec * fps)));
+  const color = background.replace(/^#/, '0x');
+
+  // Every part gets identical stream parameters, so the concat demuxer can copy them
+  const encodeArgs = [
+    '-an',
+    '-c:v', encoder.codec,
+    '-crf', String(encoder.crf),
+    '-preset', encoder.preset,
+    ...(encoder.tune ? ['-tune', encoder.tune] : []),
+    '-pix_fmt', encoder.pixelFormat,
+    '-r', String(fps),
+  ];
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  const partsDir = fs.mkdtempSync(path.join(path.dirname(outputPath), '.master-parts-'));
+  try {
+    const parts = [];
+    let framesDone = 0;
+    for (const slot of layoutSlots(clips, totalFrames, toFrame)) {
+      const partPath = path.join(partsDir, `part${String(parts.length).padStart(4, '0')}.mp4`);
+      let input;
+      let filter;
+      if (slot.clip) {
+        const pad = gapFill === 'hold'
+          ? `tpad=stop_mode=clone:stop=${slot.frames}`
+          : `tpad=stop_mode=add:color=${color}:stop=${slot.frames}`;
+        input = ['-i', slot.clip.path];
+        filter = `fps=${fps},scale=${width}:${height},setsar=1,format=yuv420p,${pad},` +
+          `trim=end_frame=${slot.frames},setpts=PTS-STARTPTS`;
+      } else {
+        input = ['-f', 'lavfi', '-i', `color=c=${color}:s=${width}x${height}:r=${fps}`];
+        filter = 'setsar=1,format=yuv420p';
+      }
+
+      const before = framesDone;
+      await runFfmpeg([...input, '-vf', filter, '-frames:v', String(slot.frames), ...encodeArgs, partPath], (sec) => {
+        // Parts are ~95% of the work; the final copy is the rest
+        if (onProgress) onProgress(Math.min(95, Math.round(((before + sec * fps) / totalFrames) * 95)));
+      });
+      framesDone += slot.frames;
+      parts.push(partPath);
+    }
+
+    const listFile = path.join(partsDir, 'parts.txt');
+    fs.writeFileSync(listFile, parts.map(p => `file '${p.replace(/'/g, "'\\''")}'`).join('\n') + '\n');
+
+    await runFfmpeg([
+      '-f', 'concat', '-safe', '0', '-i', listFile,
+      ...(audioPath ? ['-i', audioPath] : []),
+      '-map', '0:v',
+      ...(audioPath ? ['-map', '1:a', '-c:a', 'aac', '-b:a', '192k'] : []),
+      '-c:v', 'copy',
+      '-t', String(totalFrames / fps),
+      '-movflags', '+faststart',
+      outputPath,
+    ], (sec) => {
+      if (onProgress) onProgress(Math.min(100, 95 + Math.round((sec / durationSec) * 5)));
+    });
+  } finally {
+    fs.rmSync(partsDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { composeMaster };
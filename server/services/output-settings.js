@@ -0,0 +1,121 @@
+const config = require('../config');
+
+/**
+ * Output settings for a render: a named preset from config.OUTPUT_PRESETS
+ * plus optional ad-hoc overrides and an optional alpha format.
+ *
+ * The resolved settings carry a `tag` that goes into the output filename
+ * (`..._@00m12s345.shorts.mp4`). Overridden presets get a descriptive tag
+ * (`shorts-720x1280-60fps`) so they never collide with the plain preset.
+ * The container decides the extension: .mp4, .mov, .webm, or a `.png`
+ * folder of numbered frames.
+ */
+
+// Overridable fields and their accepted range
+const OVERRIDE_LIMITS = {
+  width: [16, 7680],
+  height: [16, 7680],
+  deviceScaleFactor: [0.25, 4],
+  fps: [1, 120],
+  crf: [0, 51],
+};
+
+function listAlphaFormats() {
+  return Object.entries(config.ALPHA_FORMATS).map(([name, f]) => ({
+    name,
+    label: f.label,
+    container: f.container,
+  }));
+}
+
+function listPresets() {
+  return Object.entries(config.OUTPUT_PRESETS).map(([name, p]) => ({
+    name,
+    label: p.label,
+    width: p.width,
+    height: p.height,
+    deviceScaleFactor: p.deviceScaleFactor,
+    fps: p.fps,
+    isDefault: name === config.DEFAULT_OUTPUT_PRESET,
+  }));
+}
+
+/**
+ * @param {string} [presetName] - Key of config.OUTPUT_PRESETS (default: DEFAULT_OUTPUT_PRESET)
+ * @param {object} [overrides] - Any of width, height, deviceScaleFactor, fps, crf
+ * @param {string} [alpha] - Key of config.ALPHA_FORMATS for a transparent-background render
+ * @returns {{ preset: string, tag: string, label: string, width: number, height: number,
+ *   deviceScaleFactor: number, fps: number, alpha: string|null, container: string, encoder: object|null }}
+ * @throws {Error} on an unknown preset/alpha format or an invalid override
+ */
+function resolveOutputSettings(presetName, overrides, alpha) {
+  const preset = presetName || config.DEFAULT_OUTPUT_PRESET;
+  const base = config.OUTPUT_PRESETS[preset];
+  if (!base) {
+    throw new Error(`Unknown output preset "${preset}" (available: ${Object.keys(config.OUTPUT_PRESETS).join(', ')})`);
+  }
+
+  const alphaFormat = alpha ? config.ALPHA_FORMATS[alpha] : null;
+  if (alpha && !alphaFormat) {
+    throw new Error(`Unknown alpha format "${alpha}" (available: ${Object.keys(config.ALPHA_FORMATS).join(', ')})`);
+  }
+
+  const settings = {
+    preset,
+    tag: preset,
+    label: base.label,
+    width: base.width,
+    height: base.height,
+    deviceScaleFactor: base.deviceScaleFactor || 1,
+    fps: base.fps,
+    alpha: alpha || null,
+    container: alphaFormat ? alphaFormat.container : 'mp4',
+    encoder: alphaFormat ? (alphaFormat.encoder && { ...alphaFormat.encoder }) : { ...base.encoder },
+  };
+
+  const applied = Object.entries(overrides || {}).filter(([, v]) => v != null && v !== '');
+  for (const [key, raw] of applied) {
+    const limits = OVERRIDE_LIMITS[key];
+    if (!limits) throw new Error(`Unknown override "${key}"`);
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < limits[0] || value > limits[1]) {
+      throw new Error(`Override ${key} must be between ${limits[0]} and ${limits[1]}`);
+    }
+    if (key === 'crf') {
+      if (settings.encoder?.crf == null) throw new Error(`Override crf does not apply to ${settings.container} output`);
+      settings.encoder.crf = Math.round(value);
+    } else {
+      settings[key] = key === 'deviceScaleFactor' ? value : Math.round(value);
+    }
+  }
+
+  // Chroma-subsampled video needs even dimensions (PNG frames don't); the viewport has to scale back to whole output pixels
+  if (settings.container !== 'png' && (settings.width % 2 !== 0 || settings.height % 2 !== 0)) {
+    throw new Error('Output width and height must be even');
+  }
+  if (!Number.isInteger(settings.width / settings.deviceScaleFactor) ||
+      !Number.isInteger(settings.height / settings.deviceScaleFactor)) {
+    throw new Error('Output width and height must be divisible by deviceScaleFactor');
+  }
+
+  if (applied.length > 0) {
+    settings.tag = `${preset}-${settings.width}x${settings.height}-${settings.fps}fps`;
+    const defaultCrf = alphaFormat ? alphaFormat.encoder?.crf : base.encoder.crf;
+    if (settings.encoder && settings.encoder.crf !== defaultCrf) settings.tag += `-crf${settings.encoder.crf}`;
+    settings.label = `${base.label} (custom)`;
+  }
+  return settings;
+}
+
+/**
+ * Page viewport that produces the output size at the settings' device scale factor.
+ */
+function viewportFor(settings) {
+  return {
+    width: settings.width / settings.deviceScaleFactor,
+    height: settings.height / settings.deviceScaleFactor,
+    deviceScaleFactor: settings.deviceScaleFactor,
+  };
+}
+
+module.exports = { listPresets, listAlphaFormats, resolveOutputSettings, viewportFor };
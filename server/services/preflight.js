@@ -0,0 +1,197 @@
+const path = require('path');
+const fs = require('fs');
+const config = require('../config');
+const { acquirePage } = require('./browser-pool');
+
+/**
+ * Preflight: load an HTML file the way analysis/rendering will and report
+ * what would make it fail or render wrong — before spending time on it.
+ *
+ * Errors (the render will be wrong): the page doesn't load, uncaught page
+ * errors, failed requests (missing local files), broken images.
+ * Warnings (worth a look): console errors, requests leaving file:// (they
+ * make renders depend on the network), fonts that fell back to another
+ * family, elements overflowing the viewport.
+ *
+ * Reports are kept in data/preflight.json, keyed by file name.
+ */
+
+const reportsFile = () => path.join(config.DATA_DIR, 'preflight.json');
+const LOCAL_SCHEMES = ['file:', 'data:', 'blob:', 'about:'];
+const MAX_ISSUES_PER_KIND = 20;
+const SETTLE_MS = 500;
+
+const ERROR_KINDS = ['load-failed', 'page-error', 'request-failed', 'broken-image'];
+
+function loadReports() {
+  if (!fs.existsSync(reportsFile())) return {};
+  try {
+    return JSON.parse(fs.readFileSync(reportsFile(), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+function saveReport(report) {
+  const reports = loadReports();
+  reports[report.fileName] = report;
+  fs.writeFileSync(reportsFile(), JSON.stringify(reports, null, 2));
+}
+
+/**
+ * Check one HTML file in input/.
+ *
+ * @returns {Promise<{ fileName: string, checkedAt: string, status: 'ok'|'warning'|'error',
+ *   errors: number, warnings: number, issues: { kind: string, severity: string, message: string }[] }>}
+ */
+async function preflightHtml(fileName) {
+  const filePath = path.join(config.INPUT_DIR, fileName);
+  const issues = [];
+  const add = (kind, message) => {
+    if (issues.filter(i => i.kind === kind).length >= MAX_ISSUES_PER_KIND) return;
+    issues.push({ kind, severity: ERROR_KINDS.includes(kind) ? 'error' : 'warning', message });
+  };
+
+  if (!fs.existsSync(filePath)) {
+    add('load-failed', `File not found: ${fileName}`);
+    return finishReport(fileName, issues);
+  }
+
+  const lease = await acquirePage();
+  try {
+    const { page } = lease;
+    await page.setViewport({ width: config.WIDTH, height: config.HEIGHT });
+
+    page.on('console', (msg) => {
+      if (msg.type() === 'error') add('console-error', msg.text());
+    });
+    page.on('pageerror', (err) => add('page-error', err.message));
+    page.on('requestfailed', (req) => {
+      add('request-failed', `${shortUrl(req.url())} — ${req.failure()?.errorText || 'failed'}`);
+    });
+    page.on('response', (res) => {
+      if (res.status() >= 400) add('request-failed', `${shortUrl(res.url())} — HTTP ${res.status()}`);
+    });
+    page.on('request', (req) => {
+      if (!LOCAL_SCHEMES.some(s => req.url().startsWith(s))) add('external-request', req.url());
+    });
+
+    try {
+      await page.goto(`file://${filePath}`, { waitUntil: 'networkidle0', timeout: 15000 });
+    } catch (err) {
+      add('load-failed', err.message);
+    }
+
+    if (!issues.some(i => i.kind === 'load-failed')) {
+      await new Promise(resolve => setTimeout(resolve, SETTLE_MS));
+      const found = await page.evaluate(inspectPage, { width: config.WIDTH, height: config.HEIGHT });
+      for (const message of found.brokenImages) add('broken-image', message);
+      for (const message of found.fontFallbacks) add('font-fallback', message);
+      for (const message of found.overflows) add('overflow', message);
+    }
+  } finally {
+    await lease.release();
+  }
+
+  return finishReport(fileName, issues);
+}
+
+// Count, save and return a report
+function finishReport(fileName, issues) {
+  const errors = issues.filter(i => i.severity === 'error').length;
+  const warnings = issues.length - errors;
+  const report = {
+    fileName,
+    checkedAt: new Date().toISOString(),
+    status: errors > 0 ? 'error' : warnings > 0 ? 'warning' : 'ok',
+    errors,
+    warnings,
+    issues,
+  };
+  saveReport(report);
+  return report;
+}
+
+function shortUrl(url) {
+  return url.startsWith('file://') ? path.relative(config.INPUT_DIR, decodeURIComponent(url.slice(7))) : url;
+}
+
+/**
+ * Runs inside the page (serialized by page.evaluate) — must be self-contained.
+ */
+async function inspectPage(viewport) {
+  const describe = (el) => {
+    let desc = el.tagName.toLowerCase();
+    if (el.id) desc += `#${el.id}`;
+    else if (el.classList.length > 0) desc += `.${[...el.classList].slice(0, 2).join('.')}`;
+    return desc;
+  };
+
+  // Images that finished loading with nothing to show
+  const brokenImages = [...document.images]
+    .filter(img => img.complete && img.naturalWidth === 0 && img.getAttribute('src'))
+    .map(img => `${describe(img)} — ${img.getAttribute('src')}`);
+
+  // Fonts: declared faces that failed, and families used that aren't available at all
+  await document.fonts.ready;
+  const fontFallbacks = [];
+  const failedFaces = new Set();
+  for (const face of document.fonts) {
+    if (face.status !== 'error') continue;
+    const family = face.family.replace(/^["']|["']$/g, '');
+    failedFaces.add(family);
+    fontFallbacks.push(`@font-face "${family}" failed to load`);
+  }
+  const generic = new Set(['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui', 'ui-sans-serif',
+    'ui-serif', 'ui-monospace', 'ui-rounded', 'emoji', 'math', 'fangsong', 'inherit', 'initial']);
+  const families = new Set();
+  for (const el of document.querySelectorAll('body, body *')) {
+    if (!el.childNodes.length || ![...el.childNodes].some(n => n.nodeType === 3 && n.textContent.trim())) continue;
+    const first = getComputedStyle(el).fontFamily.split(',')[0].trim().replace(/^["']|["']$/g, '');
+    if (first && !generic.has(first.toLowerCase())) families.add(first);
+  }
+  // A family is missing when text measures the same as with each generic fallback alone
+  const canvas = document.createElement('canvas').getContext('2d');
+  const sample = 'mmmmmmmmmmlli10WQ@';
+  const width = (font) => { canvas.font = `72px ${font}`; return canvas.measureText(sample).width; };
+  for (const family of families) {
+    if (failedFaces.has(family)) continue;
+    const missing = ['monospace', 'serif', 'sans-serif'].every(g => width(`"${family}", ${g}`) === width(g));
+    if (missing) fontFallbacks.push(`"${family}" is not available — text falls back to another font`);
+  }
+
+  // Visible, unclipped elements that stick out of the viewport (outermost only)
+  const clipped = (el) => {
+    for (let p = el.parentElement; p && p !== document.body; p = p.parentElement) {
+      const { overflowX, overflowY } = getComputedStyle(p);
+      if (overflowX !== 'visible' || overflowY !== 'visible') return true;
+    }
+    return false;
+  };
+  const overflows = [];
+  const overflowing = new Set();
+  for (const el of document.querySelectorAll('body *')) {
+    const style = getComputedStyle(el);
+    if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') continue;
+    const r = el.getBoundingClientRect();
+    if (r.width === 0 || r.height === 0) continue;
+    const out = r.left < -1 || r.top < -1 || r.right > viewport.width + 1 || r.bottom > viewport.height + 1;
+    if (!out || clipped(el)) continue;
+    overflowing.add(el);
+    if (el.parentElement && overflowing.has(el.parentElement)) continue;
+    overflows.push(`${describe(el)} at ${Math.round(r.left)},${Math.round(r.top)} ${Math.round(r.width)}×${Math.round(r.height)}`);
+  }
+
+  return { brokenImages, fontFallbacks, overflows };
+}
+
+/**
+ * Saved reports, optionally limited to some files.
+ */
+function getPreflightReports(fileNames) {
+  const reports = loadReports();
+  if (!fileNames) return reports;
+  return Object.fromEntries(fileNames.filter(f => reports[f]).map(f => [f, reports[f]]));
+}
+
+module.exports = { preflightHtml, getPreflightReports };
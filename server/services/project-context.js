@@ -0,0 +1,65 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Which project the current request belongs to — and everything it starts:
+ * analysis, renders, broadcasts. config.INPUT_DIR / DATA_DIR / OUTPUT_DIR
+ * resolve against it, so services keep using plain config paths.
+ *
+ * Requests under /api/projects/:projectId run in that project; everything
+ * else (the unscoped /api routes, startup) runs in the default project,
+ * which owns the top-level input/, data/ and output/ folders.
+ */
+
+const DEFAULT_PROJECT = 'default';
+const storage = new AsyncLocalStorage();
+
+function currentProjectId() {
+  return storage.getStore()?.projectId || DEFAULT_PROJECT;
+}
+
+/**
+ * Run fn (and all async work it starts) in a project. Returns fn's result.
+ */
+function runInProject(projectId, fn) {
+  return storage.run({ projectId: projectId || DEFAULT_PROJECT }, fn);
+}
+
+/**
+ * Wrap a middleware whose callbacks lose the async context — multer calls
+ * back from the request stream — so the rest of the chain runs in the
+ * request's project again. The project is also left on req.projectId for
+ * callbacks inside the middleware (e.g. multer's destination).
+ */
+function keepProjectContext(middleware) {
+  return (req, res, next) => {
+    const projectId = currentProjectId();
+    req.projectId = projectId;
+    middleware(req, res, err => runInProject(projectId, () => next(err)));
+  };
+}
+
+// ─── Project-wide tasks ───
+
+const projectTasks = new Map(); // task label → ids of the projects running it
+
+/**
+ * Set of the projects a long-running task (Analyze All, a master render…) is
+ * running for. Routes add/remove the current project as they do now; the sets
+ * are registered here so a project isn't deleted while one is still at work.
+ */
+function projectTaskSet(label) {
+  const running = new Set();
+  projectTasks.set(label, running);
+  return running;
+}
+
+/**
+ * Labels of the tasks running for a project.
+ */
+function runningProjectTasks(projectId) {
+  return [...projectTasks].filter(([, running]) => running.has(projectId)).map(([label]) => label);
+}
+
+module.exports = {
+  DEFAULT_PROJECT, currentProjectId, runInProject, keepProjectContext, projectTaskSet, runningProjectTasks,
+};
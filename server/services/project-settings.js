@@ -0,0 +1,148 @@
+const path = require('path');
+const fs = require('fs');
+const config = require('../config');
+
+/**
+ * Per-project settings, stored as `settings` inside data/project.json so
+ * they travel with the project (and survive a re-import of the same folder).
+ *
+ *   settings.dom = { profile: 'revealjs', activeClass: 'is-on' }
+ *
+ * `profile` names an entry of config.DOM_PROFILES; any other field
+ * overrides that profile's value.
+ *
+ *   settings.alignment = 'global'
+ *
+ * How segment scripts are matched to the project SRT ('window' | 'global').
+ */
+
+const projectFile = () => path.join(config.DATA_DIR, 'project.json');
+const DOM_FIELDS = ['slideSelector', 'activeClass', 'stepSelector', 'revealedClasses'];
+const CLASS_NAME = /^-?[_a-zA-Z][_a-zA-Z0-9-]*$/;
+const ALIGNMENTS = ['window', 'global'];
+
+function listDomProfiles() {
+  return Object.entries(config.DOM_PROFILES).map(([name, p]) => ({
+    name,
+    label: p.label,
+    slideSelector: p.slideSelector,
+    activeClass: p.activeClass,
+    stepSelector: p.stepSelector,
+    revealedClasses: p.revealedClasses,
+    isDefault: name === config.DEFAULT_DOM_PROFILE,
+  }));
+}
+
+/**
+ * Settings of the current project ({} when there is no project or none were saved).
+ */
+function getProjectSettings() {
+  if (!fs.existsSync(projectFile())) return {};
+  const project = JSON.parse(fs.readFileSync(projectFile(), 'utf-8'));
+  return project.settings || {};
+}
+
+/**
+ * Effective DOM conventions: the chosen profile merged with any overrides.
+ *
+ * @param {object} [settings] - Project settings (default: the current project's)
+ * @returns {{ profile: string, slideSelector: string, activeClass: string, stepSelector: string, revealedClasses: string[] }}
+ */
+function resolveDomConventions(settings = getProjectSettings()) {
+  const dom = settings.dom || {};
+  const profile = config.DOM_PROFILES[dom.profile] ? dom.profile : config.DEFAULT_DOM_PROFILE;
+  const base = config.DOM_PROFILES[profile];
+  const resolved = { profile };
+  for (const field of DOM_FIELDS) resolved[field] = dom[field] ?? base[field];
+  return resolved;
+}
+
+/**
+ * Effective segment alignment mode: the project's, or config.SEGMENT_ALIGNMENT.
+ *
+ * @param {object} [settings] - Project settings (default: the current project's)
+ * @returns {'window'|'global'}
+ */
+function resolveSegmentAlignment(settings = getProjectSettings()) {
+  return ALIGNMENTS.includes(settings.alignment) ? settings.alignment : config.SEGMENT_ALIGNMENT;
+}
+
+/**
+ * Check a `dom` settings object.
+ *
+ * @returns {object} A copy with only known fields
+ * @throws {Error} on an unknown profile or a malformed field
+ */
+function validateDomSettings(dom) {
+  if (!dom || typeof dom !== 'object' || Array.isArray(dom)) throw new Error('dom must be an object');
+
+  const clean = {};
+  if (dom.profile != null) {
+    if (!config.DOM_PROFILES[dom.profile]) {
+      throw new Error(`Unknown DOM profile "${dom.profile}" (available: ${Object.keys(config.DOM_PROFILES).join(', ')})`);
+    }
+    clean.profile = dom.profile;
+  }
+  for (const field of ['slideSelector', 'stepSelector']) {
+    if (dom[field] == null) continue;
+    if (typeof dom[field] !== 'string' || !dom[field].trim()) throw new Error(`${field} must be a non-empty CSS selector`);
+    clean[field] = dom[field].trim();
+  }
+  if (dom.activeClass != null) {
+    if (typeof dom.activeClass !== 'string' || !CLASS_NAME.test(dom.activeClass)) {
+      throw new Error('activeClass must be a single class name (no dot)');
+    }
+    clean.activeClass = dom.activeClass;
+  }
+  if (dom.revealedClasses != null) {
+    if (!Array.isArray(dom.revealedClasses) || dom.revealedClasses.length === 0 ||
+        !dom.revealedClasses.every(c => typeof c === 'string' && CLASS_NAME.test(c))) {
+      throw new Error('revealedClasses must be a non-empty list of class names (no dots)');
+    }
+    clean.revealedClasses = [...dom.revealedClasses];
+  }
+  return clean;
+}
+
+/**
+ * Replace sections of the current project's settings.
+ *
+ * @param {object} patch - e.g. { dom: { profile: 'scenes' } } — each section replaces the saved one
+ * @returns {object} The saved settings
+ * @throws {Error} if there is no project or the patch is invalid
+ */
+function updateProjectSettings(patch) {
+  if (!fs.existsSync(projectFile())) throw new Error('No project imported');
+  const next = { ...getProjectSettings() };
+  if (patch.dom !== undefined) next.dom = validateDomSettings(patch.dom);
+  if (patch.alignment !== undefined) {
+    if (!ALIGNMENTS.includes(patch.alignment)) {
+      throw new Error(`alignment must be one of: ${ALIGNMENTS.join(', ')}`);
+    }
+    next.alignment = patch.alignment;
+  }
+
+  const project = JSON.parse(fs.readFileSync(projectFile(), 'utf-8'));
+  project.settings = next;
+  fs.writeFileSync(projectFile(), JSON.stringify(project, null, 2));
+  return next;
+}
+
+/**
+ * Whether a saved analysis was made with these DOM conventions. Manifest
+ * analyses don't depend on them; analyses from before profiles used the default.
+ */
+function analysisMatchesDom(analysis, dom) {
+  if (analysis.source === 'manifest') return true;
+  const used = analysis.dom || resolveDomConventions({});
+  return DOM_FIELDS.every(field => JSON.stringify(used[field]) === JSON.stringify(dom[field]));
+}
+
+module.exports = {
+  listDomProfiles,
+  getProjectSettings,
+  resolveDomConventions,
+  resolveSegmentAlignment,
+  updateProjectSettings,
+  analysisMatchesDom,
+};
@@ -0,0 +1,344 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('../config');
+const { scanHtmlAssets, copySegmentAssets } = require('./html-assets');
+const { mapSrtToSegments } = require('./srt-parser');
+const { writeSegmentTiming } = require('./beat-remap');
+const { lockReport } = require('./timing-locks');
+const { deleteHistory } = require('./timing-history');
+
+/**
+ * Project folders: scanning and copying (shared by import) and incremental
+ * re-sync against project.json.
+ *
+ * Each imported option records the hash of its source HTML plus every local
+ * asset it references (segment.sources), so a sync can tell exactly which
+ * options changed. Scripts are compared by content.
+ */
+
+const SEGMENT_DIR_RE = /^SEGMENT[O]?_\d{4}$/i;
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Hash of an HTML file and the local assets it references — changes when any of them does.
+ */
+function hashHtmlSource(htmlPath) {
+  const { local } = scanHtmlAssets(htmlPath);
+  const assets = local
+    .map(a => `${path.relative(path.dirname(htmlPath), a.path)}:${a.exists ? sha256(fs.readFileSync(a.path)) : 'missing'}`)
+    .sort();
+  return sha256(JSON.stringify({ html: sha256(fs.readFileSync(htmlPath)), assets }));
+}
+
+/**
+ * Read a project folder without copying anything.
+ *
+ * @returns {{ num: number, dirName: string, segPath: string, script: string,
+ *   options: { file: string, src: string, destName: string, hash: string }[] }[]}
+ *   Empty when the folder has no SEGMENTO_XXXX subfolders
+ */
+function scanProjectFolder(folderPath) {
+  return fs.readdirSync(folderPath, { withFileTypes: true })
+    .filter(e => e.isDirectory() && SEGMENT_DIR_RE.test(e.name))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(dir => {
+      const num = parseInt(dir.name.match(/(\d{4})$/)[1], 10);
+      const segPath = path.join(folderPath, dir.name);
+      const segFiles = fs.readdirSync(segPath);
+
+      // Read .txt script file
+      const txtFile = segFiles.find(f => f.endsWith('.txt'));
+      const script = txtFile ? fs.readFileSync(path.join(segPath, txtFile), 'utf-8').trim() : '';
+
+      // HTML option files (*Option*.html), named SEGMENT_XXXX_OptionN.html in input/
+      const options = segFiles
+        .filter(f => f.endsWith('.html') && /option/i.test(f))
+        .map(file => {
+          const optMatch = file.match(/option\s*(\d+)/i);
+          const optNum = optMatch ? optMatch[1] : '1';
+          const src = path.join(segPath, file);
+          return { file, src, destName: `${segmentPrefix(num)}_Option${optNum}.html`, hash: hashHtmlSource(src) };
+        });
+
+      return { num, dirName: dir.name, segPath, script, options };
+    });
+}
+
+function segmentPrefix(num) {
+  return `SEGMENT_${String(num).padStart(4, '0')}`;
+}
+
+/**
+ * Copy a scanned segment's options and the assets they reference into input/.
+ *
+ * @returns {{ entry: object, copied: number, missing: object[], outside: object[] }}
+ *   entry — the segment as stored in project.json; the rest — see copySegmentAssets
+ */
+function copySegment(seg, folderPath) {
+  const assets = copySegmentAssets({
+    segPath: seg.segPath,
+    projectPath: folderPath,
+    htmlFiles: seg.options.map(o => ({ src: o.src, dest: path.join(config.INPUT_DIR, o.destName) })),
+    assetDir: path.join(config.INPUT_DIR, `${segmentPrefix(seg.num)}_assets`),
+  });
+  if (assets.missing.length > 0 || assets.outside.length > 0) {
+    console.log(`[import] ${seg.dirName}: ${assets.missing.length} missing assets, ${assets.outside.length} outside the project folder`);
+  }
+  return { entry: segmentEntry(seg, assets.copied > 0), ...assets };
+}
+
+function segmentEntry(seg, hasAssets) {
+  return {
+    num: seg.num,
+    script: seg.script,
+    htmlFiles: seg.options.map(o => o.destName).sort(),
+    originalDir: seg.dirName,
+    assetDir: hasAssets ? `${segmentPrefix(seg.num)}_assets` : null,
+    sources: Object.fromEntries(seg.options.map(o => [o.destName, { file: o.file, hash: o.hash }])),
+  };
+}
+
+/**
+ * What changed in the source folder since the project was imported or last synced.
+ * Options imported before hashes were recorded have nothing to compare
+ * against: they count as unchanged, and the sync records their hash.
+ *
+ * @returns {{ segments: Changes<number>, scripts: Changes<number>, options: Changes<string> }}
+ *   with Changes = { added, removed, changed } — segment numbers, or option file names
+ */
+function diffProject(project, scanned) {
+  const changes = () => ({ added: [], removed: [], changed: [] });
+  const diff = { segments: changes(), scripts: changes(), options: changes() };
+  const previous = new Map(project.segments.map(s => [s.num, s]));
+  const current = new Set(scanned.map(s => s.num));
+
+  for (const seg of scanned) {
+    const prev = previous.get(seg.num);
+    if (!prev) {
+      diff.segments.added.push(seg.num);
+      if (seg.script) diff.scripts.added.push(seg.num);
+      diff.options.added.push(...seg.options.map(o => o.destName));
+      continue;
+    }
+
+    let changed = false;
+    if (seg.script !== prev.script) {
+      const kind = !prev.script ? 'added' : !seg.script ? 'removed' : 'changed';
+      diff.scripts[kind].push(seg.num);
+      changed = true;
+    }
+    for (const opt of seg.options) {
+      if (!prev.htmlFiles.includes(opt.destName)) {
+        diff.options.added.push(opt.destName);
+        changed = true;
+      } else if (prev.sources?.[opt.destName] && prev.sources[opt.destName].hash !== opt.hash) {
+        diff.options.changed.push(opt.destName);
+        changed = true;
+      }
+    }
+    for (const name of prev.htmlFiles) {
+      if (!seg.options.some(o => o.destName === name)) {
+        diff.options.removed.push(name);
+        changed = true;
+      }
+    }
+    if (changed) diff.segments.changed.push(seg.num);
+  }
+
+  for (const prev of project.segments) {
+    if (current.has(prev.num)) continue;
+    diff.segments.removed.push(prev.num);
+    if (prev.script) diff.scripts.removed.push(prev.num);
+    diff.options.removed.push(...prev.htmlFiles);
+  }
+
+  return diff;
+}
+
+function removeFileData(fileName) {
+  for (const file of [path.join(config.INPUT_DIR, fileName),
+    path.join(config.DATA_DIR, `${fileName}.analysis.json`),
+    path.join(config.DATA_DIR, `${fileName}.timing.json`)]) {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  }
+  deleteHistory(fileName);
+}
+
+function hasOwnTiming(fileName) {
+  const timingFile = path.join(config.DATA_DIR, `${fileName}.timing.json`);
+  if (!fs.existsSync(timingFile)) return false;
+  return JSON.parse(fs.readFileSync(timingFile, 'utf-8')).source !== 'srt-project';
+}
+
+/**
+ * Bring the project up to date with its source folder, touching only what changed:
+ * changed/added options are re-copied and lose their analysis, removed ones are
+ * deleted with their data, and segments whose script changed are re-matched
+ * against the project SRT. Timing that wasn't generated from the project SRT
+ * (set by hand, or from a per-file SRT) is never overwritten, and locked beats
+ * in project timing keep their times.
+ *
+ * @param {object} project - Contents of data/project.json (updated in place and saved)
+ * @param {object[]} scanned - scanProjectFolder() result
+ * @returns {{ diff: object, analysisInvalidated: string[], rematched: number[],
+ *   timingKept: string[], timingPreserved: object[], missingAssets: object[] }}
+ */
+function syncProject(project, scanned) {
+  const diff = diffProject(project, scanned);
+  const previous = new Map(project.segments.map(s => [s.num, s]));
+  const missingAssets = [];
+
+  for (const name of diff.options.removed) removeFileData(name);
+  for (const num of diff.segments.removed) {
+    fs.rmSync(path.join(config.INPUT_DIR, `${segmentPrefix(num)}_assets`), { recursive: true, force: true });
+  }
+
+  // Re-copy segments whose options changed (the asset folder is rebuilt as a whole)
+  const touched = new Set([...diff.options.added, ...diff.options.changed, ...diff.options.removed]);
+  project.segments = scanned.map(seg => {
+    const prev = previous.get(seg.num);
+    if (prev && !seg.options.some(o => touched.has(o.destName)) && !prev.htmlFiles.some(n => touched.has(n))) {
+      return segmentEntry(seg, !!prev.assetDir);
+    }
+    const { entry, missing, outside } = copySegment(seg, project.sourcePath);
+    missingAssets.push(...missing.map(m => ({ segmentNum: seg.num, ...m })));
+    missingAssets.push(...outside.map(m => ({ segmentNum: seg.num, ...m, outsideProject: true })));
+    return entry;
+  });
+
+  const analysisInvalidated = [];
+  for (const name of diff.options.changed) {
+    const analysisFile = path.join(config.DATA_DIR, `${name}.analysis.json`);
+    if (!fs.existsSync(analysisFile)) continue;
+    fs.unlinkSync(analysisFile);
+    analysisInvalidated.push(name);
+  }
+
+  const { rematched, retime } = syncSrtMatch(project, diff);
+  project.syncedAt = new Date().toISOString();
+  fs.writeFileSync(path.join(config.DATA_DIR, 'project.json'), JSON.stringify(project, null, 2));
+
+  // After saving — timing refinement reads the segment match from project.json
+  const timingKept = [];
+  const timingPreserved = [];
+  for (const { fileName, match } of retime) {
+    if (hasOwnTiming(fileName)) {
+      timingKept.push(fileName);
+      continue;
+    }
+    const report = lockReport(fileName, writeSegmentTiming(fileName, match, 'sync'));
+    if (report) timingPreserved.push(report);
+  }
+
+  return { diff, analysisInvalidated, rematched, timingKept, timingPreserved, missingAssets };
+}
+
+/**
+ * Re-match only the segments whose script changed (or that are new) against
+ * the cached project SRT; other segments keep their match, including ones
+ * moved by hand on the SRT timeline. Fresh matches are kept between their
+ * kept neighbours (see fitBetweenKept).
+ */
+function syncSrtMatch(project, diff) {
+  const srtCacheFile = path.join(config.DATA_DIR, 'project-srt.cache');
+  const srtMatch = project.srtMatch;
+  if (!srtMatch || !fs.existsSync(srtCacheFile)) return { rematched: [], retime: [] };
+
+  const rematch = new Set([...diff.scripts.added, ...diff.scripts.changed, ...diff.scripts.removed, ...diff.segments.added]);
+  const kept = new Map(srtMatch.segmentMatches.map(m => [m.num, m]));
+  // Segments missing from the stored match are matched fresh too
+  const result = project.segments.some(seg => rematch.has(seg.num) || !kept.has(seg.num))
+    ? mapSrtToSegments(fs.readFileSync(srtCacheFile, 'utf-8'), project.segments, { alignment: srtMatch.alignment })
+    : null;
+  const added = new Set(diff.options.added);
+  const retime = [];
+  const rematched = [];
+
+  srtMatch.segmentMatches = project.segments.map(seg => {
+    const fresh = rematch.has(seg.num) || !kept.has(seg.num);
+    if (fresh) rematched.push(seg.num);
+    const m = fresh ? result.segmentMatches.find(r => r.num === seg.num) : kept.get(seg.num);
+    const match = {
+      num: seg.num,
+      matched: m.matched,
+      confidence: m.confidence,
+      startTime: m.startTime,
+      endTime: m.endTime,
+      htmlFiles: seg.htmlFiles,
+    };
+
+    // Timing: re-derived for re-matched segments, created for new options
+    if (match.startTime != null) {
+      for (const fileName of seg.htmlFiles) {
+        if (fresh || added.has(fileName)) retime.push({ fileName, match });
+      }
+    }
+    return match;
+  });
+  fitBetweenKept(srtMatch.segmentMatches, new Set(rematched));
+
+  srtMatch.matchedCount = srtMatch.segmentMatches.filter(m => m.matched).length;
+  srtMatch.totalSegments = srtMatch.segmentMatches.length;
+  return { rematched, retime };
+}
+
+/**
+ * A fresh match has to sit between the kept segments around it — a whole-SRT
+ * re-match can land it before the previous kept segment ends or after the
+ * next one starts. Such a match is moved into the gap: interpolated between
+ * the matches around it like an unmatched segment (see
+ * interpolateSegmentTiming in srt-parser.js), or shifted past the only one,
+ * and marked unmatched. Matches are updated in place (retime entries share them).
+ */
+function fitBetweenKept(matches, fresh) {
+  const nearest = (i, step, accept) => {
+    for (let j = i + step; j >= 0 && j < matches.length; j += step) {
+      if (accept(matches[j])) return j;
+    }
+    return -1;
+  };
+  const isKept = (m) => !fresh.has(m.num) && m.startTime != null;
+  const outside = new Set(matches.filter((m, i) => {
+    if (!fresh.has(m.num) || m.startTime == null) return false;
+    const prevIdx = nearest(i, -1, isKept);
+    const nextIdx = nearest(i, 1, isKept);
+    return (prevIdx >= 0 && m.startTime < matches[prevIdx].endTime) ||
+      (nextIdx >= 0 && m.endTime > matches[nextIdx].startTime);
+  }));
+
+  // Fresh matches that fit stay put and anchor the ones that don't
+  const isAnchor = (m) => m.startTime != null && !outside.has(m);
+  const place = (m, i) => {
+    const prevIdx = nearest(i, -1, isAnchor);
+    const nextIdx = nearest(i, 1, isAnchor);
+    const duration = m.endTime - m.startTime;
+    if (prevIdx >= 0 && nextIdx >= 0) {
+      const span = nextIdx - prevIdx;
+      const prevEnd = matches[prevIdx].endTime;
+      const nextStart = matches[nextIdx].startTime;
+      m.startTime = prevEnd + ((i - prevIdx) / span) * (nextStart - prevEnd);
+      m.endTime = prevEnd + ((i - prevIdx + 1) / span) * (nextStart - prevEnd);
+    } else if (prevIdx >= 0) {
+      // After the last anchor: one after the other, each keeping its length
+      m.startTime = matches[i - 1].endTime;
+      m.endTime = m.startTime + duration;
+    } else {
+      m.endTime = matches[i + 1].startTime;
+      m.startTime = Math.max(0, m.endTime - duration);
+    }
+    m.matched = false;
+    m.confidence = 0;
+  };
+  // Forwards, except before the first anchor — those are laid out backwards from it
+  const firstAnchor = nearest(-1, 1, isAnchor);
+  matches.forEach((m, i) => { if (outside.has(m) && i > firstAnchor) place(m, i); });
+  for (let i = firstAnchor - 1; i >= 0; i--) {
+    if (outside.has(matches[i])) place(matches[i], i);
+  }
+}
+
+module.exports = { scanProjectFolder, copySegment, diffProject, syncProject };
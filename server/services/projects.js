@@ -0,0 +1,84 @@
+const path = require('path');
+const fs = require('fs');
+const config = require('../config');
+const { DEFAULT_PROJECT } = require('./project-context');
+
+/**
+ * Project registry. Every project but the default one lives in
+ * projects/<id>/ with its own input/, data/ and output/ folders and a
+ * meta.json ({ id, name, createdAt }); the default project owns the
+ * top-level folders.
+ */
+
+const ID_RE = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+const metaFile = (id) => path.join(config.PROJECTS_DIR, id, 'meta.json');
+
+function projectExists(id) {
+  if (id === DEFAULT_PROJECT) return true;
+  return typeof id === 'string' && ID_RE.test(id) && fs.existsSync(metaFile(id));
+}
+
+function ensureProjectDirs(id) {
+  for (const kind of ['input', 'data', 'output']) {
+    fs.mkdirSync(config.projectDir(id, kind), { recursive: true });
+  }
+}
+
+/**
+ * @returns {{ id: string, name: string, createdAt: string | null, sourcePath: string | null }}
+ *   sourcePath — the folder imported into the project, if any
+ */
+function describeProject(id) {
+  const meta = id === DEFAULT_PROJECT
+    ? { id, name: 'Default', createdAt: null }
+    : JSON.parse(fs.readFileSync(metaFile(id), 'utf-8'));
+  const projectFile = path.join(config.projectDir(id, 'data'), 'project.json');
+  const sourcePath = fs.existsSync(projectFile)
+    ? JSON.parse(fs.readFileSync(projectFile, 'utf-8')).sourcePath || null
+    : null;
+  return { ...meta, sourcePath };
+}
+
+/**
+ * All projects, the default one first, then oldest first.
+ */
+function listProjects() {
+  const ids = fs.existsSync(config.PROJECTS_DIR)
+    ? fs.readdirSync(config.PROJECTS_DIR).filter(id => id !== DEFAULT_PROJECT && projectExists(id))
+    : [];
+  const projects = ids.map(describeProject).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  return [describeProject(DEFAULT_PROJECT), ...projects];
+}
+
+/**
+ * Create a project; its id is derived from the name (made unique).
+ *
+ * @throws {Error} without a name
+ */
+function createProject(name) {
+  const label = typeof name === 'string' ? name.trim() : '';
+  if (!label) throw new Error('name is required');
+
+  const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 56) || 'project';
+  let id = base;
+  for (let n = 2; id === DEFAULT_PROJECT || fs.existsSync(path.join(config.PROJECTS_DIR, id)); n++) {
+    id = `${base}-${n}`;
+  }
+
+  ensureProjectDirs(id);
+  fs.writeFileSync(metaFile(id), JSON.stringify({ id, name: label, createdAt: new Date().toISOString() }, null, 2));
+  return describeProject(id);
+}
+
+/**
+ * Delete a project and everything in its folders.
+ *
+ * @throws {Error} for the default project
+ */
+function deleteProject(id) {
+  if (id === DEFAULT_PROJECT) throw new Error('The default project cannot be deleted');
+  fs.rmSync(path.join(config.PROJECTS_DIR, id), { recursive: true, force: true });
+}
+
+module.exports = { projectExists, ensureProjectDirs, listProjects, createProject, deleteProject };
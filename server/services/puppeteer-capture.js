@@ -1,9 +1,72 @@
-const puppeteer = require('puppeteer');
 const config = require('../config');
+const { acquirePage } = require('./browser-pool');
+const { installVirtualClock, advanceVirtualClock } = require('./virtual-clock');
+const { frameDifference } = require('./frame-diff');
+const { detectClickTarget, performAdvance } = require('./beat-actions');
 
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-const CLICK_TARGET_CANDIDATES = ['#stage', '#presentation', '#app', '.slides', 'body'];
+const END_PAD_SEC = 0.5;
+
+/**
+ * Length of a compact clip in seconds: first beat → last beat, plus the
+ * final transition and a small pad.
+ */
+function clipDurationSec(beatTimes, transitionMs) {
+  const sorted = [...beatTimes].sort((a, b) => a - b);
+  const span = sorted.length > 0 ? sorted[sorted.length - 1] - sorted[0] : 0;
+  return span + (transitionMs / 1000) + END_PAD_SEC;
+}
+
+/**
+ * Transition detection settings from config (see TRANSITION_DETECTION).
+ */
+function transitionDetectionSettings() {
+  return {
+    mode: config.TRANSITION_DETECTION,
+    frames: config.SETTLE_FRAMES,
+    threshold: config.SETTLE_THRESHOLD,
+    maxMs: config.SETTLE_MAX_MS,
+    probeScale: config.SETTLE_PROBE_SCALE,
+    holdProbeMs: config.SETTLE_HOLD_PROBE_MS,
+  };
+}
+
+/**
+ * How long (ms) until the page's finite CSS transitions, CSS animations and
+ * Web Animations have all run — including delays that haven't started yet,
+ * like the later steps of a stagger. Infinite animations don't count.
+ */
+function pendingAnimationMs(page) {
+  return page.evaluate(() => {
+    if (!document.getAnimations) return 0;
+    let pending = 0;
+    for (const anim of document.getAnimations()) {
+      if (anim.playState === 'finished' || !anim.effect) continue;
+      const { endTime } = anim.effect.getComputedTiming();
+      if (!Number.isFinite(endTime)) continue;
+      pending = Math.max(pending, endTime - (anim.currentTime || 0));
+    }
+    return pending;
+  });
+}
+
+/**
+ * Transition window of beat `index`: its measured value when the analysis
+ * has one, else the file-wide transitionMs.
+ */
+function beatTransitionFor(index, transitionMs, beatTransitionMs) {
+  return beatTransitionMs?.[index] ?? transitionMs;
+}
+
+/**
+ * Upper bound on a clip's length in seconds. With adaptive detection the
+ * last beat may keep moving for up to maxMs.
+ */
+function maxClipDurationSec(beatTimes, transitionMs, detection = transitionDetectionSettings(), beatTransitionMs = null) {
+  const lastMs = beatTransitionFor(beatTimes.length - 1, transitionMs, beatTransitionMs);
+  return clipDurationSec(beatTimes, detection.mode === 'adaptive' ? detection.maxMs : lastMs);
+}
 
 /**
  * Capture frames from an HTML animation.
@@ -16,35 +79,69 @@ const CLICK_TARGET_CANDIDATES = ['#stage', '#presentation', '#app', '.slides', '
  * For static hold periods between beats, reuses the last captured frame
  * instead of re-screenshotting (huge speed boost).
  *
- * Uses JPEG for frame capture (3-5x faster than PNG).
+ * Each beat's transition window is opts.beatTransitionMs[i] (measured during
+ * analysis) when set, else transitionMs.
+ *
+ * Transition detection (opts.transitionDetection, defaults from config):
+ * - 'fixed'    — every frame within the beat's transition window is captured.
+ * - 'adaptive' — capturing continues until `frames` consecutive frames differ
+ *   by at most `threshold`, the beat's transition window has passed and no
+ *   finite animation is still pending (or maxMs passes), then the frame is
+ *   held. While held, the page is re-checked every `holdProbeMs`; if it moved
+ *   again (a JS-timed stagger step), capture resumes. The clip ends once the
+ *   last beat settles. Each beat's settle time (ms after its click, null if
+ *   it never settled) goes to opts.onBeatSettled(index, ms).
+ *
+ * Uses JPEG for frame capture (3-5x faster than PNG). With opts.alpha the
+ * page background is made transparent and frames are captured as PNG so
+ * the alpha channel survives.
+ *
+ * Capture modes (opts.captureMode, defaults to config.CAPTURE_MODE):
+ * - 'deterministic' — page clock is virtual and stepped exactly 1/FPS per
+ *   frame, so output is frame-identical regardless of CPU load.
+ * - 'realtime'      — legacy: waits wall-clock time between screenshots.
+ *
+ * Beats are triggered with `advance`, the strategy stored in the file's
+ * analysis (null falls back to clicking the detected click target).
+ *
+ * Output size and frame rate come from opts.viewport ({ width, height,
+ * deviceScaleFactor }) and opts.fps, defaulting to config WIDTH/HEIGHT/FPS.
  */
-async function* captureFrames(filePath, beatTimes, transitionMs, onProgress, signal, clickTarget) {
-  const browser = await puppeteer.launch({
-    headless: 'new',
-    args: ['--no-sandbox', '--disable-setuid-sandbox'],
-  });
+async function* captureFrames(filePath, beatTimes, transitionMs, onProgress, signal, advance, opts = {}) {
+  const captureMode = opts.captureMode || config.CAPTURE_MODE;
+  const deterministic = captureMode === 'deterministic';
+  const viewport = opts.viewport || { width: config.WIDTH, height: config.HEIGHT };
+  const fps = opts.fps || config.FPS;
+  const detection = opts.transitionDetection || transitionDetectionSettings();
+  const adaptive = detection.mode === 'adaptive';
+  const screenshotOptions = opts.alpha
+    ? { type: 'png', omitBackground: true, encoding: 'binary' }
+    : { type: 'jpeg', quality: 95, encoding: 'binary' };
+
+  const lease = await acquirePage();
 
   try {
-    const page = await browser.newPage();
-    await page.setViewport({ width: config.WIDTH, height: config.HEIGHT });
+    const { page } = lease;
+    await page.setViewport(viewport);
+    if (deterministic) await installVirtualClock(page);
     await page.goto(`file://${filePath}`, { waitUntil: 'networkidle0', timeout: 15000 });
 
     // Hide hint text
     await page.addStyleTag({
       content: '.hint, [class*="hint"], [class*="instruction"] { display: none !important; }'
     });
+    if (opts.alpha) {
+      await page.addStyleTag({ content: 'html, body { background: transparent !important; }' });
+    }
 
-    // Auto-detect click target
-    if (!clickTarget) {
-      clickTarget = await page.evaluate((candidates) => {
-        for (const sel of candidates) {
-          if (sel === 'body') continue;
-          if (document.querySelector(sel)) return sel;
-        }
-        return 'body';
-      }, CLICK_TARGET_CANDIDATES);
+    // Not analyzed — fall back to clicking the detected click target
+    if (!advance) {
+      advance = { type: 'click', selector: await detectClickTarget(page) };
     }
 
+    // Freeze the clock at t=0 — anything that ran during load restarts from its first frame
+    if (deterministic) await advanceVirtualClock(page, 0);
+
     // Sort beat times chronologically (safety net — matcher should already be ordered)
     const sortedBeats = [...beatTimes].sort((a, b) => a - b);
 
@@ -52,17 +149,52 @@ async function* captureFrames(filePath, beatTimes, transitionMs, onProgress, sig
     const timelineOffset = sortedBeats[0] || 0;
     const localBeats = sortedBeats.map(t => t - timelineOffset);
 
-    const lastLocalBeat = localBeats[localBeats.length - 1] || 0;
-    const totalDuration = lastLocalBeat + (transitionMs / 1000) + 0.5;
-    const totalFrames = Math.ceil(totalDuration * config.FPS);
-    const frameIntervalMs = 1000 / config.FPS;
+    const transitionFor = (i) => beatTransitionFor(i, transitionMs, opts.beatTransitionMs);
+    const totalDuration = clipDurationSec(sortedBeats, transitionFor(localBeats.length - 1));
+    const totalFrames = Math.ceil(totalDuration * fps);
+    const frameIntervalMs = 1000 / fps;
+    const padFrames = Math.ceil(END_PAD_SEC * fps);
+
+    // Adaptive mode: the clip ends once the last beat settles (+ pad), so the
+    // frame count is only known then — totalFrames is just the estimate
+    const lastBeatSec = localBeats.length > 0 ? localBeats[localBeats.length - 1] : 0;
+    const maxFrames = adaptive ? Math.ceil((lastBeatSec + detection.maxMs / 1000 + END_PAD_SEC) * fps) : totalFrames;
+    let endFrame = adaptive && localBeats.length > 0 ? null : totalFrames;
 
     let frameIndex = 0;
     let nextBeatIdx = 0;
     let clickedAt = -Infinity;
     let lastFrame = null;
 
-    for (let f = 0; f < totalFrames; f++) {
+    // Adaptive settle state for the most recent click
+    let settling = false;
+    let holdProbing = false; // settled — re-check now and then in case it moves again
+    let heldFrames = 0;
+    let lastProbe = null;
+    let unchangedFrames = 0;
+    const probeClip = { x: 0, y: 0, width: viewport.width, height: viewport.height, scale: detection.probeScale };
+    const holdProbeFrames = Math.max(1, Math.round(detection.holdProbeMs / frameIntervalMs));
+    // Pixel-identical frames encode to identical bytes, so with no threshold the
+    // captured frames themselves are compared; otherwise a small PNG probe is decoded
+    const compareCaptured = detection.threshold === 0;
+
+    const finishSettle = (settleMs, f) => {
+      settling = false;
+      holdProbing = settleMs != null;
+      heldFrames = 0;
+      if (opts.onBeatSettled) opts.onBeatSettled(nextBeatIdx - 1, settleMs);
+      if (nextBeatIdx >= localBeats.length) endFrame = f + 1 + Math.max(0, padFrames - unchangedFrames);
+    };
+
+    // Held frame moved again: capture until it settles anew
+    const resumeSettle = () => {
+      settling = true;
+      holdProbing = false;
+      unchangedFrames = 0;
+      if (nextBeatIdx >= localBeats.length) endFrame = null;
+    };
+
+    for (let f = 0; f < maxFrames && (endFrame == null || f < endFrame); f++) {
       if (signal && signal.aborted) {
         throw new Error('Render cancelled');
       }
@@ -70,33 +202,100 @@ async function* captureFrames(filePath, beatTimes, transitionMs, onProgress, sig
       const currentTimeMs = f * frameIntervalMs;
       const currentTimeSec = currentTimeMs / 1000;
 
-      // Click for the next beat
+      if (deterministic && f > 0) {
+        await advanceVirtualClock(page, currentTimeMs);
+      }
+
+      // Advance to the next beat (click, key press or JS hook — see beat-actions.js)
       let justClicked = false;
       if (nextBeatIdx < localBeats.length && currentTimeSec >= localBeats[nextBeatIdx]) {
-        await page.click(clickTarget);
+        // The previous beat was still moving when this one started
+        if (settling && opts.onBeatSettled) opts.onBeatSettled(nextBeatIdx - 1, null);
+        await performAdvance(page, advance, nextBeatIdx);
         clickedAt = currentTimeMs;
         nextBeatIdx++;
         justClicked = true;
-        await delay(1);
+        settling = adaptive;
+        holdProbing = false;
+        lastProbe = null;
+        unchangedFrames = 0;
+        if (deterministic) {
+          // Pin the transitions this click just started at their first frame
+          await advanceVirtualClock(page, currentTimeMs);
+        } else {
+          await delay(1);
+        }
       }
 
       const timeSinceClick = currentTimeMs - clickedAt;
-      const inTransition = timeSinceClick >= 0 && timeSinceClick <= transitionMs;
+
+      // Held after settling: take a look every holdProbeFrames
+      if (adaptive && holdProbing && !settling && ++heldFrames % holdProbeFrames === 0) {
+        if (timeSinceClick >= detection.maxMs) {
+          holdProbing = false;
+        } else {
+          const screenshot = await page.screenshot(screenshotOptions);
+          let moved;
+          if (compareCaptured) {
+            moved = !screenshot.equals(lastFrame);
+          } else {
+            const probe = await page.screenshot({ type: 'png', clip: probeClip, encoding: 'binary' });
+            moved = frameDifference(lastProbe, probe) > detection.threshold;
+            lastProbe = probe;
+          }
+          if (moved) {
+            lastFrame = screenshot;
+            resumeSettle();
+          }
+        }
+      }
+
+      const inTransition = adaptive
+        ? settling
+        : timeSinceClick >= 0 && timeSinceClick <= transitionFor(nextBeatIdx - 1);
 
       if (inTransition) {
-        // During transition: wait real-time so CSS animates, capture fresh frame
-        if (!justClicked && f > 0) {
+        // During transition: capture a fresh frame. Realtime mode has to wait
+        // wall-clock time so CSS animates; deterministic mode already stepped the clock.
+        if (!deterministic && !justClicked && f > 0) {
           await delay(frameIntervalMs);
         }
-        const screenshot = await page.screenshot({ type: 'jpeg', quality: 95, encoding: 'binary' });
+        const screenshot = await page.screenshot(screenshotOptions);
+        const previousFrame = lastFrame;
         lastFrame = screenshot;
+
+        if (adaptive) {
+          let unchanged;
+          if (compareCaptured) {
+            unchanged = previousFrame != null && !justClicked && screenshot.equals(previousFrame);
+          } else {
+            // Compare a small lossless probe against the previous frame's
+            const probe = await page.screenshot({ type: 'png', clip: probeClip, encoding: 'binary' });
+            unchanged = lastProbe != null && frameDifference(lastProbe, probe) <= detection.threshold;
+            lastProbe = probe;
+          }
+          unchangedFrames = unchanged ? unchangedFrames + 1 : 0;
+
+          // A measured transition, or a pending animation delay (the next step
+          // of a stagger), may move the page after a still run
+          const windowMs = Math.min(opts.beatTransitionMs?.[nextBeatIdx - 1] ?? 0, detection.maxMs);
+          const still = unchangedFrames >= detection.frames && timeSinceClick >= windowMs;
+          if (still && await pendingAnimationMs(page) <= 0) {
+            // Settled at the first frame of the unchanged run
+            finishSettle(Math.round(timeSinceClick - unchangedFrames * frameIntervalMs), f);
+          } else if (timeSinceClick >= detection.maxMs) {
+            console.log(`[capture] Beat ${nextBeatIdx} still changing after ${detection.maxMs}ms — holding`);
+            finishSettle(null, f);
+          }
+        }
+
         yield screenshot;
       } else if (lastFrame) {
         // Static hold: reuse last frame (no screenshot needed = fast)
         yield lastFrame;
       } else {
         // First frame before any click
-        const screenshot = await page.screenshot({ type: 'jpeg', quality: 95, encoding: 'binary' });
+        const screenshot = await page.screenshot(screenshotOptions);
         lastFrame = screenshot;
         yield screenshot;
       }
@@ -104,17 +303,18 @@ async function* captureFrames(filePath, beatTimes, transitionMs, onProgress, sig
       frameIndex++;
 
       if (onProgress) {
+        const expectedFrames = Math.min(maxFrames, endFrame ?? Math.max(totalFrames, frameIndex + 1));
         onProgress({
           frame: frameIndex,
-          totalFrames,
-          percent: Math.round((frameIndex / totalFrames) * 100),
+          totalFrames: expectedFrames,
+          percent: Math.round((frameIndex / expectedFrames) * 100),
           timelineOffset,
         });
       }
     }
   } finally {
-    await browser.close();
+    await lease.release();
   }
 }
 
-module.exports = { captureFrames };
+module.exports = { captureFrames, clipDurationSec, maxClipDurationSec, transitionDetectionSettings };
@@ -0,0 +1,116 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('../config');
+const { scanHtmlAssets } = require('./html-assets');
+
+/**
+ * Content-hash render cache (data/render-cache.json).
+ *
+ * Each successful render records a hash of everything that determines its
+ * pixels: the HTML file, the local assets it references, the beat times and
+ * the render settings. Render All skips a file when an existing output
+ * already carries the same hash, renaming it if the file's sequence number
+ * changed since.
+ */
+
+const manifestFile = () => path.join(config.DATA_DIR, 'render-cache.json');
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function loadManifest() {
+  if (!fs.existsSync(manifestFile())) return {};
+  try {
+    return JSON.parse(fs.readFileSync(manifestFile(), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+function saveManifest(manifest) {
+  fs.mkdirSync(path.dirname(manifestFile()), { recursive: true });
+  fs.writeFileSync(manifestFile(), JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Hash of an HTML file's content + its referenced local assets + beat times + settings.
+ *
+ * @param {string} fileName - HTML file name in input/
+ * @param {number[]} beatTimes
+ * @param {object} settings - Render settings that affect output (fps, size, crf, transitionMs, advance...)
+ */
+function computeRenderHash(fileName, beatTimes, settings) {
+  const htmlPath = path.join(config.INPUT_DIR, fileName);
+  const { local } = scanHtmlAssets(htmlPath);
+
+  const assets = local
+    .map(a => ({
+      path: path.relative(config.INPUT_DIR, a.path),
+      hash: a.exists ? sha256(fs.readFileSync(a.path)) : null,
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  return sha256(JSON.stringify({
+    html: sha256(fs.readFileSync(htmlPath)),
+    assets,
+    beatTimes: beatTimes.map(Number),
+    settings,
+  }));
+}
+
+// Outputs of a variant render (…_@00m12s345_v2.youtube.mp4) belong to that batch, not to Render All
+const VARIANT_OUTPUT_RE = /_@\d{2}m\d{2}s\d{3}_v\d+\./;
+
+/**
+ * Name of an existing output rendered from this file with this exact hash, or
+ * null. Variant renders don't count.
+ */
+function findCachedOutput(fileName, hash) {
+  const manifest = loadManifest();
+  for (const [outputName, entry] of Object.entries(manifest)) {
+    if (entry.fileName !== fileName || entry.hash !== hash || VARIANT_OUTPUT_RE.test(outputName)) continue;
+    if (fs.existsSync(path.join(config.OUTPUT_DIR, outputName))) return outputName;
+  }
+  return null;
+}
+
+/**
+ * Move a cached output to the name a render would give it now (its clip's
+ * sequence number or timeline position changed) and carry its manifest entry
+ * along. An older output under the new name is replaced.
+ */
+function renameCachedOutput(outputName, targetName) {
+  const from = path.join(config.OUTPUT_DIR, outputName);
+  const to = path.join(config.OUTPUT_DIR, targetName);
+  fs.rmSync(to, { recursive: true, force: true });
+  fs.renameSync(from, to);
+
+  const manifest = loadManifest();
+  manifest[targetName] = manifest[outputName];
+  delete manifest[outputName];
+  saveManifest(manifest);
+  console.log(`[render-cache] Renamed ${outputName} → ${targetName}`);
+}
+
+/**
+ * Manifest entry for an output file ({ fileName, hash, beatTimes, settings, renderedAt }), or null.
+ */
+function getRenderRecord(outputName) {
+  return loadManifest()[outputName] || null;
+}
+
+/**
+ * Record a finished render. Drops entries whose output file no longer exists.
+ */
+function recordRender(outputName, entry) {
+  const manifest = loadManifest();
+  for (const name of Object.keys(manifest)) {
+    if (!fs.existsSync(path.join(config.OUTPUT_DIR, name))) delete manifest[name];
+  }
+  manifest[outputName] = { ...entry, renderedAt: new Date().toISOString() };
+  saveManifest(manifest);
+}
+
+module.exports = { computeRenderHash, findCachedOutput, renameCachedOutput, getRenderRecord, recordRender };
@@ -0,0 +1,56 @@
+const config = require('../config');
+
+/**
+ * FIFO render scheduler with a concurrency cap.
+ *
+ * Every render (single, variants, render-all) goes through here so the
+ * machine runs at most RENDER_CONCURRENCY Chromium+ffmpeg pipelines at
+ * once. Tasks start in the order they were scheduled — callers that care
+ * about timeline order (render-all) schedule in timeline order.
+ */
+
+const queue = [];        // { id, run } waiting to start
+const active = new Set(); // ids currently running
+
+function pump() {
+  while (active.size < config.RENDER_CONCURRENCY && queue.length > 0) {
+    const task = queue.shift();
+    active.add(task.id);
+    Promise.resolve()
+      .then(task.run)
+      .catch(err => console.error(`[render-scheduler] task ${task.id} failed:`, err))
+      .finally(() => {
+        active.delete(task.id);
+        pump();
+      });
+  }
+}
+
+/**
+ * Queue a task. run() is called (and awaited) once a worker is free.
+ */
+function schedule(id, run) {
+  queue.push({ id, run });
+  pump();
+}
+
+/**
+ * Remove a task that hasn't started yet. Returns false if it's already
+ * running (or unknown) — cancel those through their AbortController.
+ */
+function unschedule(id) {
+  const idx = queue.findIndex(t => t.id === id);
+  if (idx < 0) return false;
+  queue.splice(idx, 1);
+  return true;
+}
+
+function getSchedulerStats() {
+  return {
+    concurrency: config.RENDER_CONCURRENCY,
+    running: active.size,
+    queued: queue.length,
+  };
+}
+
+module.exports = { schedule, unschedule, getSchedulerStats };
@@ -3,20 +3,97 @@ const path = require('path');
 const fs = require('fs');
 const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
 const config = require('../config');
-const { captureFrames } = require('./puppeteer-capture');
+const { captureFrames, maxClipDurationSec, transitionDetectionSettings } = require('./puppeteer-capture');
+const { schedule, unschedule } = require('./render-scheduler');
+const { getStoredJobs, saveJob } = require('./job-store');
+const { computeRenderHash, recordRender } = require('./render-cache');
+const { resolveOutputSettings, viewportFor } = require('./output-settings');
+const { getVoiceover, audioEncoderArgs } = require('./audio');
+const { advanceFromAnalysis } = require('./beat-actions');
+const { currentProjectId, runInProject } = require('./project-context');
 
-// Active render jobs
-const jobs = new Map();
-let jobCounter = 0;
+// Render jobs per project — live ones carry promise/cancel, restored ones are plain records
+const projects = new Map(); // projectId → { jobs: Map, counter }
 
-function startRender(fileName, beatTimes, broadcast, variantLabel, sequenceNum) {
-  const jobId = String(++jobCounter);
-  const filePath = path.join(config.INPUT_DIR, fileName);
-  const baseName = fileName.replace('.html', '');
+/**
+ * The current project's jobs. On first use, history is restored from its
+ * job store; outputs of interrupted jobs are half-written files — removed
+ * so nothing downstream picks them up.
+ */
+function projectJobs() {
+  const projectId = currentProjectId();
+  if (projects.has(projectId)) return projects.get(projectId);
+
+  const entry = { jobs: new Map(), counter: 0 };
+  projects.set(projectId, entry);
+  for (const record of getStoredJobs()) {
+    entry.jobs.set(record.id, { ...record });
+    entry.counter = Math.max(entry.counter, parseInt(record.id, 10) || 0);
+    if (record.status === 'interrupted' && record.outputName) {
+      removeOutput(path.join(config.OUTPUT_DIR, record.outputName));
+    }
+  }
+  return entry;
+}
+
+/**
+ * Delete a render output — a video file or a PNG sequence folder.
+ */
+function removeOutput(outputPath) {
+  try { fs.rmSync(outputPath, { recursive: true, force: true }); } catch {}
+}
+
+/**
+ * Everything besides the HTML + beat times that determines a render's output.
+ * Transition windows (global and per beat) and the advance strategy come
+ * from the file's cached analysis.
+ *
+ * @param {object} [output] - Resolved output settings (default: the default preset)
+ * @param {object} [audio] - Voiceover to mux (from getVoiceover), or null for a silent clip
+ */
+function resolveRenderSettings(fileName, output = resolveOutputSettings(), audio = null) {
+  let transitionMs = config.DEFAULT_TRANSITION_DURATION;
+  let advance = null;
+  let beatTransitionMs = null;
+  const analysisFile = path.join(config.DATA_DIR, `${fileName}.analysis.json`);
+  if (fs.existsSync(analysisFile)) {
+    const analysis = JSON.parse(fs.readFileSync(analysisFile, 'utf-8'));
+    if (analysis.maxTransitionMs) {
+      transitionMs = Math.min(analysis.maxTransitionMs, 2000);
+    }
+    advance = advanceFromAnalysis(analysis);
+    if (Array.isArray(analysis.beatTransitionMs)) {
+      beatTransitionMs = analysis.beatTransitionMs.map(ms => ms == null ? null : Math.min(ms, config.BEAT_TRANSITION_MAX_MS));
+    }
+  }
 
-  // Build output name with optional sequence prefix + timeline time + variant label
+  return {
+    preset: output.tag,
+    width: output.width,
+    height: output.height,
+    deviceScaleFactor: output.deviceScaleFactor,
+    fps: output.fps,
+    alpha: output.alpha || null,
+    container: output.container || 'mp4',
+    encoder: output.encoder,
+    captureMode: config.CAPTURE_MODE,
+    transitionMs,
+    beatTransitionMs,
+    transitionDetection: transitionDetectionSettings(),
+    advance,
+    // Identify the voiceover by size + mtime — hashing the whole file per clip would be slow
+    audio: audio ? { originalName: audio.originalName, size: audio.size, mtimeMs: audio.mtimeMs } : null,
+  };
+}
+
+/**
+ * Output file name: optional sequence prefix + timeline time + variant label,
+ * e.g. 003_SEGMENT_0003_Option1_@00m12s345.youtube.mp4. Clips with the
+ * voiceover muxed in end in .vo.mp4, so they never overwrite silent ones.
+ */
+function buildOutputName(fileName, beatTimes, output, sequenceNum, variantLabel, audio = false) {
   const timelineOffset = beatTimes[0] || 0;
-  let outputName = baseName;
+  let outputName = fileName.replace('.html', '');
   if (sequenceNum != null) {
     outputName = `${String(sequenceNum).padStart(3, '0')}_${outputName}`;
   }
@@ -28,19 +105,41 @@ function startRender(fileName, beatTimes, broadcast, variantLabel, sequenceNum)
   if (variantLabel) {
     outputName += `_${variantLabel}`;
   }
-  outputName += '.mp4';
+  // Extension from the container — a PNG sequence is a folder named like a file
+  return `${outputName}.${output.tag}${audio ? '.vo' : ''}.${output.container || 'mp4'}`;
+}
+
+/**
+ * Queue a render job.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.batchId] - Batch this job belongs to (render-all / variants)
+ * @param {object} [opts.output] - Resolved output settings (see output-settings.js)
+ * @param {boolean} [opts.audio] - Mux the matching slice of the project voiceover (not for PNG sequences)
+ */
+function startRender(fileName, beatTimes, broadcast, variantLabel, sequenceNum, opts = {}) {
+  const projectId = currentProjectId();
+  const entry = projectJobs();
+  const jobId = String(++entry.counter);
+  const filePath = path.join(config.INPUT_DIR, fileName);
+  const output = opts.output || resolveOutputSettings();
+  const voiceover = opts.audio && output.container !== 'png' ? getVoiceover() : null;
+  const audio = voiceover
+    ? { path: voiceover.path, originalName: voiceover.originalName, size: voiceover.size, mtimeMs: voiceover.mtimeMs }
+    : null;
+
+  const timelineOffset = beatTimes[0] || 0;
+  const outputName = buildOutputName(fileName, beatTimes, output, sequenceNum, variantLabel, !!voiceover);
   const outputPath = path.join(config.OUTPUT_DIR, outputName);
 
-  // Load analysis
-  let transitionMs = config.DEFAULT_TRANSITION_DURATION;
-  let clickTarget = null;
-  const analysisFile = path.join(config.DATA_DIR, `${fileName}.analysis.json`);
-  if (fs.existsSync(analysisFile)) {
-    const analysis = JSON.parse(fs.readFileSync(analysisFile, 'utf-8'));
-    if (analysis.maxTransitionMs) {
-      transitionMs = Math.min(analysis.maxTransitionMs, 2000);
-    }
-    if (analysis.clickTarget) clickTarget = analysis.clickTarget;
+  const settings = resolveRenderSettings(fileName, output, audio);
+  const { transitionMs, beatTransitionMs, advance, transitionDetection } = settings;
+
+  let renderHash = null;
+  try {
+    renderHash = computeRenderHash(fileName, beatTimes, settings);
+  } catch (err) {
+    console.log(`[renderer] could not hash ${fileName}: ${err.message}`);
   }
 
   const abortController = new AbortController();
@@ -48,22 +147,49 @@ function startRender(fileName, beatTimes, broadcast, variantLabel, sequenceNum)
   const job = {
     id: jobId,
     fileName,
+    beatTimes,
+    sequenceNum: sequenceNum ?? null,
+    batchId: opts.batchId || null,
+    renderHash,
+    output,
+    audio,
     outputName,
     variantLabel: variantLabel || null,
     timelineOffset,
-    status: 'running',
+    transitionDetection,
+    beatTransitionMs,
+    settleTimes: [],
+    status: 'queued',
     progress: { frame: 0, totalFrames: 0, percent: 0 },
-    startedAt: Date.now(),
+    queuedAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
     cancel: () => abortController.abort(),
+    broadcast,
     promise: null,
+    settle: null,
   };
 
-  job.promise = runRender(job, filePath, outputPath, beatTimes, transitionMs, abortController.signal, broadcast, clickTarget)
-    .then(() => {
+  // Settles once the job reaches a final state (done/error/cancelled) — never rejects
+  job.promise = new Promise(resolve => { job.settle = resolve; });
+  entry.jobs.set(jobId, job);
+  persistJob(job);
+
+  // The scheduler is shared by all projects — start the task back in this one
+  schedule(schedulerKey(projectId, jobId), () => runInProject(projectId, async () => {
+    job.status = 'running';
+    job.startedAt = Date.now();
+    persistJob(job);
+    broadcast({ type: 'render-started', jobId });
+
+    try {
+      await runRender(job, filePath, outputPath, beatTimes, transitionMs, abortController.signal, broadcast, advance);
       job.status = 'done';
-      broadcast({ type: 'render-done', jobId, outputName, timelineOffset });
-    })
-    .catch(err => {
+      if (renderHash) {
+        recordRender(outputName, { fileName, hash: renderHash, beatTimes, settings });
+      }
+      broadcast({ type: 'render-done', jobId, outputName, timelineOffset, settleTimes: job.settleTimes });
+    } catch (err) {
       if (err.message === 'Render cancelled') {
         job.status = 'cancelled';
         broadcast({ type: 'render-cancelled', jobId });
@@ -72,28 +198,81 @@ function startRender(fileName, beatTimes, broadcast, variantLabel, sequenceNum)
         job.error = err.message;
         broadcast({ type: 'render-error', jobId, error: err.message });
       }
-      if (fs.existsSync(outputPath)) {
-        try { fs.unlinkSync(outputPath); } catch {}
-      }
-    });
+      removeOutput(outputPath);
+    }
+    job.finishedAt = Date.now();
+    persistJob(job);
+    job.settle();
+  }));
 
-  jobs.set(jobId, job);
-  return { id: jobId, status: 'running', fileName, outputName, variantLabel: variantLabel || null, timelineOffset };
+  return { id: jobId, status: 'queued', fileName, outputName, variantLabel: variantLabel || null, preset: output.tag, timelineOffset };
 }
 
-async function runRender(job, filePath, outputPath, beatTimes, transitionMs, signal, broadcast, clickTarget) {
-  // Use faster preset + JPEG input for speed
+/**
+ * ffmpeg output arguments for a container + encoder from the output settings.
+ */
+function encoderArgs(container, encoder) {
+  if (container === 'mov') {
+    // ProRes 4444 keeps the alpha channel
+    return ['-c:v', encoder.codec, '-profile:v', encoder.profile, '-pix_fmt', encoder.pixelFormat, '-vendor', 'apl0'];
+  }
+  if (container === 'webm') {
+    // Constant-quality VP9; alt-ref frames would drop the alpha plane
+    return ['-c:v', encoder.codec, '-crf', String(encoder.crf), '-b:v', '0', '-auto-alt-ref', '0', '-pix_fmt', encoder.pixelFormat];
+  }
+  return [
+    '-c:v', encoder.codec,
+    '-crf', String(encoder.crf),
+    '-preset', encoder.preset,
+    ...(encoder.tune ? ['-tune', encoder.tune] : []),
+    '-pix_fmt', encoder.pixelFormat,
+    '-movflags', '+faststart',
+  ];
+}
+
+async function runRender(job, filePath, outputPath, beatTimes, transitionMs, signal, broadcast, advance) {
+  const { fps, encoder, alpha } = job.output;
+  const container = job.output.container || 'mp4';
+
+  const detection = job.transitionDetection || transitionDetectionSettings();
+
+  // Voiceover slice for this clip's window on the master timeline. An adaptive
+  // clip's length is only known at the end — slice the maximum, cut at the video.
+  let audioInput = [];
+  let audioOutput = [];
+  if (job.audio && container !== 'png') {
+    const durationSec = maxClipDurationSec(beatTimes, transitionMs, detection, job.beatTransitionMs);
+    audioInput = ['-ss', String(job.timelineOffset), '-t', String(durationSec), '-i', job.audio.path];
+    audioOutput = ['-map', '0:v', '-map', '1:a?', ...audioEncoderArgs(container), '-shortest'];
+  }
+
+  const frameGen = captureFrames(filePath, beatTimes, transitionMs, (progress) => {
+    job.progress = progress;
+    broadcast({ type: 'render-progress', jobId: job.id, ...progress });
+  }, signal, advance, {
+    fps,
+    alpha: !!alpha,
+    viewport: viewportFor(job.output),
+    transitionDetection: detection,
+    beatTransitionMs: job.beatTransitionMs,
+    onBeatSettled: (index, settleMs) => { job.settleTimes[index] = settleMs; },
+  });
+
+  if (container === 'png') {
+    await writePngSequence(frameGen, outputPath, signal);
+    return;
+  }
+
+  // Frames in over a pipe (JPEG, or PNG for alpha), encoder settings from the output preset
   const ffmpeg = spawn(ffmpegPath, [
     '-y',
     '-f', 'image2pipe',
-    '-framerate', String(config.FPS),
+    '-c:v', alpha ? 'png' : 'mjpeg',
+    '-framerate', String(fps),
     '-i', '-',
-    '-c:v', 'libx264',
-    '-crf', String(config.CRF),
-    '-preset', 'medium',    // faster than 'slow', still good quality
-    '-tune', config.TUNE,
-    '-pix_fmt', config.PIXEL_FMT,
-    '-movflags', '+faststart',
+    ...audioInput,
+    ...encoderArgs(container, encoder),
+    ...audioOutput,
     outputPath,
   ], {
     stdio: ['pipe', 'pipe', 'pipe'],
@@ -101,6 +280,8 @@ async function runRender(job, filePath, outputPath, beatTimes, transitionMs, sig
 
   let ffmpegError = '';
   ffmpeg.stderr.on('data', (chunk) => { ffmpegError += chunk.toString(); });
+  // If ffmpeg dies mid-render, writes fail with EPIPE — the exit code is reported via 'close'
+  ffmpeg.stdin.on('error', () => {});
 
   const ffmpegDone = new Promise((resolve, reject) => {
     ffmpeg.on('close', (code) => {
@@ -110,49 +291,115 @@ async function runRender(job, filePath, outputPath, beatTimes, transitionMs, sig
     ffmpeg.on('error', reject);
   });
 
-  const frameGen = captureFrames(filePath, beatTimes, transitionMs, (progress) => {
-    job.progress = progress;
-    broadcast({ type: 'render-progress', jobId: job.id, ...progress });
-  }, signal, clickTarget);
-
-  for await (const frameBuf of frameGen) {
-    if (signal.aborted) break;
-    const canWrite = ffmpeg.stdin.write(frameBuf);
-    if (!canWrite) {
-      await new Promise(resolve => ffmpeg.stdin.once('drain', resolve));
+  try {
+    for await (const frameBuf of frameGen) {
+      if (signal.aborted) throw new Error('Render cancelled');
+      const canWrite = ffmpeg.stdin.write(frameBuf);
+      if (!canWrite) {
+        // Race the exit so a crashed encoder surfaces its error instead of hanging here
+        await Promise.race([new Promise(resolve => ffmpeg.stdin.once('drain', resolve)), ffmpegDone]);
+      }
     }
+  } catch (err) {
+    // Don't leave ffmpeg waiting on stdin — a stuck encoder would hold a worker slot
+    ffmpeg.kill('SIGKILL');
+    ffmpegDone.catch(() => {});
+    throw err;
   }
 
   ffmpeg.stdin.end();
   await ffmpegDone;
 }
 
-function getJob(jobId) {
-  const job = jobs.get(jobId);
-  if (!job) return null;
+/**
+ * Write captured PNG frames into a folder as frame_000001.png, frame_000002.png, ...
+ */
+async function writePngSequence(frameGen, outputDir, signal) {
+  removeOutput(outputDir);
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  let index = 0;
+  for await (const frameBuf of frameGen) {
+    if (signal.aborted) throw new Error('Render cancelled');
+    index++;
+    await fs.promises.writeFile(path.join(outputDir, `frame_${String(index).padStart(6, '0')}.png`), frameBuf);
+  }
+}
+
+function serializeJob(job) {
   return {
     id: job.id, fileName: job.fileName, outputName: job.outputName,
-    status: job.status, progress: job.progress, error: job.error,
-    startedAt: job.startedAt, timelineOffset: job.timelineOffset,
+    variantLabel: job.variantLabel, status: job.status, progress: job.progress,
+    error: job.error, queuedAt: job.queuedAt, startedAt: job.startedAt,
+    finishedAt: job.finishedAt, timelineOffset: job.timelineOffset,
+    batchId: job.batchId, preset: job.output?.tag || null, hasAudio: !!job.audio,
+    settleTimes: job.settleTimes || [],
   };
 }
 
+/**
+ * Write the durable part of a job (no promise/cancel/progress ticks) to the job store.
+ */
+function persistJob(job) {
+  const { progress, ...record } = serializeJob(job);
+  saveJob({
+    ...record,
+    beatTimes: job.beatTimes,
+    sequenceNum: job.sequenceNum,
+    renderHash: job.renderHash,
+    output: job.output,
+    audio: job.audio,
+  });
+}
+
+function schedulerKey(projectId, jobId) {
+  return `${projectId}/${jobId}`;
+}
+
+function getJob(jobId) {
+  const job = projectJobs().jobs.get(jobId);
+  if (!job) return null;
+  return serializeJob(job);
+}
+
 function getAllJobs() {
-  return [...jobs.values()].map(j => ({
-    id: j.id, fileName: j.fileName, outputName: j.outputName,
-    status: j.status, progress: j.progress, error: j.error,
-    startedAt: j.startedAt, timelineOffset: j.timelineOffset,
-  }));
+  return [...projectJobs().jobs.values()].map(serializeJob);
 }
 
 function cancelJob(jobId) {
-  const job = jobs.get(jobId);
-  if (job && job.status === 'running') { job.cancel(); return true; }
+  const job = projectJobs().jobs.get(jobId);
+  if (!job) return false;
+
+  if (job.status === 'queued' && unschedule(schedulerKey(currentProjectId(), jobId))) {
+    job.status = 'cancelled';
+    job.finishedAt = Date.now();
+    persistJob(job);
+    job.broadcast({ type: 'render-cancelled', jobId });
+    job.settle();
+    return true;
+  }
+  if (job.status === 'running') { job.cancel(); return true; }
   return false;
 }
 
 function getJobRaw(jobId) {
-  return jobs.get(jobId) || null;
+  return projectJobs().jobs.get(jobId) || null;
+}
+
+/**
+ * Whether the current project has renders queued or running.
+ */
+function hasActiveJobs() {
+  return [...projectJobs().jobs.values()].some(j => j.status === 'queued' || j.status === 'running');
+}
+
+/**
+ * Forget the current project's jobs (after its folders were deleted).
+ */
+function unloadProjectJobs() {
+  projects.delete(currentProjectId());
 }
 
-module.exports = { startRender, getJob, getJobRaw, getAllJobs, cancelJob };
+module.exports = {
+  startRender, resolveRenderSettings, buildOutputName, getJob, getJobRaw, getAllJobs, cancelJob, hasActiveJobs, unloadProjectJobs,
+};
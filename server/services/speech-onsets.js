@@ -0,0 +1,211 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const config = require('../config');
+const { getVoiceover } = require('./audio');
+
+/**
+ * Speech onsets in the project voiceover, for snapping beat times to when
+ * words are actually spoken (SRT cue starts are often 100–300ms off).
+ *
+ * The voiceover is decoded once with ffmpeg (mono 16kHz PCM) into an energy
+ * envelope of ONSET_FRAME_MS frames. Against the recording's own noise floor
+ * that gives two kinds of points:
+ *   onset    — speech starting after at least ONSET_MIN_SILENCE_MS of silence
+ *   boundary — a dip in the energy inside speech followed by a sharp rise (a new word)
+ *
+ * Results are cached in data/voiceover-onsets.json until the voiceover or the
+ * detection settings change.
+ */
+
+const SAMPLE_RATE = 16000;
+const cacheFile = () => path.join(config.DATA_DIR, 'voiceover-onsets.json');
+
+function detectionParams() {
+  return {
+    frameMs: config.ONSET_FRAME_MS,
+    thresholdDb: config.ONSET_THRESHOLD_DB,
+    minSilenceMs: config.ONSET_MIN_SILENCE_MS,
+    riseDb: config.ONSET_RISE_DB,
+  };
+}
+
+/**
+ * Decode an audio file and return its energy envelope (dBFS per frame).
+ */
+function decodeEnvelope(filePath, frameMs) {
+  return new Promise((resolve, reject) => {
+    const frameSamples = Math.round(SAMPLE_RATE * frameMs / 1000);
+    const proc = spawn(ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error', '-i', filePath,
+      '-vn', '-ac', '1', '-ar', String(SAMPLE_RATE), '-f', 's16le', 'pipe:1',
+    ]);
+
+    const energies = [];
+    let sumSquares = 0;
+    let count = 0;
+    let leftover = null;
+    let stderr = '';
+
+    proc.stdout.on('data', (chunk) => {
+      const buf = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+      const usable = buf.length - (buf.length % 2);
+      for (let off = 0; off < usable; off += 2) {
+        const sample = buf.readInt16LE(off) / 32768;
+        sumSquares += sample * sample;
+        if (++count === frameSamples) {
+          energies.push(10 * Math.log10(sumSquares / frameSamples + 1e-10));
+          sumSquares = 0;
+          count = 0;
+        }
+      }
+      leftover = usable < buf.length ? buf.subarray(usable) : null;
+    });
+    proc.stderr.on('data', (chunk) => { stderr += chunk.toString(); });
+    proc.on('error', reject);
+    proc.on('close', (code) => {
+      if (code !== 0) return reject(new Error(`ffmpeg could not decode the voiceover: ${stderr.trim().split('\n').pop()}`));
+      resolve(Float64Array.from(energies));
+    });
+  });
+}
+
+function percentile(values, p) {
+  const sorted = Float64Array.from(values).sort();
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+/**
+ * Onsets and word boundaries in an energy envelope.
+ *
+ * @param {Float64Array} envelope - dBFS per frame
+ * @returns {{ time: number, kind: 'onset'|'boundary' }[]} in time order
+ */
+function findOnsets(envelope, params) {
+  const { frameMs, thresholdDb, minSilenceMs, riseDb } = params;
+  const frameSec = frameMs / 1000;
+  if (envelope.length < 3) return [];
+
+  // 3-frame moving average takes the edge off single-frame clicks
+  const e = envelope.map((v, i) => (envelope[Math.max(0, i - 1)] + v + envelope[Math.min(envelope.length - 1, i + 1)]) / 3);
+
+  // Speech threshold above the noise floor; recordings without real silence
+  // (constant room tone, music bed) split the range instead
+  const floor = percentile(e, 0.1);
+  const peak = percentile(e, 0.95);
+  const threshold = peak - floor > thresholdDb * 1.5 ? floor + thresholdDb : floor + (peak - floor) / 2;
+
+  const minSilenceFrames = Math.max(1, Math.round(minSilenceMs / frameMs));
+  const minSpeechFrames = Math.max(1, Math.round(50 / frameMs));
+  const riseFrames = Math.max(1, Math.round(50 / frameMs));
+  const minGapFrames = Math.max(1, Math.round(80 / frameMs));
+
+  const points = [];
+  let silentRun = minSilenceFrames; // the file start counts as silence
+  for (let i = 0; i < e.length; i++) {
+    if (e[i] <= threshold) {
+      silentRun++;
+      continue;
+    }
+
+    if (silentRun >= minSilenceFrames) {
+      // Needs a little sustained speech to count (not a breath or a click)
+      let sustained = 0;
+      for (let k = i; k < e.length && k < i + minSpeechFrames * 2 && sustained < minSpeechFrames; k++) {
+        if (e[k] > threshold) sustained++;
+      }
+      if (sustained >= minSpeechFrames) points.push({ frame: i, kind: 'onset' });
+    } else if (i > 0 && e[i] <= e[i - 1] && e[i] < e[i + 1]) {
+      // Local minimum inside speech with a sharp rise after it: next word
+      let riseTo = e[i];
+      for (let k = i + 1; k < e.length && k <= i + riseFrames; k++) riseTo = Math.max(riseTo, e[k]);
+      let fallFrom = e[i];
+      for (let k = i - 1; k >= 0 && k >= i - riseFrames; k--) fallFrom = Math.max(fallFrom, e[k]);
+      if (riseTo - e[i] >= riseDb && fallFrom - e[i] >= riseDb / 2) points.push({ frame: i + 1, kind: 'boundary' });
+    }
+    silentRun = 0;
+  }
+
+  // Drop boundaries crowding an earlier point
+  const onsets = [];
+  for (const p of points) {
+    const prev = onsets[onsets.length - 1];
+    if (prev && p.kind === 'boundary' && p.frame - prev.frame < minGapFrames) continue;
+    onsets.push(p);
+  }
+  return onsets.map(p => ({ time: Math.round(p.frame * frameSec * 1000) / 1000, kind: p.kind }));
+}
+
+/**
+ * Speech onsets of the current project's voiceover (cached).
+ *
+ * @returns {Promise<{ time: number, kind: string }[]>}
+ * @throws {Error} without a voiceover, or if ffmpeg can't decode it
+ */
+async function getSpeechOnsets() {
+  const voiceover = getVoiceover();
+  if (!voiceover) throw new Error('No voiceover uploaded — upload the narration audio first');
+
+  const params = detectionParams();
+  const key = { fileName: voiceover.fileName, size: voiceover.size, mtimeMs: voiceover.mtimeMs, ...params };
+  if (fs.existsSync(cacheFile())) {
+    try {
+      const cached = JSON.parse(fs.readFileSync(cacheFile(), 'utf-8'));
+      if (JSON.stringify(cached.key) === JSON.stringify(key)) return cached.onsets;
+    } catch {
+      // Unreadable cache — analyze again
+    }
+  }
+
+  const started = Date.now();
+  const envelope = await decodeEnvelope(voiceover.path, params.frameMs);
+  const onsets = findOnsets(envelope, params);
+  fs.writeFileSync(cacheFile(), JSON.stringify({ key, analyzedAt: new Date().toISOString(), onsets }));
+  console.log(`[onsets] ${voiceover.originalName}: ${onsets.length} onsets/boundaries in ${Date.now() - started}ms`);
+  return onsets;
+}
+
+/**
+ * Snap each beat to the nearest onset or boundary within windowMs. A beat
+ * stays put when it's locked, when nothing is in range, or when snapping
+ * would move it past a neighbouring beat.
+ *
+ * @param {number[]} [lockedBeats] - Indices of beats to leave alone
+ * @returns {{ beatTimes: number[], deltas: { before: number, after: number, delta: number, kind: string|null }[] }}
+ */
+function snapBeatTimes(beatTimes, onsets, windowMs, lockedBeats = []) {
+  const windowSec = windowMs / 1000;
+  const locked = new Set(lockedBeats);
+  const deltas = [];
+  let prevTime = -Infinity;
+
+  beatTimes.forEach((before, i) => {
+    if (locked.has(i)) {
+      deltas.push({ before, after: before, delta: 0, kind: 'locked' });
+      prevTime = before;
+      return;
+    }
+
+    const nextBefore = i + 1 < beatTimes.length ? beatTimes[i + 1] : Infinity;
+    let best = null;
+    for (const o of onsets) {
+      if (o.time < before - windowSec) continue;
+      if (o.time > before + windowSec) break;
+      if (!best || Math.abs(o.time - before) < Math.abs(best.time - before)) best = o;
+    }
+
+    const after = best && best.time > prevTime && best.time < nextBefore ? best.time : before;
+    deltas.push({
+      before,
+      after,
+      delta: Math.round((after - before) * 1000) / 1000,
+      kind: after === before ? null : best.kind,
+    });
+    prevTime = after;
+  });
+
+  return { beatTimes: deltas.map(d => d.after), deltas };
+}
+
+module.exports = { getSpeechOnsets, findOnsets, snapBeatTimes };
@@ -1,4 +1,5 @@
 const SrtParser = require('srt-parser-2');
+const { detectTranscriptFormat, parseVtt, parseWordJson } = require('./transcript-formats');
 
 /**
  * Parse SRT content and extract cues.
@@ -18,11 +19,30 @@ function parseSrt(srtContent) {
   }));
 }
 
+/**
+ * Parse any supported transcript — SRT, WebVTT or word-level JSON (detected
+ * from the content) — into cues. Cues from VTT/JSON with per-word timestamps
+ * carry them as cue.words.
+ */
+function parseTranscript(content) {
+  const format = detectTranscriptFormat(content);
+  if (format === 'vtt') return parseVtt(content);
+  if (format === 'json') return parseWordJson(content);
+  return parseSrt(content);
+}
+
+/**
+ * Mapping functions take raw transcript text or already-parsed cues.
+ */
+function toCues(transcript) {
+  return Array.isArray(transcript) ? transcript : parseTranscript(transcript);
+}
+
 /**
  * Dumb 1:1 mapping — each cue's start time = a beat time, in order.
  */
 function mapSrtToBeats(srtContent, beatCount) {
-  const cues = parseSrt(srtContent);
+  const cues = toCues(srtContent);
   const beatTimes = cues.map(c => c.startTime);
 
   return {
@@ -44,7 +64,7 @@ function mapSrtToBeats(srtContent, beatCount) {
  * previous beat's matched cue. This ensures monotonically increasing
  * beat times.
  *
- * @param {string} srtContent - Raw SRT file text
+ * @param {string|object[]} srtContent - Raw SRT/VTT/JSON transcript text, or parsed cues
  * @param {string[]} beatTexts - Text extracted from each beat in the HTML
  * @param {object} [opts] - Optional settings
  * @param {string[]} [opts.beatTypes] - Beat type classification per beat ('speech'|'label'|'data'|'silent')
@@ -53,7 +73,7 @@ function mapSrtToBeats(srtContent, beatCount) {
  * @returns {object} Mapping result with beatTimes, per-beat match info, etc.
  */
 function mapSrtToBeatsIntelligent(srtContent, beatTexts, opts = {}) {
-  const cues = parseSrt(srtContent);
+  const cues = toCues(srtContent);
   const { beatTypes, segStart, segEnd } = opts;
 
   if (!beatTexts || beatTexts.length === 0) {
@@ -189,6 +209,7 @@ function mapSrtToBeatsIntelligent(srtContent, beatTexts, opts = {}) {
         time: trigger.time,
         triggerWord: trigger.triggerWord,
         triggerMethod: trigger.method,
+        triggerTiming: trigger.timing,
         anchor: true,
       };
     }
@@ -264,6 +285,7 @@ function mapSrtToBeatsIntelligent(srtContent, beatTexts, opts = {}) {
         time: trigger.time,
         triggerWord: trigger.triggerWord,
         triggerMethod: trigger.method,
+        triggerTiming: trigger.timing,
         anchor: false,
       };
     } else {
@@ -545,12 +567,26 @@ function timeToSeconds(timeStr) {
  * This handles scripts that mix voiceover with stage directions — the extra
  * direction words don't penalize the score, only missing SRT words do.
  *
- * @param {string} srtContent - Raw SRT file text
+ * With opts.alignment = 'global' the segments are placed by one monotonic
+ * alignment of all scripts against the whole transcript instead (see
+ * alignSegmentsGlobally); the windowed search is the fallback for transcripts
+ * too long to align in memory.
+ *
+ * @param {string|object[]} srtContent - Raw SRT/VTT/JSON transcript text, or parsed cues
  * @param {object[]} segments - Array of { num, script, htmlFiles }
- * @returns {object} { segmentMatches, matchedCount, totalSegments, cueCount, cues }
+ * @param {object} [opts]
+ * @param {'window'|'global'} [opts.alignment='window']
+ * @returns {object} { segmentMatches, matchedCount, totalSegments, cueCount, cues, alignment }
  */
-function mapSrtToSegments(srtContent, segments) {
-  const cues = parseSrt(srtContent);
+function mapSrtToSegments(srtContent, segments, opts = {}) {
+  const cues = toCues(srtContent);
+
+  if (opts.alignment === 'global') {
+    const aligned = alignSegmentsGlobally(cues, segments);
+    if (aligned) return segmentMatchResult(aligned, segments, cues, 'global');
+    console.log(`[srt] Transcript too long for global alignment (${cues.length} cues) — using window matching`);
+  }
+
   const cueTextsNorm = cues.map(c => normalize(c.text));
 
   // Build word sets for each cue (reusable)
@@ -718,6 +754,10 @@ function mapSrtToSegments(srtContent, segments) {
     htmlFiles: m.htmlFiles,
   }));
 
+  return segmentMatchResult(segmentMatches, segments, cues, 'window');
+}
+
+function segmentMatchResult(segmentMatches, segments, cues, alignment) {
   // Interpolate timing for unmatched segments between matched neighbors
   interpolateSegmentTiming(segmentMatches);
 
@@ -729,7 +769,159 @@ function mapSrtToSegments(srtContent, segments) {
     totalSegments: segments.length,
     cueCount: cues.length,
     cues,
+    alignment,
+  };
+}
+
+// ── Global alignment ──
+// Scores for aligning script tokens against transcript tokens. Skipping a
+// script token (stage directions, cut lines) is cheaper than skipping a spoken
+// word (ad-libs), and both together cost more than a substitution.
+const ALIGN_MATCH = 2;
+const ALIGN_MISMATCH = -1;
+const ALIGN_SKIP_SCRIPT = 0.5;
+const ALIGN_SKIP_SPOKEN = 1;
+// Traceback is one byte per (script token × transcript token) cell
+const ALIGN_MAX_CELLS = 50e6;
+
+const alignToken = (w) => (w.length > 4 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w);
+const isAlignWord = (w) => w.length > 2 && !STOP_WORDS.has(w);
+
+/**
+ * Content words of the transcript in spoken order, each with its cue and the
+ * time it is spoken (transcript word timestamps, or estimated within the cue).
+ */
+function transcriptTokens(cues) {
+  const tokens = [];
+  cues.forEach((cue, cueIdx) => {
+    const timings = cueWordTimings(cue);
+    for (const wt of timings) {
+      for (const w of wt.normalizedWord.split(' ')) {
+        if (isAlignWord(w)) tokens.push({ word: alignToken(w), cueIdx, time: wt.time });
+      }
+    }
+  });
+  return tokens;
+}
+
+/**
+ * Place every segment with one global monotonic alignment (Needleman-Wunsch)
+ * of the concatenated scripts against the concatenated transcript, on content
+ * words. Spoken words before the first and after the last script word are
+ * free, so intros and outros don't pull the alignment.
+ *
+ * Each segment spans from its first to its last script word matched in the
+ * transcript, widened to the cue edges when no other content word shares the
+ * cue, so a poorly matched segment still gets a boundary between its
+ * neighbours. Confidence uses the same blend as the windowed search, over the
+ * segment's own stretch of the alignment: the share of spoken words in the
+ * span that match the script (0.6) and of script words that were spoken (0.4).
+ *
+ * @returns {object[]|null} segment matches, or null when the transcript and
+ *   scripts are too long to align in memory
+ */
+function alignSegmentsGlobally(cues, segments) {
+  const spoken = transcriptTokens(cues);
+  const script = [];
+  const segRanges = segments.map((seg, segIdx) => {
+    const start = script.length;
+    for (const w of normalize(seg.script).split(' ')) {
+      if (isAlignWord(w)) script.push({ word: alignToken(w), segIdx });
+    }
+    return { start, end: script.length };
+  });
+
+  const n = script.length;
+  const m = spoken.length;
+  if ((n + 1) * (m + 1) > ALIGN_MAX_CELLS) return null;
+
+  // Words → ids, so cells compare integers
+  const vocab = new Map();
+  const idOf = (w) => {
+    if (!vocab.has(w)) vocab.set(w, vocab.size);
+    return vocab.get(w);
   };
+  const a = Int32Array.from(script, t => idOf(t.word));
+  const b = Int32Array.from(spoken, t => idOf(t.word));
+
+  // DP over rows of script tokens; trace: 0 = pair, 1 = skip script word, 2 = skip spoken word
+  const width = m + 1;
+  const trace = new Uint8Array((n + 1) * width).fill(2, 1, width);
+  let prev = new Float64Array(width); // row 0: leading spoken words are free
+  let cur = new Float64Array(width);
+  for (let i = 1; i <= n; i++) {
+    cur[0] = -i * ALIGN_SKIP_SCRIPT;
+    trace[i * width] = 1;
+    for (let j = 1; j <= m; j++) {
+      const pair = prev[j - 1] + (a[i - 1] === b[j - 1] ? ALIGN_MATCH : ALIGN_MISMATCH);
+      const skipScript = prev[j] - ALIGN_SKIP_SCRIPT;
+      const skipSpoken = cur[j - 1] - ALIGN_SKIP_SPOKEN;
+      if (pair >= skipScript && pair >= skipSpoken) {
+        cur[j] = pair;
+        trace[i * width + j] = 0;
+      } else if (skipScript >= skipSpoken) {
+        cur[j] = skipScript;
+        trace[i * width + j] = 1;
+      } else {
+        cur[j] = skipSpoken;
+        trace[i * width + j] = 2;
+      }
+    }
+    [prev, cur] = [cur, prev];
+  }
+
+  // Trailing spoken words are free too: end at the best cell of the last row
+  let j = 0;
+  for (let k = 1; k <= m; k++) if (prev[k] > prev[j]) j = k;
+
+  // Walk back: which spoken token each script token paired with (-1 = skipped)
+  const pairedWith = new Int32Array(n).fill(-1);
+  let i = n;
+  while (i > 0) {
+    const step = trace[i * width + j];
+    if (step === 0) pairedWith[--i] = --j;
+    else if (step === 1) i--;
+    else j--;
+  }
+
+  return segments.map((seg, segIdx) => {
+    const { start, end } = segRanges[segIdx];
+    const paired = [];
+    const matchedAt = [];
+    for (let t = start; t < end; t++) {
+      if (pairedWith[t] < 0) continue;
+      paired.push(pairedWith[t]);
+      if (a[t] === b[pairedWith[t]]) matchedAt.push(pairedWith[t]);
+    }
+    // Bound the segment by its matched words; substitutions only when nothing matched
+    const bounds = matchedAt.length > 0 ? matchedAt : paired;
+    if (bounds.length === 0) {
+      return {
+        num: seg.num, matched: false, confidence: 0,
+        startCueIdx: null, endCueIdx: null, startTime: null, endTime: null,
+        htmlFiles: seg.htmlFiles,
+      };
+    }
+
+    const firstIdx = bounds[0];
+    const lastIdx = bounds[bounds.length - 1];
+    const first = spoken[firstIdx];
+    const last = spoken[lastIdx];
+    const before = spoken[firstIdx - 1];
+    const after = spoken[lastIdx + 1];
+    const spanLength = lastIdx - firstIdx + 1;
+    const score = (matchedAt.length / spanLength) * 0.6 + (matchedAt.length / (end - start)) * 0.4;
+    return {
+      num: seg.num,
+      matched: score >= 0.25,
+      confidence: Math.round(score * 100),
+      startCueIdx: first.cueIdx,
+      endCueIdx: last.cueIdx,
+      startTime: before?.cueIdx === first.cueIdx ? first.time : cues[first.cueIdx].startTime,
+      endTime: after?.cueIdx === last.cueIdx ? after.time : cues[last.cueIdx].endTime,
+      htmlFiles: seg.htmlFiles,
+    };
+  });
 }
 
 /**
@@ -831,6 +1023,21 @@ function estimateWordTimings(cue) {
   });
 }
 
+/**
+ * Per-word times of a cue: the transcript's own word timestamps when it has
+ * them (VTT/JSON), estimated from character positions otherwise.
+ *
+ * @returns {{ word: string, normalizedWord: string, time: number }[]}
+ */
+function cueWordTimings(cue) {
+  if (!cue.words || cue.words.length === 0) return estimateWordTimings(cue);
+  return cue.words.map(w => ({
+    word: w.word,
+    normalizedWord: normalize(w.word),
+    time: w.startTime,
+  }));
+}
+
 /**
  * Dice coefficient on character bigrams for fuzzy single-word matching.
  * Returns 0-1 where 1 = identical.
@@ -856,10 +1063,11 @@ function bigramSimilarity(a, b) {
 }
 
 /**
- * Find the estimated time for a beat's trigger word within a matched SRT cue.
+ * Find the time for a beat's trigger word within a matched SRT cue.
  *
  * - Speech beats → cue start time (they align with whole cues)
- * - Label beats → find the last matching content word, return its estimated time
+ * - Label beats → find the last matching content word, return its time — the
+ *   transcript's word timestamp when the cue has one, an estimate otherwise
  * - Data/silent → cue start time (fallback)
  *
  * Matching: exact → stem containment (4+ chars) → bigram similarity (>0.6) → fallback
@@ -867,10 +1075,10 @@ function bigramSimilarity(a, b) {
  * @param {string} beatText - Raw text extracted from the beat
  * @param {{ startTime: number, endTime: number, text: string }} cue - Matched SRT cue
  * @param {string|null} beatType - 'speech'|'label'|'data'|'silent'|null
- * @returns {{ time: number, triggerWord: string|null, method: string }}
+ * @returns {{ time: number, triggerWord: string|null, method: string, timing: 'transcript'|'estimated'|null }}
  */
 function findTriggerWordTime(beatText, cue, beatType) {
-  const fallback = { time: cue.startTime, triggerWord: null, method: 'cue-start' };
+  const fallback = { time: cue.startTime, triggerWord: null, method: 'cue-start', timing: null };
 
   // Speech, data, silent beats → just use cue start
   if (beatType === 'speech' || beatType === 'data' || beatType === 'silent') {
@@ -886,7 +1094,8 @@ function findTriggerWordTime(beatText, cue, beatType) {
     return fallback;
   }
 
-  const wordTimings = estimateWordTimings(cue);
+  const wordTimings = cueWordTimings(cue);
+  const timing = cue.words?.length > 0 ? 'transcript' : 'estimated';
   if (wordTimings.length === 0) {
     return fallback;
   }
@@ -902,7 +1111,7 @@ function findTriggerWordTime(beatText, cue, beatType) {
       // 1. Exact match
       if (cueWord === contentWord) {
         if (!bestMatch || wordTimings[i].time > bestMatch.time) {
-          bestMatch = { time: wordTimings[i].time, triggerWord: wordTimings[i].word, method: 'exact' };
+          bestMatch = { time: wordTimings[i].time, triggerWord: wordTimings[i].word, method: 'exact', timing };
         }
         break; // Found exact for this content word, try next content word
       }
@@ -910,7 +1119,7 @@ function findTriggerWordTime(beatText, cue, beatType) {
       // 2. Stem containment (4+ chars): does one contain the other?
       if (contentWord.length >= 4 && (cueWord.includes(contentWord) || contentWord.includes(cueWord)) && cueWord.length >= 4) {
         if (!bestMatch || wordTimings[i].time > bestMatch.time) {
-          bestMatch = { time: wordTimings[i].time, triggerWord: wordTimings[i].word, method: 'stem' };
+          bestMatch = { time: wordTimings[i].time, triggerWord: wordTimings[i].word, method: 'stem', timing };
         }
         break;
       }
@@ -920,7 +1129,7 @@ function findTriggerWordTime(beatText, cue, beatType) {
         const sim = bigramSimilarity(contentWord, cueWord);
         if (sim > 0.6) {
           if (!bestMatch || wordTimings[i].time > bestMatch.time) {
-            bestMatch = { time: wordTimings[i].time, triggerWord: wordTimings[i].word, method: 'bigram' };
+            bestMatch = { time: wordTimings[i].time, triggerWord: wordTimings[i].word, method: 'bigram', timing };
           }
           break;
         }
@@ -931,4 +1140,4 @@ function findTriggerWordTime(beatText, cue, beatType) {
   return bestMatch || fallback;
 }
 
-module.exports = { parseSrt, mapSrtToBeats, mapSrtToBeatsIntelligent, mapSrtToSegments, timeToSeconds, estimateWordTimings, findTriggerWordTime };
+module.exports = { parseSrt, parseTranscript, mapSrtToBeats, mapSrtToBeatsIntelligent, mapSrtToSegments, timeToSeconds, estimateWordTimings, cueWordTimings, findTriggerWordTime };
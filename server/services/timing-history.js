@@ -0,0 +1,344 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const path = require('path');
+const fs = require('fs');
+const config = require('../config');
+
+/**
+ * Versioned .timing.json files. Every write goes through writeTiming, which
+ * appends the new version to an append-only log per file:
+ *
+ *   data/timing-history/<file>.jsonl — one version per line:
+ *     { version, action, at, source, method, beatCount, bulk, timing, ... }
+ *   data/timing-history/bulk.jsonl   — bulk operations (project SRT match,
+ *     segment rematch, Analyze All, sync) and snapshot restores
+ *
+ * Undo and redo are versions too: they append the version they go back (or
+ * forward) to. A log is only rewritten to drop its oldest versions once it
+ * holds more than MAX_STORED_VERSIONS.
+ */
+
+const MAX_STORED_VERSIONS = 200; // per log; the oldest entries are dropped beyond this
+const TRIM_BATCH = 50; // dropped in batches, so a full log isn't rewritten on every write
+
+const historyDir = () => path.join(config.DATA_DIR, 'timing-history');
+const historyFile = (fileName) => path.join(historyDir(), `${fileName}.jsonl`);
+const bulkFile = () => path.join(historyDir(), 'bulk.jsonl');
+const timingFile = (fileName) => path.join(config.DATA_DIR, `${fileName}.timing.json`);
+
+const bulkContext = new AsyncLocalStorage();
+
+// Parsed logs — re-read only when a log's size isn't what we last saw
+const logs = new Map(); // log file → { size, entries }
+
+// Written every time — not a change by themselves
+const TIMESTAMP_FIELDS = ['savedAt', 'refinedAt'];
+
+const round3 = (t) => Math.round(t * 1000) / 1000;
+
+function readLines(file) {
+  if (!fs.existsSync(file)) {
+    logs.delete(file);
+    return [];
+  }
+  const { size } = fs.statSync(file);
+  const cached = logs.get(file);
+  if (cached && cached.size === size) return cached.entries;
+
+  const entries = [];
+  for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // A line cut short by a crash — skip it
+    }
+  }
+  logs.set(file, { size, entries });
+  return entries;
+}
+
+// Append entry to a log and to its entries (as read by readLines)
+function appendLine(file, entries, entry) {
+  fs.mkdirSync(historyDir(), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+  entries.push(entry);
+
+  let kept = entries;
+  if (entries.length > MAX_STORED_VERSIONS + TRIM_BATCH) {
+    kept = entries.slice(-MAX_STORED_VERSIONS);
+    fs.writeFileSync(file, kept.map(e => JSON.stringify(e)).join('\n') + '\n');
+  }
+  logs.set(file, { size: fs.statSync(file).size, entries: kept });
+}
+
+function readHistory(fileName) {
+  return readLines(historyFile(fileName));
+}
+
+/**
+ * Run fn (and all async work it starts) as one bulk timing operation: every
+ * version written meanwhile is tagged with its id, so restoreSnapshot can
+ * roll them all back. Returns fn's result.
+ */
+function runBulkTimingOperation(action, fn) {
+  return bulkContext.run({ action, id: null }, fn);
+}
+
+// Id of the running bulk operation, registered in bulk.jsonl on its first write
+function currentBulkId() {
+  const ctx = bulkContext.getStore();
+  if (!ctx) return null;
+  if (ctx.id == null) {
+    const bulks = readLines(bulkFile());
+    ctx.id = (bulks[bulks.length - 1]?.id || 0) + 1;
+    appendLine(bulkFile(), bulks, { id: ctx.id, action: ctx.action, at: new Date().toISOString(), restores: ctx.restores });
+  }
+  return ctx.id;
+}
+
+function withoutTimestamps(timing) {
+  if (!timing) return null;
+  const copy = { ...timing };
+  for (const field of TIMESTAMP_FIELDS) delete copy[field];
+  return JSON.stringify(copy);
+}
+
+function appendVersion(fileName, entries, action, timing, details = {}, bulk = currentBulkId()) {
+  const entry = {
+    version: (entries[entries.length - 1]?.version || 0) + 1,
+    action,
+    at: new Date().toISOString(),
+    source: timing?.source ?? null,
+    method: timing?.method ?? null,
+    beatCount: timing?.beatTimes?.length || 0,
+    bulk,
+    ...details,
+    timing,
+  };
+  appendLine(historyFile(fileName), entries, entry);
+  return entry;
+}
+
+/**
+ * Write a file's timing (null removes it) and record the new version.
+ * A write that changes nothing but timestamps isn't recorded.
+ *
+ * @param {string} action - What wrote it: manual, locks, srt-upload, snap,
+ *   project-match, rematch-segment, analyze, analyze-all, sync, restore, undo, redo, snapshot-restore
+ * @param {object} [details] - Extra fields for the history entry
+ * @returns {object} the history entry of the version now on disk
+ */
+function writeTiming(fileName, timing, action, details) {
+  const file = timingFile(fileName);
+  const entries = readHistory(fileName);
+
+  // Timing saved before history existed becomes the first version
+  const onDisk = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+  if (entries.length === 0 && onDisk) appendVersion(fileName, entries, 'initial', onDisk, {}, null);
+
+  if (timing) {
+    fs.writeFileSync(file, JSON.stringify(timing, null, 2));
+  } else if (onDisk) {
+    fs.unlinkSync(file);
+  }
+
+  const last = entries[entries.length - 1];
+  if (last && withoutTimestamps(last.timing) === withoutTimestamps(timing)) return last;
+  return appendVersion(fileName, entries, action, timing ? JSON.parse(JSON.stringify(timing)) : null, details);
+}
+
+/**
+ * Versions undo and redo would go to. Replays the log as an undo stack:
+ * undo pops a version onto the redo stack, redo pushes it back, and any
+ * other write clears the redo stack.
+ */
+function undoState(entries) {
+  const stack = [];
+  const redo = [];
+  for (const e of entries) {
+    // Undo/redo of versions dropped from the log have nothing left to move
+    if (e.action === 'undo') {
+      if (stack.length > 0) redo.push(stack.pop());
+    } else if (e.action === 'redo') {
+      if (redo.length > 0) stack.push(redo.pop());
+    } else {
+      stack.push(e.version);
+      redo.length = 0;
+    }
+  }
+  return {
+    undo: stack.length > 1 ? stack[stack.length - 2] : null,
+    redo: redo.length > 0 ? redo[redo.length - 1] : null,
+  };
+}
+
+/**
+ * A file's versions, newest last, without their timing.
+ *
+ * @returns {{ versions: object[], current: number|null, undo: number|null, redo: number|null }}
+ */
+function listHistory(fileName) {
+  const entries = readHistory(fileName);
+  return {
+    versions: entries.map(({ timing, ...summary }) => summary),
+    current: entries[entries.length - 1]?.version ?? null,
+    ...undoState(entries),
+  };
+}
+
+function findVersion(entries, version) {
+  const entry = entries.find(e => e.version === version);
+  if (!entry) throw new Error(`Version ${version} not found`);
+  return entry;
+}
+
+/**
+ * One version with its timing.
+ * @throws {Error} when the file has no such version
+ */
+function getVersion(fileName, version) {
+  return findVersion(readHistory(fileName), version);
+}
+
+/**
+ * Write an earlier version back as the newest one.
+ * @throws {Error} when the file has no such version
+ */
+function restoreVersion(fileName, version) {
+  const entry = getVersion(fileName, version);
+  return writeTiming(fileName, entry.timing, 'restore', { restoredFrom: version });
+}
+
+/**
+ * Step back (or forward again) through the file's versions.
+ *
+ * @param {'undo'|'redo'} direction
+ * @throws {Error} when there is nothing to undo/redo
+ */
+function stepHistory(fileName, direction) {
+  const entries = readHistory(fileName);
+  const target = undoState(entries)[direction];
+  if (target == null) throw new Error(`Nothing to ${direction}`);
+  const entry = findVersion(entries, target);
+  const file = timingFile(fileName);
+  if (entry.timing) {
+    fs.writeFileSync(file, JSON.stringify(entry.timing, null, 2));
+  } else if (fs.existsSync(file)) {
+    fs.unlinkSync(file);
+  }
+  // Always recorded, even when identical: the log is the undo stack
+  return appendVersion(fileName, entries, direction, entry.timing, { restoredFrom: target });
+}
+
+/**
+ * What changed between two timings: per-beat times (beats only in one of
+ * them have a null side) and the top-level fields that matter for a render.
+ */
+function diffTimings(from, to) {
+  const fromTimes = from?.beatTimes || [];
+  const toTimes = to?.beatTimes || [];
+  const beats = [];
+  for (let i = 0; i < Math.max(fromTimes.length, toTimes.length); i++) {
+    const a = fromTimes[i] ?? null;
+    const b = toTimes[i] ?? null;
+    if (a === b) continue;
+    beats.push({ beat: i, from: a, to: b, delta: a != null && b != null ? round3(b - a) : null });
+  }
+
+  const fields = ['source', 'method', 'segmentNum', 'startTime', 'endTime', 'locked', 'lockedBeats']
+    .filter(field => JSON.stringify(from?.[field] ?? null) !== JSON.stringify(to?.[field] ?? null))
+    .map(field => ({ field, from: from?.[field] ?? null, to: to?.[field] ?? null }));
+
+  return { beatCount: { from: fromTimes.length, to: toTimes.length }, beats, fields };
+}
+
+/**
+ * Diff two versions of a file (to defaults to the current one).
+ * @throws {Error} when a version doesn't exist
+ */
+function diffVersions(fileName, fromVersion, toVersion) {
+  const entries = readHistory(fileName);
+  const from = findVersion(entries, fromVersion);
+  const to = toVersion != null ? findVersion(entries, toVersion) : entries[entries.length - 1];
+  return { from: from.version, to: to.version, ...diffTimings(from.timing, to.timing) };
+}
+
+/**
+ * Remove a file's history (the file itself was deleted).
+ */
+function deleteHistory(fileName) {
+  if (fs.existsSync(historyFile(fileName))) fs.unlinkSync(historyFile(fileName));
+  logs.delete(historyFile(fileName));
+}
+
+// ─── Project-wide snapshots ───
+
+/**
+ * The latest bulk operation that hasn't been rolled back, with the files it
+ * touched and the version each one goes back to (null: it had no timing).
+ * Files whose version from before it was dropped from their log can't go
+ * back and are listed under `expired`.
+ *
+ * @returns {{ id, action, at, files: { fileName, restoreTo: number|null }[], expired: string[] }|null}
+ */
+function lastBulkOperation() {
+  const bulks = readLines(bulkFile());
+  const rolledBack = new Set(bulks.filter(b => b.restores != null).map(b => b.restores));
+  const bulk = [...bulks].reverse().find(b => b.restores == null && !rolledBack.has(b.id));
+  if (!bulk) return null;
+
+  const files = [];
+  const expired = [];
+  const dir = historyDir();
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith('.jsonl') || name === 'bulk.jsonl') continue;
+    const fileName = name.slice(0, -'.jsonl'.length);
+    const entries = readHistory(fileName);
+    const first = entries.findIndex(e => e.bulk === bulk.id);
+    if (first < 0) continue;
+    if (first > 0) files.push({ fileName, restoreTo: entries[first - 1].version });
+    // Version 1 starts a log; a later one means the versions before it were dropped
+    else if (entries[0].version === 1) files.push({ fileName, restoreTo: null });
+    else expired.push(fileName);
+  }
+  return { ...bulk, files, expired };
+}
+
+/**
+ * Roll every file the last bulk operation touched back to its version from
+ * before it. Edits made to those files since are rolled back too (they stay
+ * in the history). Restoring again goes back past the bulk operation before.
+ *
+ * @throws {Error} when no bulk operation is left to roll back
+ */
+function restoreSnapshot() {
+  const bulk = lastBulkOperation();
+  if (!bulk) throw new Error('No bulk timing change to roll back');
+
+  return bulkContext.run({ action: 'snapshot-restore', id: null, restores: bulk.id }, () => {
+    currentBulkId(); // recorded even if every file is already back where it was
+    const restored = bulk.files.map(({ fileName, restoreTo }) => {
+      const timing = restoreTo != null ? getVersion(fileName, restoreTo).timing : null;
+      writeTiming(fileName, timing, 'snapshot-restore', { restoredFrom: restoreTo });
+      return { fileName, restoredTo: restoreTo };
+    });
+    console.log(`[timing-history] Rolled back ${bulk.action} #${bulk.id}: ${restored.length} files`);
+    if (bulk.expired.length > 0) {
+      console.log(`[timing-history] Too old to roll back: ${bulk.expired.join(', ')}`);
+    }
+    return { rolledBack: { id: bulk.id, action: bulk.action, at: bulk.at }, files: restored, expired: bulk.expired };
+  });
+}
+
+module.exports = {
+  writeTiming,
+  runBulkTimingOperation,
+  listHistory,
+  getVersion,
+  restoreVersion,
+  stepHistory,
+  diffVersions,
+  deleteHistory,
+  lastBulkOperation,
+  restoreSnapshot,
+};
@@ -0,0 +1,207 @@
+const path = require('path');
+const fs = require('fs');
+const config = require('../config');
+const { writeTiming } = require('./timing-history');
+
+/**
+ * Beat locks in .timing.json — hand-tuned times that automatic re-timing
+ * (project SRT matching, segment rematch, post-analysis remap) must keep:
+ *
+ *   locked          — true: the whole file's timing is left alone
+ *   lockedBeats     — beat indices whose times are kept; the other beats are
+ *                     re-fitted from the new timing between these anchors
+ *   lockedBeatTexts — the analysis text of each locked beat when it was
+ *                     locked, so a lock follows its beat through re-analysis
+ */
+
+const round3 = (t) => Math.round(t * 1000) / 1000;
+
+const timingFile = (fileName) => path.join(config.DATA_DIR, `${fileName}.timing.json`);
+
+function readTiming(fileName) {
+  const file = timingFile(fileName);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+}
+
+function readBeatTexts(fileName) {
+  const file = path.join(config.DATA_DIR, `${fileName}.analysis.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')).beatTexts || [] : [];
+}
+
+/**
+ * The analysis text of each locked beat (null where there is none), stored
+ * next to lockedBeats.
+ */
+function lockedBeatTexts(fileName, lockedBeats) {
+  const texts = readBeatTexts(fileName);
+  return lockedBeats.map(i => texts[i] || null);
+}
+
+/**
+ * Sorted, de-duplicated beat indices below beatCount.
+ * @throws {Error} when the list isn't an array of non-negative integers
+ */
+function normalizeLockedBeats(list, beatCount) {
+  if (!Array.isArray(list) || !list.every(i => Number.isInteger(i) && i >= 0)) {
+    throw new Error('lockedBeats must be an array of beat indices');
+  }
+  return [...new Set(list)].filter(i => i < beatCount).sort((a, b) => a - b);
+}
+
+/**
+ * Place new beat times around locked anchors. Beats between two anchors are
+ * warped linearly so the new timing's spacing fits the locked span; beats
+ * before the first (after the last) anchor shift with it.
+ *
+ * @param {number[]} times - New beat times
+ * @param {number[]} anchors - Sorted locked indices (all < times.length)
+ * @param {Map<number, number>} lockedTimes - Times to keep, by new beat index
+ */
+function refitBetweenAnchors(times, anchors, lockedTimes) {
+  const out = times.slice();
+  const at = (i) => lockedTimes.get(i);
+  for (const a of anchors) out[a] = at(a);
+
+  const first = anchors[0];
+  const last = anchors[anchors.length - 1];
+  for (let i = 0; i < first; i++) {
+    out[i] = Math.min(times[i] + at(first) - times[first], at(first));
+  }
+  for (let i = last + 1; i < times.length; i++) {
+    out[i] = Math.max(times[i] + at(last) - times[last], at(last));
+  }
+
+  for (let k = 0; k + 1 < anchors.length; k++) {
+    const a = anchors[k];
+    const b = anchors[k + 1];
+    const span = times[b] - times[a];
+    for (let i = a + 1; i < b; i++) {
+      // New timing collapsed the span (or reversed it) — spread evenly instead
+      const f = span > 0 ? Math.min(1, Math.max(0, (times[i] - times[a]) / span)) : (i - a) / (b - a);
+      out[i] = at(a) + f * (at(b) - at(a));
+    }
+  }
+
+  return out.map(t => Math.max(0, round3(t)));
+}
+
+/**
+ * Where each lock lands in the new timing. A lock whose beat text is known
+ * follows that text: it stays put while the beat there still reads the same,
+ * moves to the nearest beat that does, and is dropped when none does. Locks
+ * without a text (set before texts were stored, or on pixel-analyzed pages)
+ * stay on their index while the new timing has it.
+ *
+ * @returns {{ anchors: number[], lockedTimes: Map<number, number>, droppedLocks: number[] }}
+ */
+function placeLocks(previous, beatCount, beatTexts) {
+  const locks = previous.lockedBeats || [];
+  const texts = previous.lockedBeatTexts || [];
+  const lockedTimes = new Map();
+  const origin = new Map(); // new index → locked index in the previous timing
+  const droppedLocks = [];
+
+  locks.forEach((i, k) => {
+    const text = texts[k];
+    let target = i < beatCount ? i : null;
+    if (text && beatTexts.length > 0 && beatTexts[i] !== text) {
+      target = null;
+      for (let j = 0; j < beatCount; j++) {
+        if (beatTexts[j] === text && !lockedTimes.has(j) && (target == null || Math.abs(j - i) < Math.abs(target - i))) target = j;
+      }
+    }
+    if (target == null || lockedTimes.has(target)) droppedLocks.push(i);
+    else {
+      lockedTimes.set(target, previous.beatTimes[i]);
+      origin.set(target, i);
+    }
+  });
+
+  // Anchors have to keep their order in time — a lock that moved past another is dropped
+  const anchors = [];
+  for (const j of [...lockedTimes.keys()].sort((a, b) => a - b)) {
+    if (anchors.length > 0 && lockedTimes.get(j) < lockedTimes.get(anchors[anchors.length - 1])) {
+      droppedLocks.push(origin.get(j));
+      lockedTimes.delete(j);
+    } else {
+      anchors.push(j);
+    }
+  }
+  return { anchors, lockedTimes, droppedLocks: droppedLocks.sort((a, b) => a - b) };
+}
+
+/**
+ * Merge freshly computed timing with the locks of the timing it replaces.
+ *
+ * @param {object|null} previous - Timing currently on disk
+ * @param {object} next - Timing an automatic path wants to write
+ * @param {string[]} [beatTexts] - The file's current beat texts (from its analysis)
+ * @returns {{ timing: object, preservedBeats: number[], fileLocked: boolean, droppedLocks: number[] }}
+ *   preservedBeats are indices in the new timing, droppedLocks in the previous one
+ */
+function mergeTimingLocks(previous, next, beatTexts = []) {
+  const none = { timing: next, preservedBeats: [], fileLocked: false, droppedLocks: [] };
+  if (!previous) return none;
+
+  if (previous.locked) {
+    return { timing: previous, preservedBeats: previous.beatTimes.map((_, i) => i), fileLocked: true, droppedLocks: [] };
+  }
+
+  if (!previous.lockedBeats?.length) return none;
+
+  const { anchors, lockedTimes, droppedLocks } = placeLocks(previous, next.beatTimes.length, beatTexts);
+  if (anchors.length === 0) return { ...none, droppedLocks };
+
+  return {
+    timing: {
+      ...next,
+      beatTimes: refitBetweenAnchors(next.beatTimes, anchors, lockedTimes),
+      lockedBeats: anchors,
+      lockedBeatTexts: anchors.map(j => beatTexts[j] || null),
+    },
+    preservedBeats: anchors,
+    fileLocked: false,
+    droppedLocks,
+  };
+}
+
+/**
+ * Write timing produced by an automatic path, keeping locked beats. A locked
+ * file isn't written at all.
+ *
+ * @param {string} action - What produced it, for the timing history
+ * @returns {{ timing: object, preservedBeats: number[], fileLocked: boolean, droppedLocks: number[] }}
+ */
+function saveTimingRespectingLocks(fileName, next, action) {
+  const result = mergeTimingLocks(readTiming(fileName), next, readBeatTexts(fileName));
+
+  if (result.fileLocked) {
+    console.log(`[timing-locks] ${fileName}: timing locked, not re-timed`);
+    return result;
+  }
+  writeTiming(fileName, result.timing, action);
+  if (result.preservedBeats.length > 0) {
+    console.log(`[timing-locks] ${fileName}: kept locked beats ${result.preservedBeats.map(i => `#${i + 1}`).join(', ')}`);
+  }
+  if (result.droppedLocks.length > 0) {
+    console.log(`[timing-locks] ${fileName}: dropped locks on beats ${result.droppedLocks.map(i => `#${i + 1}`).join(', ')} (beats no longer in the analysis)`);
+  }
+  return result;
+}
+
+/**
+ * What a re-timing kept for a file, for API responses — null when nothing was locked.
+ */
+function lockReport(fileName, result) {
+  if (!result || (!result.fileLocked && result.preservedBeats.length === 0)) return null;
+  return { fileName, fileLocked: result.fileLocked, preservedBeats: result.preservedBeats };
+}
+
+module.exports = {
+  readTiming,
+  normalizeLockedBeats,
+  lockedBeatTexts,
+  mergeTimingLocks,
+  saveTimingRespectingLocks,
+  lockReport,
+};
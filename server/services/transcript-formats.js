@@ -0,0 +1,175 @@
+/**
+ * WebVTT and word-level JSON transcripts, converted to the same cue model
+ * parseSrt produces:
+ *
+ *   { index, startTime, endTime, text, words? }
+ *   words — [{ word, startTime, endTime }], only when the transcript has real
+ *   per-word timestamps (VTT inline <00:00:01.500> tags, Whisper word lists)
+ *
+ * JSON follows Whisper's output: { segments: [{ start, end, text, words? }] },
+ * optionally with a top-level words list (OpenAI verbose_json), or just
+ * { words: [...] }, which is split into cues at sentence ends and pauses.
+ */
+
+const VTT_TIME_RE = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/;
+const VTT_INLINE_TIME_RE = /<((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})>/g;
+
+// Word lists without segments: a cue ends at a sentence end, a pause, or this many words
+const CUE_BREAK_PAUSE_SEC = 1.0;
+const CUE_MAX_WORDS = 20;
+
+const round3 = (t) => Math.round(t * 1000) / 1000;
+
+/**
+ * Which parser a transcript needs, from its content.
+ * @returns {'vtt'|'json'|'srt'}
+ */
+function detectTranscriptFormat(content) {
+  const head = content.replace(/^\uFEFF/, '').trimStart();
+  if (/^WEBVTT\b/.test(head)) return 'vtt';
+  if (head.startsWith('{') || head.startsWith('[')) return 'json';
+  return 'srt';
+}
+
+function vttTimeToSeconds(str) {
+  const m = str.match(VTT_TIME_RE);
+  if (!m) return null;
+  const [, h, min, s, ms] = m;
+  return (parseInt(h || '0', 10) * 3600) + parseInt(min, 10) * 60 + parseInt(s, 10) + parseInt(ms.padEnd(3, '0'), 10) / 1000;
+}
+
+const stripTags = (text) => text.replace(/<[^>]*>/g, '');
+
+/**
+ * Words of a VTT cue with inline timestamps ("karaoke" cues). Text before the
+ * first timestamp starts at the cue start; each word ends where the next starts.
+ */
+function vttWords(rawText, startTime, endTime) {
+  const parts = rawText.split(VTT_INLINE_TIME_RE);
+  if (parts.length === 1) return null;
+
+  const words = [];
+  let time = startTime;
+  for (let i = 0; i < parts.length; i++) {
+    if (i % 2 === 1) {
+      time = vttTimeToSeconds(parts[i]);
+      continue;
+    }
+    for (const word of stripTags(parts[i]).split(/\s+/).filter(Boolean)) {
+      words.push({ word, startTime: round3(time), endTime: null });
+    }
+  }
+  words.forEach((w, i) => { w.endTime = round3(i + 1 < words.length ? words[i + 1].startTime : endTime); });
+  return words.length > 0 ? words : null;
+}
+
+/**
+ * Parse WebVTT. NOTE, STYLE and REGION blocks and cue settings are ignored.
+ */
+function parseVtt(content) {
+  const blocks = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const cues = [];
+
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(l => l.trim() !== '');
+    const timingIdx = lines.findIndex(l => l.includes('-->'));
+    if (timingIdx < 0 || /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+    const [startStr, endStr] = lines[timingIdx].split('-->');
+    const startTime = vttTimeToSeconds(startStr);
+    const endTime = vttTimeToSeconds(endStr);
+    if (startTime === null || endTime === null) continue;
+
+    const rawText = lines.slice(timingIdx + 1).join('\n');
+    const text = stripTags(rawText).trim();
+    if (!text) continue;
+
+    const cue = { index: String(cues.length + 1), startTime, endTime, text };
+    const words = vttWords(rawText, startTime, endTime);
+    if (words) cue.words = words;
+    cues.push(cue);
+  }
+
+  return cues;
+}
+
+/**
+ * Normalize Whisper words ({ word | text, start, end }). Words without times
+ * (WhisperX leaves them off numbers) take the previous word's end.
+ */
+function jsonWords(list, fallbackStart) {
+  const words = [];
+  let lastEnd = fallbackStart;
+  for (const w of list) {
+    const word = String(w.word ?? w.text ?? '').trim();
+    if (!word) continue;
+    const startTime = Number.isFinite(w.start) ? w.start : lastEnd;
+    const endTime = Number.isFinite(w.end) ? w.end : startTime;
+    words.push({ word, startTime: round3(startTime), endTime: round3(endTime) });
+    lastEnd = endTime;
+  }
+  return words;
+}
+
+/**
+ * Split a bare word list into cues at sentence ends and pauses.
+ */
+function groupWordsIntoCues(words) {
+  const groups = [];
+  let current = [];
+  words.forEach((w, i) => {
+    current.push(w);
+    const next = words[i + 1];
+    if (!next || /[.?!]["')\]]*$/.test(w.word) ||
+        next.startTime - w.endTime >= CUE_BREAK_PAUSE_SEC || current.length >= CUE_MAX_WORDS) {
+      groups.push(current);
+      current = [];
+    }
+  });
+  return groups.map(group => ({
+    start: group[0].startTime,
+    end: group[group.length - 1].endTime,
+    text: group.map(w => w.word).join(' '),
+    words: group,
+  }));
+}
+
+/**
+ * Parse a Whisper-style JSON transcript.
+ *
+ * @throws {Error} when the JSON has neither segments nor words
+ */
+function parseWordJson(content) {
+  const data = JSON.parse(content.replace(/^\uFEFF/, ''));
+  const segments = Array.isArray(data) ? data : data.segments;
+  const topWords = Array.isArray(data.words) ? jsonWords(data.words, 0) : null;
+
+  let source;
+  if (Array.isArray(segments) && segments.length > 0) {
+    source = segments.map(seg => {
+      const start = Number(seg.start);
+      const end = Number(seg.end);
+      // Segment words, or the top-level words that fall inside the segment
+      const words = Array.isArray(seg.words)
+        ? jsonWords(seg.words, start)
+        : topWords?.filter(w => w.startTime >= start && w.startTime < end) || null;
+      return { start, end, text: seg.text, words };
+    });
+  } else if (topWords && topWords.length > 0) {
+    source = groupWordsIntoCues(topWords);
+  } else {
+    throw new Error('Unrecognized transcript JSON: expected Whisper-style "segments" or "words"');
+  }
+
+  return source
+    .filter(seg => Number.isFinite(seg.start) && Number.isFinite(seg.end))
+    .map((seg, i) => {
+      const text = String(seg.text ?? '').trim() || (seg.words || []).map(w => w.word).join(' ');
+      const cue = { index: String(i + 1), startTime: round3(seg.start), endTime: round3(seg.end), text };
+      if (seg.words && seg.words.length > 0) cue.words = seg.words;
+      return cue;
+    })
+    .filter(cue => cue.text);
+}
+
+module.exports = { detectTranscriptFormat, parseVtt, parseWordJson };
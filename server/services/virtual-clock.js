@@ -0,0 +1,161 @@
+/**
+ * Virtual clock for deterministic frame capture.
+ *
+ * Installed into the page before any of its scripts run. Replaces the
+ * page's notion of time (Date, performance.now, setTimeout/setInterval,
+ * requestAnimationFrame) with a virtual clock that only moves when Node
+ * tells it to, and pins every CSS transition, CSS animation and Web
+ * Animation to that same clock.
+ *
+ * Stepping the clock exactly 1/FPS per frame makes every render of the
+ * same HTML + beat times frame-identical, no matter how long each
+ * screenshot takes on the machine.
+ */
+
+/**
+ * Runs inside the page (serialized by evaluateOnNewDocument).
+ * Must be self-contained — no closures over Node-side variables.
+ */
+function virtualClockScript() {
+  if (window.__virtualClock) return;
+
+  const RealDate = Date;
+  const epoch = RealDate.now();
+  const perfBase = performance.now();
+  const MAX_TIMER_RUNS = 10000; // per step — guards against setTimeout(0) storms
+
+  let now = 0; // virtual ms since install
+  let nextId = 1;
+  const timers = new Map();   // id -> { due, fn, args, interval }
+  const frameCbs = new Map(); // id -> rAF callback
+  const animStarts = new WeakMap(); // Animation -> virtual time it was first seen
+
+  function toFn(fn) {
+    return typeof fn === 'function' ? fn : () => (0, eval)(String(fn));
+  }
+
+  window.setTimeout = function (fn, ms, ...args) {
+    const id = nextId++;
+    timers.set(id, { due: now + Math.max(0, Number(ms) || 0), fn: toFn(fn), args, interval: null });
+    return id;
+  };
+  window.setInterval = function (fn, ms, ...args) {
+    const id = nextId++;
+    const interval = Math.max(1, Number(ms) || 0);
+    timers.set(id, { due: now + interval, fn: toFn(fn), args, interval });
+    return id;
+  };
+  window.clearTimeout = window.clearInterval = function (id) {
+    timers.delete(id);
+  };
+  window.requestAnimationFrame = function (cb) {
+    const id = nextId++;
+    frameCbs.set(id, cb);
+    return id;
+  };
+  window.cancelAnimationFrame = function (id) {
+    frameCbs.delete(id);
+  };
+
+  performance.now = () => perfBase + now;
+
+  // A function, not a subclass: Date() called without new must return a string
+  function VirtualDate(...args) {
+    if (!new.target) return new RealDate(epoch + now).toString();
+    return args.length === 0 ? new RealDate(epoch + now) : new RealDate(...args);
+  }
+  VirtualDate.prototype = RealDate.prototype;
+  VirtualDate.parse = RealDate.parse;
+  VirtualDate.UTC = RealDate.UTC;
+  VirtualDate.now = () => epoch + now;
+  window.Date = VirtualDate;
+
+  /**
+   * Pause every animation on the page and seek it to how long it has
+   * existed in virtual time. Finite animations that have run their
+   * course are finished properly so transitionend/animationend fire.
+   */
+  function syncAnimations() {
+    if (!document.getAnimations) return;
+    for (const anim of document.getAnimations()) {
+      let start = animStarts.get(anim);
+      if (start === undefined) {
+        start = now;
+        animStarts.set(anim, start);
+      }
+      if (anim.playState === 'finished') continue;
+
+      const elapsed = (now - start) * Math.abs(anim.playbackRate || 1);
+      const end = anim.effect ? anim.effect.getComputedTiming().endTime : Infinity;
+      try {
+        if (Number.isFinite(end) && elapsed >= end) {
+          anim.finish();
+        } else {
+          anim.pause();
+          anim.currentTime = elapsed;
+        }
+      } catch (e) {
+        // Animation was cancelled mid-step — nothing to pin
+      }
+    }
+  }
+
+  function runCallback(fn, args) {
+    try { fn.apply(window, args); } catch (e) { console.error(e); }
+  }
+
+  /**
+   * Move the clock forward to targetMs: fire due timers in order,
+   * then one rAF tick, then re-pin animations.
+   */
+  function advanceTo(targetMs) {
+    const target = Math.max(now, targetMs);
+
+    for (let runs = 0; runs < MAX_TIMER_RUNS; runs++) {
+      let nextTimerId = null;
+      let nextTimer = null;
+      for (const [id, t] of timers) {
+        if (t.due > target) continue;
+        if (!nextTimer || t.due < nextTimer.due) { nextTimerId = id; nextTimer = t; }
+      }
+      if (!nextTimer) break;
+
+      now = Math.max(now, nextTimer.due);
+      if (nextTimer.interval != null) nextTimer.due += nextTimer.interval;
+      else timers.delete(nextTimerId);
+      runCallback(nextTimer.fn, nextTimer.args);
+    }
+
+    now = target;
+
+    const callbacks = [...frameCbs.values()];
+    frameCbs.clear();
+    for (const cb of callbacks) runCallback(cb, [perfBase + now]);
+
+    syncAnimations();
+    return now;
+  }
+
+  window.__virtualClock = {
+    advanceTo,
+    now: () => now,
+  };
+}
+
+/**
+ * Install the virtual clock. Must be called before page.goto().
+ */
+async function installVirtualClock(page) {
+  await page.evaluateOnNewDocument(virtualClockScript);
+}
+
+/**
+ * Advance the page's virtual clock to an absolute time (ms since load).
+ * Calling with the current time just re-pins animations created since
+ * the last step (e.g. by a click) at their first frame.
+ */
+async function advanceVirtualClock(page, targetMs) {
+  return page.evaluate((t) => window.__virtualClock.advanceTo(t), targetMs);
+}
+
+module.exports = { installVirtualClock, advanceVirtualClock };